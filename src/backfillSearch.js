@@ -0,0 +1,32 @@
+// src/backfillSearch.js
+// Purpose
+// -------
+// Operator script that builds the blind keyword index for existing messages
+// (or rebuilds it after BLIND_INDEX_KEY_BASE64 changes). Safe to interrupt:
+// re-running it resumes from the last completed batch.
+//
+// Usage
+// -----
+//   npm run backfill-search            # run / resume the backfill
+//   npm run backfill-search -- status  # print progress without running
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB } from './config/db.js';
+import { runSearchBackfill, getSearchBackfillStatus } from './jobs/backfillSearchIndex.js';
+
+// Establish database connection
+await connectDB(process.env.MONGO_URI);
+
+if (process.argv[2] === 'status') {
+  console.log('Status:', JSON.stringify(await getSearchBackfillStatus()));
+} else {
+  const state = await runSearchBackfill({
+    onProgress: s => console.log(`Processed ${s.processed}/${s.total} (indexed ${s.migrated}, failed ${s.failed})`),
+  });
+  console.log('Done:', JSON.stringify(state));
+}
+
+// Gracefully exit the script
+process.exit(0);
@@ -0,0 +1,23 @@
+// src/config/attachments.js
+// Purpose
+// -------
+// Server-wide attachment limits, read from env on each call so tests and
+// operators can adjust them without a restart-order dependency.
+//
+// Env
+// ---
+// ATTACHMENT_MAX_BYTES                (default 25 MiB) hard cap; groups may only lower it
+// ATTACHMENT_CHUNK_BYTES              (default 1 MiB)  plaintext bytes per uploaded chunk
+// ATTACHMENT_ORPHAN_HOURS             (default 24)     unreferenced uploads older than this are deleted
+// ATTACHMENT_CLEANUP_INTERVAL_MINUTES (default 60)     how often the cleanup job runs (0 = never)
+
+const MiB = 1024 * 1024;
+
+export function attachmentConfig() {
+  return {
+    maxBytes: Number(process.env.ATTACHMENT_MAX_BYTES || 25 * MiB),
+    chunkBytes: Number(process.env.ATTACHMENT_CHUNK_BYTES || MiB),
+    orphanHours: Number(process.env.ATTACHMENT_ORPHAN_HOURS || 24),
+    cleanupIntervalMinutes: Number(process.env.ATTACHMENT_CLEANUP_INTERVAL_MINUTES ?? 60),
+  };
+}
@@ -0,0 +1,64 @@
+// src/config/rateLimits.js
+// Purpose
+// -------
+// Request budgets per route group, read from env on each call (same pattern
+// as config/attachments.js).
+//
+// Env
+// ---
+// RATE_LIMIT_<NAME>=<limit>/<windowSeconds>  override one budget, e.g. RATE_LIMIT_LOGIN=5/900
+// RATE_LIMIT_STORE                            memory (default, per instance) | mongo (shared)
+// RATE_LIMIT_DISABLED                         true = no limits (local load testing only)
+// TRUST_PROXY                                 Express "trust proxy" value (e.g. 1 behind one proxy),
+//                                             required for correct client IPs behind a load balancer
+//
+// Budgets are keyed by client IP on public routes and by user id on
+// authenticated ones (see middleware/rateLimit.js).
+
+// name -> [limit, windowSeconds]
+const DEFAULT_BUDGETS = {
+  api: [1000, 900],          // every request, per IP
+  register: [5, 3600],
+  login: [10, 900],
+  twoFactor: [10, 900],      // second login step (TOTP / recovery code)
+  refresh: [60, 900],
+  accountEmail: [10, 3600],  // verify, resend verification, password forgot/reset
+  invitePreview: [30, 900],
+  redeemInvite: [10, 900],   // join-with-invite (token guessing)
+  joinGroup: [30, 3600],     // join-open / request-join
+  sendMessage: [30, 60],
+  directMessage: [30, 60],
+  openConversation: [30, 3600], // new direct conversations started
+  typing: [60, 60],
+  upload: [30, 900],         // attachment uploads started
+  uploadChunk: [1000, 900],  // attachment chunks PUT (a full-size file is ~25 chunks)
+  dataExport: [3, 3600],     // GET /me/export (decrypts all of a user's messages)
+  deleteAccount: [5, 3600],  // DELETE /me (password guessing)
+};
+
+const envName = name => `RATE_LIMIT_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`;
+
+// Throws for a budget name that does not exist (does not read env).
+export function assertRateLimitBudget(name) {
+  if (!Object.hasOwn(DEFAULT_BUDGETS, name)) throw new Error(`Unknown rate limit budget: ${name}`);
+}
+
+// { limit, windowMs } for a named budget.
+export function rateLimitBudget(name) {
+  assertRateLimitBudget(name);
+  const fallback = DEFAULT_BUDGETS[name];
+
+  const raw = process.env[envName(name)];
+  const match = raw && /^(\d+)\/(\d+)$/.exec(raw.trim());
+  if (raw && !match) throw new Error(`${envName(name)} must look like <limit>/<windowSeconds>`);
+
+  const [limit, windowSeconds] = match ? [Number(match[1]), Number(match[2])] : fallback;
+  return { limit, windowMs: windowSeconds * 1000 };
+}
+
+export function rateLimitConfig() {
+  return {
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    disabled: process.env.RATE_LIMIT_DISABLED === 'true',
+  };
+}
@@ -0,0 +1,16 @@
+// src/config/retention.js
+// Purpose
+// -------
+// Retention sweeper schedule, read from env on each call (same pattern as
+// config/attachments.js).
+//
+// Env
+// ---
+// RETENTION_SWEEP_SECONDS   (default 60)  how often expired messages are purged (0 = never;
+//                                         the TTL index still removes them, see models/Message.js)
+
+export function retentionConfig() {
+  return {
+    sweepSeconds: Number(process.env.RETENTION_SWEEP_SECONDS ?? 60),
+  };
+}
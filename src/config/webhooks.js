@@ -0,0 +1,30 @@
+// src/config/webhooks.js
+// Purpose
+// -------
+// Outbound webhook delivery settings, read from env on each call (same pattern
+// as config/attachments.js).
+//
+// Env
+// ---
+// WEBHOOK_TIMEOUT_MS          (default 5000) per-attempt request timeout
+// WEBHOOK_MAX_ATTEMPTS        (default 8)    a delivery is marked failed after this many tries
+// WEBHOOK_RETRY_BASE_SECONDS  (default 30)   first retry delay; doubles per attempt
+// WEBHOOK_RETRY_MAX_SECONDS   (default 3600) cap on the retry delay
+// WEBHOOK_POLL_SECONDS        (default 5)    how often the outbox is drained (0 = never)
+// WEBHOOK_ALLOWED_HOSTS       (default none) comma-separated hosts (names or IPs, as
+//                             written in the URL) exempt from the public-address
+//                             rule, e.g. an internal receiver (utils/webhookTarget.js)
+
+export function webhookConfig() {
+  return {
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+    retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+    retryMaxSeconds: Number(process.env.WEBHOOK_RETRY_MAX_SECONDS || 3600),
+    pollSeconds: Number(process.env.WEBHOOK_POLL_SECONDS ?? 5),
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(h => h.trim().replace(/^\[|\]$/g, '').toLowerCase())
+      .filter(Boolean),
+  };
+}
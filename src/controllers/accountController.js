@@ -0,0 +1,201 @@
+// src/controllers/accountController.js
+// Purpose: The caller's own account as a whole (GDPR access and erasure).
+// - exportMyData: streams a .tar.gz with the profile, sessions, memberships,
+//   join requests, leave history and the caller's own messages, decrypted.
+//   One JSON file per group / conversation keeps each archive entry bounded.
+// - deleteMyAccount: password (+ second factor) confirmed, then the account is
+//   erased by utils/accountDeletion.js (what stays, what goes and how a
+//   deletion that died part-way is finished).
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Group from '../models/Group.js';
+import Message from '../models/Message.js';
+import JoinRequest from '../models/JoinRequest.js';
+import LeaveHistory from '../models/LeaveHistory.js';
+import Session from '../models/Session.js';
+import Conversation from '../models/Conversation.js';
+import DirectMessage from '../models/DirectMessage.js';
+import logger from '../config/logger.js';
+import { decryptMessage } from '../utils/crypto.js';
+import { getGroupKey, getConversationKey } from '../utils/groupKeys.js';
+import { roleOf } from '../utils/permissions.js';
+import { beginAccountDeletion, eraseAccount } from '../utils/accountDeletion.js';
+import { createTarGz } from '../utils/tarball.js';
+import { notExpired } from '../utils/retention.js';
+import { acceptSecondFactor } from './twoFactorController.js';
+import { deleteAccountSchema } from '../validators/userSchemas.js';
+
+const json = value => `${JSON.stringify(value, null, 2)}\n`;
+
+// Decrypt one of the caller's messages; null for tombstones or unreadable payloads.
+function plaintextOf(m, key) {
+  if (!m.payload) return null;
+  try {
+    return decryptMessage(m.payload, key);
+  } catch {
+    return null;
+  }
+}
+
+// GET /me/export
+// Archive layout:
+//   manifest.json, profile.json, sessions.json, memberships.json,
+//   join-requests.json, leave-history.json,
+//   messages/<groupId>.json, direct-messages/<conversationId>.json
+export async function exportMyData(req, res, next) {
+  try {
+    const uid = new mongoose.Types.ObjectId(req.user.id);
+    const user = await User.findById(uid).select('+blockedUsers').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [sessions, groups, bannedFrom, requests, leaves] = await Promise.all([
+      Session.find({ user: uid }).sort({ createdAt: 1 }).lean(),
+      Group.find({ members: uid }).select('name type owner members admins moderators').lean(),
+      Group.find({ bannedUsers: uid }).select('name').lean(),
+      JoinRequest.find({ user: uid }).sort({ createdAt: 1 }).populate('group', 'name').lean(),
+      LeaveHistory.find({ user: uid }).sort({ leftAt: 1 }).populate('group', 'name').lean(),
+    ]);
+
+    const exportedAt = new Date();
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="data-export-${exportedAt.toISOString().slice(0, 10)}.tar.gz"`,
+      'Cache-Control': 'private, no-store',
+    });
+    const tar = createTarGz(res);
+
+    await tar.addFile('profile.json', json({
+      id: user._id,
+      email: user.email,
+      verified: user.verified,
+      verifiedAt: user.verifiedAt ?? null,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      passwordChangedAt: user.passwordChangedAt ?? null,
+      lastSeenAt: user.lastSeenAt ?? null,
+      twoFactor: { enabled: Boolean(user.twoFactor?.enabled), enabledAt: user.twoFactor?.enabledAt ?? null },
+      blockedUsers: user.blockedUsers ?? [],
+    }));
+
+    await tar.addFile('sessions.json', json(sessions.map(s => ({
+      id: s._id,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      revokedAt: s.revokedAt,
+      revokedReason: s.revokedReason ?? null,
+      userAgent: s.userAgent ?? null,
+      ip: s.ip ?? null,
+    }))));
+
+    await tar.addFile('memberships.json', json({
+      groups: groups.map(g => ({ id: g._id, name: g.name, type: g.type, role: roleOf(g, uid) })),
+      bannedFrom: bannedFrom.map(g => ({ id: g._id, name: g.name })),
+    }));
+
+    await tar.addFile('join-requests.json', json(requests.map(r => ({
+      id: r._id,
+      group: r.group ? { id: r.group._id, name: r.group.name } : null,
+      status: r.status,
+      createdAt: r.createdAt,
+      updatedAt: r.updatedAt,
+    }))));
+
+    await tar.addFile('leave-history.json', json(leaves.map(l => ({
+      group: l.group ? { id: l.group._id, name: l.group.name } : null,
+      leftAt: l.leftAt,
+    }))));
+
+    // Own group messages, one file per group (groups already deleted are gone).
+    const groupNames = new Map(groups.map(g => [g._id.toString(), g.name]));
+    const files = [];
+    for (const groupId of await Message.distinct('group', { sender: uid })) {
+      const key = await getGroupKey(groupId).catch(err => {
+        if (err.status === 404) return null;
+        throw err;
+      });
+      if (!key) continue;
+
+      const messages = await Message.find({ sender: uid, group: groupId, ...notExpired() }).sort({ createdAt: 1 }).lean();
+      const name = groupNames.get(groupId.toString())
+        ?? (await Group.findById(groupId).select('name').lean())?.name
+        ?? null;
+      const file = `messages/${groupId}.json`;
+      await tar.addFile(file, json({
+        group: { id: groupId, name },
+        messages: messages.map(m => ({
+          id: m._id,
+          createdAt: m.createdAt,
+          editedAt: m.editedAt ?? null,
+          deletedAt: m.deletedAt ?? null,
+          replyTo: m.replyTo ?? null,
+          text: plaintextOf(m, key),
+        })),
+      }));
+      files.push(file);
+    }
+
+    // Own direct messages, one file per conversation.
+    for (const conversationId of await DirectMessage.distinct('conversation', { sender: uid })) {
+      const conversation = await Conversation.findById(conversationId).select('+wrappedKey').lean();
+      if (!conversation) continue;
+
+      const key = await getConversationKey(conversation);
+      const other = conversation.participants.find(p => p.toString() !== req.user.id);
+      const messages = await DirectMessage.find({ sender: uid, conversation: conversationId }).sort({ createdAt: 1 }).lean();
+      const file = `direct-messages/${conversationId}.json`;
+      await tar.addFile(file, json({
+        conversation: { id: conversationId, with: other ?? null },
+        messages: messages.map(m => ({ id: m._id, createdAt: m.createdAt, text: plaintextOf(m, key) })),
+      }));
+      files.push(file);
+    }
+
+    await tar.addFile('manifest.json', json({
+      userId: user._id,
+      exportedAt,
+      files: ['profile.json', 'sessions.json', 'memberships.json', 'join-requests.json', 'leave-history.json', ...files],
+    }));
+    await tar.finish();
+  } catch (err) {
+    if (res.headersSent) {
+      logger.error('Data export failed', { message: err.message });
+      res.destroy(err); // never hand out a silently truncated archive
+      return;
+    }
+    return next(err);
+  }
+}
+
+// DELETE /me  { password, code? | recoveryCode?, ownedGroups?: 'transfer' | 'delete' }
+export async function deleteMyAccount(req, res, next) {
+  try {
+    const parsed = deleteAccountSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    const { password, code, recoveryCode, ownedGroups } = parsed.data;
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user.twoFactor?.enabled && !code && !recoveryCode) {
+      return res.status(400).json({ error: 'Two-factor code or recovery code required' });
+    }
+    const passwordOk = await user.validatePassword(password);
+    if (!passwordOk || (user.twoFactor?.enabled && !(await acceptSecondFactor(user, { code, recoveryCode })))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // A deletion that already started finishes with the inputs it stored.
+    const deleting = user.deletingAt ? user : await beginAccountDeletion(user, ownedGroups);
+    if (!deleting) return res.status(404).json({ error: 'User not found' });
+    const groups = await eraseAccount(deleting);
+
+    return res.json({ message: 'Account deleted', groups });
+  } catch (err) {
+    return next(err);
+  }
+}
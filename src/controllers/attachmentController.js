@@ -0,0 +1,229 @@
+// src/controllers/attachmentController.js
+// Purpose: Encrypted file attachments (chunked upload, GridFS storage).
+// - initUpload: declares name/type/size; checked against the group's limits.
+// - uploadChunk: raw bytes per chunk, encrypted with the group data key and
+//   bound to (attachment id, chunk index) so chunks cannot be swapped.
+// - completeUpload: verifies every chunk arrived; the attachment can then be
+//   referenced by a message (sendMessage `attachmentIds`).
+// - downloadAttachment: streams decrypted bytes to current members only, always
+//   as an opaque download: the MIME type is whatever the uploader declared, so
+//   it is only used for the group's type limits and never served back.
+// - Unreferenced uploads are removed by jobs/cleanupAttachments.js.
+
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import Group from '../models/Group.js';
+import Attachment from '../models/Attachment.js';
+import { attachmentConfig } from '../config/attachments.js';
+import { encryptMessage, decryptMessage, encryptBytes, decryptBytes } from '../utils/crypto.js';
+import { getGroupKey } from '../utils/groupKeys.js';
+import { putChunk, readChunk, listChunkFiles } from '../utils/attachmentStore.js';
+
+const initSchema = z.object({
+  filename: z.string().trim().min(1, 'filename is required').max(255, 'filename too long'),
+  mimeType: z
+    .string()
+    .toLowerCase()
+    .regex(/^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/, 'Invalid MIME type'),
+  size: z.number().int().positive('size must be positive'),
+});
+
+// True if `mimeType` matches one of the group's allowed patterns ([] = any).
+// The type is client-declared; the limit filters honest clients, it does not
+// prove what the bytes are.
+function mimeAllowed(allowed, mimeType) {
+  if (!allowed || allowed.length === 0) return true;
+  return allowed.some(p => p === mimeType || (p.endsWith('/*') && mimeType.startsWith(p.slice(0, -1))));
+}
+
+// Context bound into every encrypted chunk (see utils/crypto.js encryptBytes).
+const chunkContext = (attachmentId, index) => `${attachmentId}:${index}`;
+
+// Loads group + attachment for a member. Returns { group, attachment } or
+// sends the error response and returns null.
+async function loadForMember(req, res) {
+  const { groupId, attachmentId } = req.params;
+  if (!mongoose.isValidObjectId(groupId)) {
+    res.status(400).json({ error: 'Invalid groupId' });
+    return null;
+  }
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    res.status(400).json({ error: 'Invalid attachmentId' });
+    return null;
+  }
+
+  const group = await Group.findById(groupId);
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  if (!group.members.some(m => m.toString() === req.user.id)) {
+    res.status(403).json({ error: 'Join group first' });
+    return null;
+  }
+
+  const attachment = await Attachment.findOne({ _id: attachmentId, group: group._id });
+  if (!attachment) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  return { group, attachment };
+}
+
+// POST /messages/:groupId/attachments  { filename, mimeType, size }
+export async function initUpload(req, res, next) {
+  try {
+    const parsed = initSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    const { filename, mimeType, size } = parsed.data;
+
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid groupId' });
+    }
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    if (!group.members.some(m => m.toString() === req.user.id)) {
+      return res.status(403).json({ error: 'Join group first' });
+    }
+
+    const { maxBytes, chunkBytes } = attachmentConfig();
+    const limit = Math.min(group.settings?.attachmentMaxBytes || maxBytes, maxBytes);
+    if (size > limit) {
+      return res.status(413).json({ error: `Attachment exceeds the ${limit} byte limit` });
+    }
+    if (!mimeAllowed(group.settings?.attachmentMimeTypes, mimeType)) {
+      return res.status(415).json({ error: `File type ${mimeType} is not allowed in this group` });
+    }
+
+    const attachment = await Attachment.create({
+      group: group._id,
+      uploader: req.user.id,
+      filename: encryptMessage(filename, await getGroupKey(group)),
+      mimeType,
+      size,
+      chunkSize: chunkBytes,
+      chunkCount: Math.ceil(size / chunkBytes),
+    });
+
+    return res.status(201).json({
+      id: attachment._id,
+      chunkSize: attachment.chunkSize,
+      chunkCount: attachment.chunkCount,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PUT /messages/:groupId/attachments/:attachmentId/chunks/:index
+// Body: raw bytes (application/octet-stream). Re-sending an index replaces it.
+export async function uploadChunk(req, res, next) {
+  try {
+    const loaded = await loadForMember(req, res);
+    if (!loaded) return;
+    const { group, attachment } = loaded;
+
+    if (attachment.uploader.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Only the uploader can add chunks' });
+    }
+    if (attachment.status !== 'uploading') {
+      return res.status(409).json({ error: 'Upload already completed' });
+    }
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= attachment.chunkCount) {
+      return res.status(400).json({ error: `Chunk index must be 0..${attachment.chunkCount - 1}` });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const isLast = index === attachment.chunkCount - 1;
+    const expected = isLast
+      ? attachment.size - attachment.chunkSize * (attachment.chunkCount - 1)
+      : attachment.chunkSize;
+    if (body.length !== expected) {
+      return res.status(400).json({ error: `Chunk ${index} must be exactly ${expected} bytes` });
+    }
+
+    const groupKey = await getGroupKey(group);
+    await putChunk(attachment._id, index, encryptBytes(body, groupKey, chunkContext(attachment._id, index)));
+
+    return res.json({ id: attachment._id, index, received: body.length });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /messages/:groupId/attachments/:attachmentId/complete
+export async function completeUpload(req, res, next) {
+  try {
+    const loaded = await loadForMember(req, res);
+    if (!loaded) return;
+    const { attachment } = loaded;
+
+    if (attachment.uploader.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Only the uploader can complete an upload' });
+    }
+    if (attachment.status === 'ready') return res.json({ id: attachment._id, status: 'ready' });
+
+    const received = new Set((await listChunkFiles(attachment._id)).map(f => f.metadata.index));
+    const missing = [];
+    for (let i = 0; i < attachment.chunkCount && missing.length < 20; i += 1) {
+      if (!received.has(i)) missing.push(i);
+    }
+    if (missing.length) {
+      return res.status(409).json({ error: 'Upload incomplete', missing });
+    }
+
+    attachment.status = 'ready';
+    await attachment.save();
+
+    return res.json({ id: attachment._id, status: 'ready' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /messages/:groupId/attachments/:attachmentId
+// Streams the decrypted file; each chunk is authenticated before it is sent.
+export async function downloadAttachment(req, res, next) {
+  try {
+    const loaded = await loadForMember(req, res);
+    if (!loaded) return;
+    const { group, attachment } = loaded;
+
+    if (attachment.status !== 'ready') {
+      return res.status(409).json({ error: 'Upload not completed' });
+    }
+
+    const groupKey = await getGroupKey(group);
+    const files = await listChunkFiles(attachment._id);
+    if (files.length !== attachment.chunkCount) {
+      return res.status(500).json({ error: 'Attachment data is incomplete' });
+    }
+
+    const filename = decryptMessage(attachment.filename, groupKey);
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Length': String(attachment.size),
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      'Cache-Control': 'private, no-store',
+    });
+
+    for (const file of files) {
+      const plain = decryptBytes(await readChunk(file._id), groupKey, chunkContext(attachment._id, file.metadata.index));
+      if (!res.write(plain)) await new Promise(resolve => res.once('drain', resolve));
+      if (res.destroyed) return;
+    }
+    return res.end();
+  } catch (err) {
+    if (res.headersSent) {
+      res.destroy(err); // integrity failure mid-stream: abort rather than send a truncated file
+      return;
+    }
+    return next(err);
+  }
+}
@@ -1,30 +1,66 @@
 // src/controllers/authController.js
 // Purpose: Registration & Login with Zod validation, bcrypt password hashing,
-// and JWT-based stateless auth. For login, we return generic errors to avoid
-// account enumeration. For registration, we return friendly validation errors.
+// and session-backed JWT auth (short-lived access token + rotating refresh token).
+// For login, we return generic errors to avoid account enumeration.
+// For registration, we return friendly validation errors.
+// Password recovery: single-use, expiring reset tokens (stored hashed) sent via
+// the pluggable mailer; any password change revokes existing sessions.
+// E-mail verification: registration mails a verification token; operators
+// decide which actions unverified users may perform (middleware/verified.js).
 
-import jwt from 'jsonwebtoken';
-import { z } from 'zod';
 import User from '../models/User.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+} from '../validators/userSchemas.js';
+import {
+  createSession,
+  signTwoFactorChallenge,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from '../utils/session.js';
+import { issueActionToken, consumeActionToken } from '../utils/actionTokens.js';
+import { sendMail } from '../utils/mailer.js';
+import logger from '../config/logger.js';
 
-// --- Registration validation ---
-// - Enforces valid email & password length >= 8 (doc expectation).
-const registerSchema = z.object({
-  email: z.string().email(),
-  password: z.string().min(8),
-});
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+const VERIFY_TOKEN_TTL_MINUTES = Number(process.env.EMAIL_VERIFY_TTL_HOURS || 48) * 60;
+
+// Zod issues -> [{ field, message }]
+function fieldErrors(result) {
+  return result.error.issues.map(issue => ({
+    field: issue.path.join('.'),
+    message: issue.message,
+  }));
+}
+
+// Issue a verification token and mail it (failures are logged, not surfaced).
+async function sendVerificationMail(user) {
+  const rawToken = await issueActionToken(user._id, 'email_verify', VERIFY_TOKEN_TTL_MINUTES);
+  sendMail({
+    to: user.email,
+    subject: 'Verify your e-mail address',
+    text:
+      `Use this token to verify your e-mail address (valid for ${VERIFY_TOKEN_TTL_MINUTES / 60} hours):\n\n` +
+      `${rawToken}\n\nPOST /auth/verify { "token": "..." }`,
+  }).catch(err => logger.error('Verification mail failed', { message: err.message }));
+}
 
 // POST /auth/register
 export async function register(req, res, next) {
   try {
     // Use safeParse to avoid throwing Zod internals and to format errors cleanly.
+    // Shared password policy (validators/userSchemas.js): 8-128 characters.
     const result = registerSchema.safeParse(req.body);
     if (!result.success) {
-      const errors = result.error.issues.map(issue => ({
-        field: issue.path.join('.'),
-        message: issue.message,
-      }));
-      return res.status(400).json({ error: 'Validation failed', errors });
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
     }
 
     const { email, password } = result.data;
@@ -38,7 +74,10 @@ export async function register(req, res, next) {
     await user.setPassword(password);
     await user.save();
 
-    return res.status(201).json({ message: 'Registered' });
+    // Account is usable right away; verification unlocks gated actions.
+    await sendVerificationMail(user);
+
+    return res.status(201).json({ message: 'Registered. Check your e-mail to verify your address.' });
   } catch (err) {
     // Handle rare race: unique index collision (email).
     if (err && err.code === 11000) {
@@ -48,18 +87,11 @@ export async function register(req, res, next) {
   }
 }
 
-// --- Login validation ---
-// NOTE: We accept any non-empty password in login to keep responses generic.
-// If you prefer strict UI validation even on login, change min(1) -> min(8).
-const loginSchema = z.object({
-  email: z.string().email(),
-  password: z.string().min(1),
-});
-
 // POST /auth/login
 export async function login(req, res, next) {
   try {
     // Avoid leaking field-level validation info (security).
+    // loginSchema accepts any non-empty password to keep responses generic.
     const result = loginSchema.safeParse(req.body);
     if (!result.success) {
       return res.status(400).json({ error: 'Invalid email or password' });
@@ -68,19 +100,184 @@ export async function login(req, res, next) {
 
     // Generic invalid-credentials responses to avoid account enumeration.
     const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!user || user.deletingAt) return res.status(401).json({ error: 'Invalid credentials' });
 
     const ok = await user.validatePassword(password);
     if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
 
-    // Issue short-lived JWT (12h) signed with JWT_SECRET from .env
-    const token = jwt.sign(
-      { sub: user._id.toString(), email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '12h' }
+    // 2FA enrolled: password alone is not enough; exchange the challenge
+    // with a TOTP/recovery code at POST /auth/2fa/verify.
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: await signTwoFactorChallenge(user) });
+    }
+
+    // New session: short-lived access JWT + rotating refresh token
+    const tokens = await createSession(user, req);
+    return res.json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/refresh
+// Rotates the refresh token; a reused (already rotated) token revokes the session.
+export async function refresh(req, res, next) {
+  try {
+    const parsed = refreshSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Missing refresh token' });
+
+    const tokens = await rotateSession(parsed.data.refreshToken, id => User.findById(id));
+    return res.json(tokens);
+  } catch (err) {
+    if (err.status === 401) return res.status(401).json({ error: err.message });
+    return next(err);
+  }
+}
+
+// POST /auth/logout  (auth) — ends the current session
+export async function logout(req, res, next) {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/logout-all  (auth) — ends every session of the caller, on all devices
+export async function logoutAll(req, res, next) {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, { reason: 'logout_all' });
+    return res.json({ message: 'Logged out everywhere', revoked });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/verify
+// Consumes a verification token and marks the account verified.
+export async function verifyEmail(req, res, next) {
+  try {
+    const result = verifyEmailSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+
+    const consumed = await consumeActionToken(result.data.token, 'email_verify');
+    if (!consumed) return res.status(400).json({ error: 'Invalid or expired verification token' });
+
+    await User.updateOne(
+      { _id: consumed.user, verified: { $ne: true } },
+      { $set: { verified: true, verifiedAt: new Date() } }
     );
 
-    return res.json({ token });
+    return res.json({ message: 'E-mail verified' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/verify/resend
+// Generic 202 regardless of account state (no enumeration); only unverified
+// accounts actually get a new token (older tokens are invalidated).
+export async function resendVerification(req, res, next) {
+  try {
+    const result = resendVerificationSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+
+    const user = await User.findOne({ email: result.data.email });
+    if (user && !user.verified) await sendVerificationMail(user);
+
+    return res.status(202).json({ message: 'If the account needs verification, an e-mail has been sent' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/password/forgot
+// Always answers 202 with the same body, whether or not the account exists
+// (no account enumeration). Mail failures are logged, not surfaced.
+export async function forgotPassword(req, res, next) {
+  try {
+    const result = forgotPasswordSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+
+    const user = await User.findOne({ email: result.data.email });
+    if (user) {
+      const rawToken = await issueActionToken(user._id, 'password_reset', RESET_TOKEN_TTL_MINUTES);
+      sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text:
+          `Use this token to reset your password (valid for ${RESET_TOKEN_TTL_MINUTES} minutes):\n\n` +
+          `${rawToken}\n\nPOST /auth/password/reset { "token": "...", "newPassword": "..." }\n\n` +
+          'If you did not request this, you can ignore this e-mail.',
+      }).catch(err => logger.error('Password reset mail failed', { message: err.message }));
+    }
+
+    return res.status(202).json({ message: 'If the account exists, a reset e-mail has been sent' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/password/reset
+// Consumes the reset token (single use), sets the new password and ends every session.
+export async function resetPassword(req, res, next) {
+  try {
+    const result = resetPasswordSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+    const { token, newPassword } = result.data;
+
+    const consumed = await consumeActionToken(token, 'password_reset');
+    if (!consumed) return res.status(400).json({ error: 'Invalid or expired reset token' });
+
+    const user = await User.findById(consumed.user);
+    if (!user) return res.status(400).json({ error: 'Invalid or expired reset token' });
+
+    await user.setPassword(newPassword);
+    await user.save();
+    await revokeAllSessions(user._id, { reason: 'password_reset' });
+
+    return res.json({ message: 'Password reset. Please log in again.' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/password/change  (auth)
+// Requires the current password; keeps the caller's session, revokes all others.
+export async function changePassword(req, res, next) {
+  try {
+    const result = changePasswordSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+    const { currentPassword, newPassword } = result.data;
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const ok = await user.validatePassword(currentPassword);
+    if (!ok) return res.status(401).json({ error: 'Current password is incorrect' });
+
+    await user.setPassword(newPassword);
+    await user.save();
+    const revoked = await revokeAllSessions(user._id, { reason: 'password_change', except: req.user.sid });
+
+    sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: 'The password for your account was just changed. If this was not you, reset it immediately.',
+    }).catch(err => logger.error('Password change mail failed', { message: err.message }));
+
+    return res.json({ message: 'Password changed', revokedSessions: revoked });
   } catch (err) {
     return next(err);
   }
@@ -0,0 +1,274 @@
+// src/controllers/directMessageController.js
+// Purpose: One-to-one conversations between users, outside of groups.
+// - One Conversation per user pair (unique `pairKey`), whoever opens it first;
+//   no owner, roles or membership changes.
+// - Messages use the same AES-GCM (v2) storage as group messages, under the
+//   conversation's own wrapped data key (utils/groupKeys.js).
+// - Block list: a user's `blockedUsers`. While either side blocks the other, no
+//   conversation can be opened and nothing can be sent; history stays readable.
+// - Only the two participants can see a conversation; anyone else gets 404.
+// - A conversation whose other participant deleted their account is closed
+//   (utils/accountDeletion.js): readable, but nothing more can be sent.
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Conversation from '../models/Conversation.js';
+import DirectMessage from '../models/DirectMessage.js';
+import { encryptMessage, decryptMessage } from '../utils/crypto.js';
+import { newWrappedGroupKey, getConversationKey } from '../utils/groupKeys.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { buildPage } from '../utils/pagination.js';
+import { pageQuerySchema } from '../validators/paginationSchemas.js';
+import {
+  openConversationSchema,
+  conversationListSchema,
+  directMessageSchema,
+  blockUserSchema,
+} from '../validators/directMessageSchemas.js';
+
+const MAX_BLOCKED = 1000;
+const BLOCKED_ERROR = 'You cannot message this user';
+const CLOSED_ERROR = 'This conversation is closed';
+
+function validationError(res, error) {
+  const errors = error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+  return res.status(400).json({ error: 'Validation failed', errors });
+}
+
+// True if either user has blocked the other.
+async function isBlockedBetween(userId, otherId) {
+  const hit = await User.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherId },
+      { _id: otherId, blockedUsers: userId },
+    ],
+  });
+  return Boolean(hit);
+}
+
+const otherParticipant = (conversation, userId) =>
+  conversation.participants.find(p => p.toString() !== userId);
+
+// Shape conversations for `userId`, resolving the other participant's e-mail.
+async function toConversationsOut(conversations, userId) {
+  const others = conversations.map(c => otherParticipant(c, userId));
+  const [users, me] = await Promise.all([
+    User.find({ _id: { $in: others } }).select('email').lean(),
+    User.findById(userId).select('+blockedUsers').lean(),
+  ]);
+  const emails = new Map(users.map(u => [u._id.toString(), u.email]));
+  const blocked = new Set((me?.blockedUsers ?? []).map(String));
+
+  return conversations.map((c, i) => ({
+    id: c._id,
+    with: { _id: others[i], email: emails.get(others[i].toString()) ?? null },
+    createdAt: c.createdAt,
+    lastMessageAt: c.lastMessageAt ?? null,
+    blocked: blocked.has(others[i].toString()),
+    closed: Boolean(c.closedAt),
+  }));
+}
+
+// Loads a conversation the caller takes part in. Returns it, or sends the
+// error response and returns null.
+async function loadConversation(req, res) {
+  const { conversationId } = req.params;
+  if (!mongoose.isValidObjectId(conversationId)) {
+    res.status(400).json({ error: 'Invalid conversationId' });
+    return null;
+  }
+
+  const conversation = await Conversation.findOne({ _id: conversationId, participants: req.user.id });
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  return conversation;
+}
+
+// POST /dm  { userId }
+// Returns the pair's conversation: 201 when it was just created, 200 if it existed.
+export async function openConversation(req, res, next) {
+  try {
+    const parsed = openConversationSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationError(res, parsed.error);
+    const { userId } = parsed.data;
+
+    if (userId === req.user.id) return res.status(400).json({ error: 'Cannot message yourself' });
+    if (!(await User.exists({ _id: userId }))) return res.status(404).json({ error: 'User not found' });
+    if (await isBlockedBetween(req.user.id, userId)) return res.status(403).json({ error: BLOCKED_ERROR });
+
+    const participants = [req.user.id, userId].sort();
+    const pairKey = participants.join(':');
+
+    let created = false;
+    let conversation = await Conversation.findOne({ pairKey });
+    if (!conversation) {
+      try {
+        conversation = await Conversation.create({ pairKey, participants, wrappedKey: newWrappedGroupKey() });
+        created = true;
+      } catch (err) {
+        // Both users opened it at the same moment: the unique pairKey keeps one.
+        if (err.code !== 11000) throw err;
+        conversation = await Conversation.findOne({ pairKey });
+      }
+    }
+
+    const [out] = await toConversationsOut([conversation], req.user.id);
+    return res.status(created ? 201 : 200).json(out);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /dm?before=&limit=
+// The caller's conversations, most recently active first: { items, nextCursor }.
+// A conversation that gets a new message while paging moves to the top and
+// is not repeated on later pages.
+export async function listConversations(req, res, next) {
+  try {
+    const parsed = conversationListSchema.safeParse(req.query);
+    if (!parsed.success) return validationError(res, parsed.error);
+    const { before, limit } = parsed.data;
+
+    const filter = { participants: req.user.id };
+    if (before) {
+      const cursor = decodeCursor(before);
+      if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+      filter.$or = [
+        { lastActivityAt: { $lt: cursor.createdAt } },
+        { lastActivityAt: cursor.createdAt, _id: { $lt: cursor.id } },
+      ];
+    }
+
+    const docs = await Conversation.find(filter)
+      .sort({ lastActivityAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = docs.length > limit;
+    const page = hasMore ? docs.slice(0, limit) : docs;
+    const last = page[page.length - 1];
+    const nextCursor = hasMore ? encodeCursor({ _id: last._id, createdAt: last.lastActivityAt }) : null;
+
+    return res.json({ items: await toConversationsOut(page, req.user.id), nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /dm/:conversationId/messages  { text }
+export async function sendDirectMessage(req, res, next) {
+  try {
+    const parsed = directMessageSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationError(res, parsed.error);
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (conversation.closedAt) return res.status(403).json({ error: CLOSED_ERROR });
+    if (await isBlockedBetween(req.user.id, otherParticipant(conversation, req.user.id))) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    const key = await getConversationKey(conversation);
+    const msg = await DirectMessage.create({
+      conversation: conversation._id,
+      sender: req.user.id,
+      payload: encryptMessage(parsed.data.text, key),
+    });
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $max: { lastActivityAt: msg.createdAt, lastMessageAt: msg.createdAt } }
+    );
+
+    return res.status(201).json({ id: msg._id, createdAt: msg.createdAt });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /dm/:conversationId/messages?before=|after=&limit=
+// Same paging as GET /messages/:groupId; items are oldest -> newest.
+export async function listDirectMessages(req, res, next) {
+  try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) return validationError(res, parsed.error);
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const page = buildPage(parsed.data);
+    const docs = await DirectMessage.find({ conversation: conversation._id, ...page.filter })
+      .sort(page.sort)
+      .limit(page.limit)
+      .populate('sender', 'email')
+      .lean();
+
+    const { items, nextCursor } = page.finish(docs, 'asc');
+    const key = await getConversationKey(conversation);
+
+    return res.json({
+      items: items.map(m => ({
+        id: m._id,
+        sender: { _id: m.sender?._id ?? m.sender, email: m.sender?.email },
+        createdAt: m.createdAt,
+        text: decryptMessage(m.payload, key),
+      })),
+      nextCursor,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /dm/blocks
+export async function listBlockedUsers(req, res, next) {
+  try {
+    const me = await User.findById(req.user.id).select('+blockedUsers').lean();
+    const users = await User.find({ _id: { $in: me?.blockedUsers ?? [] } }).select('email').lean();
+    return res.json({ items: users.map(u => ({ _id: u._id, email: u.email })) });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /dm/blocks  { userId }  — idempotent
+export async function blockUser(req, res, next) {
+  try {
+    const parsed = blockUserSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationError(res, parsed.error);
+    const { userId } = parsed.data;
+
+    if (userId === req.user.id) return res.status(400).json({ error: 'Cannot block yourself' });
+    if (!(await User.exists({ _id: userId }))) return res.status(404).json({ error: 'User not found' });
+
+    // Size check and insert in one step, so parallel requests cannot overshoot.
+    const result = await User.updateOne(
+      { _id: req.user.id, [`blockedUsers.${MAX_BLOCKED - 1}`]: { $exists: false } },
+      { $addToSet: { blockedUsers: userId } }
+    );
+    if (result.matchedCount === 0) {
+      const already = await User.exists({ _id: req.user.id, blockedUsers: userId });
+      if (!already) return res.status(400).json({ error: `At most ${MAX_BLOCKED} blocked users` });
+    }
+
+    return res.json({ userId, blocked: true });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// DELETE /dm/blocks/:userId  — idempotent
+export async function unblockUser(req, res, next) {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid userId' });
+
+    await User.updateOne({ _id: req.user.id }, { $pull: { blockedUsers: userId } });
+    return res.json({ userId, blocked: false });
+  } catch (err) {
+    return next(err);
+  }
+}
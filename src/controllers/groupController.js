@@ -6,22 +6,52 @@
 // - 48h cooldown: applies when a user leaves a private group before re-requesting.
 // - Only pending join requests are listed (spec: "dedicated section").
 // - Clean ObjectId guards to avoid Mongoose CastError leaks.
+// - Membership changes are published on the group event bus (live push).
+// - Roles (owner/admin/moderator/member): every privileged action goes through
+//   assertCan() from utils/permissions.js — no hard-coded owner checks.
+// - Administrative actions are appended to the group's hash-chained audit log
+//   (utils/audit.js); owners can list it and verify the chain.
 
 import { z } from 'zod';
 import mongoose from 'mongoose';
 import Group from '../models/Group.js';
+import User from '../models/User.js';
 import JoinRequest from '../models/JoinRequest.js';
 import LeaveHistory from '../models/LeaveHistory.js';
 import Invite from '../models/Invite.js';
+import Reaction from '../models/Reaction.js';
+import AuditEvent from '../models/AuditEvent.js';
 import { generateRawToken, sha256 } from '../utils/token.js';
+import { publishGroupEvent, EVENTS } from '../utils/groupEvents.js';
+import { newWrappedGroupKey } from '../utils/groupKeys.js';
+import { buildPage } from '../utils/pagination.js';
+import { assertCan, outranks, roleOf, setRole } from '../utils/permissions.js';
+import { unreadCounts } from '../utils/readMarkers.js';
+import { deleteGroupData } from '../utils/groupCleanup.js';
+import { recordAudit, verifyAuditChain, AUDIT } from '../utils/audit.js';
+import { sendMail } from '../utils/mailer.js';
+import { sameRetention } from '../utils/retention.js';
+import logger from '../config/logger.js';
 
 // If you created src/validators/groupSchemas.js, import it here:
-import { groupCreateSchema } from '../validators/groupSchemas.js';
+import {
+  groupCreateSchema,
+  groupUpdateSchema,
+  promoteSchema,
+  demoteSchema,
+  groupSettingsSchema,
+} from '../validators/groupSchemas.js';
 // If you created src/validators/inviteSchemas.js, import it here:
-import { createInviteSchema } from '../validators/inviteSchemas.js';
+import { createInviteSchema, invitePreviewSchema } from '../validators/inviteSchemas.js';
+import { pageQuerySchema } from '../validators/paginationSchemas.js';
 
 const COOLDOWN_HOURS = 48;
 
+// Zod issues -> [{ field, message }] (same 400 shape as the other controllers)
+function fieldErrors(parsed) {
+  return parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+}
+
 // Capacity helper: 0 => unlimited, else hard cap.
 function capacityOk(group) {
   return group.maxMembers === 0 || group.members.length < group.maxMembers;
@@ -34,11 +64,12 @@ async function ensureNotBanned(group, userId) {
 
   // If banned, ensure a PENDING join request exists (create or refresh).
   if (group.bannedUsers.some(u => u.toString() === uid.toString())) {
-    await JoinRequest.findOneAndUpdate(
+    const jr = await JoinRequest.findOneAndUpdate(
       { group: group._id, user: uid },           // unique pair
       { $set: { status: 'pending' } },           // ALWAYS set to pending (refresh)
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
+    publishGroupEvent(EVENTS.REQUEST_PENDING, group._id, { requestId: jr._id, userId: uid.toString(), banned: true });
 
     const err = new Error(
       'You are banned. A join request is now pending for owner approval.'
@@ -53,10 +84,10 @@ export async function createGroup(req, res, next) {
   try {
     const parsed = groupCreateSchema.safeParse(req.body);
     if (!parsed.success) {
-      return res.status(400).json({ error: 'Validation failed', details: parsed.error.issues });
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
     }
 
-    const { name, type, maxMembers = 0, initialMemberIds = [] } = parsed.data;
+    const { name, type, maxMembers = 0, initialMemberIds = [], description, topic } = parsed.data;
 
     // Owner is always a member
     const ownerId = req.user.id;
@@ -77,14 +108,22 @@ export async function createGroup(req, res, next) {
       return res.status(400).json({ error: 'Too many initial members for this group capacity' });
     }
 
-    // Create group with owner + initial members
+    // Create group with owner + initial members and its own wrapped data key
     const group = await Group.create({
       name,
       type,
       owner: ownerId,
       members: [ownerId, ...uniqueIds],
       maxMembers,
+      description,
+      topic,
       bannedUsers: [],
+      wrappedKey: newWrappedGroupKey(),
+    });
+
+    await recordAudit(group._id, AUDIT.GROUP_CREATED, {
+      actor: ownerId,
+      data: { name, type, maxMembers, initialMemberIds: uniqueIds },
     });
 
     return res.status(201).json(group);
@@ -93,22 +132,49 @@ export async function createGroup(req, res, next) {
   }
 }
 
-// GET /groups/public
+// GET /groups/public?before=|after=&limit=
+// Newest first; returns { items, nextCursor }.
 export async function listPublicGroups(req, res, next) {
   try {
-    const groups = await Group.find({ type: 'open' }).select('-bannedUsers');
-    return res.json(groups);
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+    const page = buildPage(parsed.data);
+
+    const groups = await Group.find({ type: 'open', ...page.filter })
+      .sort(page.sort)
+      .limit(page.limit)
+      .select('-bannedUsers');
+
+    return res.json(page.finish(groups, 'desc'));
   } catch (err) {
     return next(err);
   }
 }
 
-// GET /groups/mine
+// GET /groups/mine?before=|after=&limit=
+// Newest first; returns { items, nextCursor }, each item with `unreadCount`.
 export async function myGroups(req, res, next) {
   try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+    const page = buildPage(parsed.data);
+
     const uid = new mongoose.Types.ObjectId(req.user.id);
-    const groups = await Group.find({ members: uid });
-    return res.json(groups);
+    const groups = await Group.find({ members: uid, ...page.filter })
+      .sort(page.sort)
+      .limit(page.limit);
+
+    const { items, nextCursor } = page.finish(groups, 'desc');
+    const unread = await unreadCounts(req.user.id, items.map(g => g._id));
+
+    return res.json({
+      items: items.map(g => ({ ...g.toJSON(), unreadCount: unread.get(g._id.toString()) })),
+      nextCursor,
+    });
   } catch (err) {
     return next(err);
   }
@@ -137,6 +203,8 @@ export async function joinOpenGroup(req, res, next) {
 
     group.members.push(req.user.id);
     await group.save();
+
+    publishGroupEvent(EVENTS.MEMBER_JOINED, group._id, { userId: req.user.id, via: 'open' });
     return res.json({ message: 'Joined' });
   } catch (err) {
     return next(err);
@@ -193,13 +261,14 @@ export async function requestJoinPrivate(req, res, next) {
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
 
+    publishGroupEvent(EVENTS.REQUEST_PENDING, group._id, { requestId: jr._id, userId: req.user.id, banned: false });
     return res.json({ message: 'Join request submitted', requestId: jr._id });
   } catch (err) {
     return next(err);
   }
 }
 
-// GET /groups/:groupId/requests  (owner; PENDING ONLY)
+// GET /groups/:groupId/requests  (moderator+; PENDING ONLY)
 export async function listJoinRequests(req, res, next) {
   try {
     const { groupId } = req.params;
@@ -209,9 +278,7 @@ export async function listJoinRequests(req, res, next) {
 
     const group = await Group.findById(groupId);
     if (!group) return res.status(404).json({ error: 'Group not found' });
-    if (group.owner.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Only owner' });
-    }
+    assertCan(group, req.user.id, 'requests.view');
 
     const requests = await JoinRequest.find({ group: group._id, status: 'pending' })
       .populate('user', 'email')
@@ -224,10 +291,10 @@ export async function listJoinRequests(req, res, next) {
   }
 }
 
-// POST /groups/requests/:requestId/decision  (owner: approve|decline)
+// POST /groups/requests/:requestId/decision  (moderator+: approve|decline)
 // Purpose
 // -------
-// Owner reviews a PENDING join request and either:
+// A moderator/admin/owner reviews a PENDING join request and either:
 //   - APPROVE: ensure capacity, atomically remove user from bannedUsers (if present)
 //              and add them to members (idempotent).
 //   - DECLINE: mark request declined.
@@ -259,10 +326,8 @@ export async function decideJoinRequest(req, res, next) {
     const group = await Group.findById(jr.group);
     if (!group) return res.status(404).json({ error: 'Group not found' });
 
-    // Owner-only action
-    if (group.owner.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Only owner' });
-    }
+    // Moderator+ action
+    assertCan(group, req.user.id, 'requests.decide');
 
     // 4) Only pending requests can be decided
     if (jr.status !== 'pending') {
@@ -291,12 +356,24 @@ export async function decideJoinRequest(req, res, next) {
       jr.status = 'approved';
       await jr.save();
 
+      await recordAudit(group._id, AUDIT.REQUEST_APPROVED, {
+        actor: req.user.id,
+        target: jr.user,
+        data: { requestId: jr._id },
+      });
+      publishGroupEvent(EVENTS.MEMBER_JOINED, group._id, { userId: jr.user.toString(), via: 'request' });
+
       return res.json({ message: 'Decision recorded', status: jr.status });
     }
 
     // DECLINE
     jr.status = 'declined';
     await jr.save();
+    await recordAudit(group._id, AUDIT.REQUEST_DECLINED, {
+      actor: req.user.id,
+      target: jr.user,
+      data: { requestId: jr._id },
+    });
     return res.json({ message: 'Decision recorded', status: jr.status });
 
   } catch (err) {
@@ -319,8 +396,9 @@ export async function leaveGroup(req, res, next) {
       return res.status(400).json({ error: 'Owner must transfer ownership before leaving' });
     }
 
-    // Remove membership
+    // Remove membership (and any elevated role)
     group.members.splice(idx, 1);
+    setRole(group, req.user.id, 'member');
     await group.save();
 
     // Record cooldown only for private groups (48h re-request gate)
@@ -328,13 +406,16 @@ export async function leaveGroup(req, res, next) {
       await LeaveHistory.create({ group: group._id, user: req.user.id });
     }
 
+    await recordAudit(group._id, AUDIT.MEMBER_LEFT, { actor: req.user.id });
+    publishGroupEvent(EVENTS.MEMBER_LEFT, group._id, { userId: req.user.id });
+
     return res.json({ message: 'Left group' });
   } catch (err) {
     return next(err);
   }
 }
 
-// POST /groups/:groupId/banish (owner)
+// POST /groups/:groupId/banish (moderator+; must outrank the target)
 export async function banishMember(req, res, next) {
   try {
     const { groupId } = req.params;
@@ -345,8 +426,8 @@ export async function banishMember(req, res, next) {
 
     const group = await Group.findById(groupId);
     if (!group) return res.status(404).json({ error: 'Group not found' });
-    if (group.owner.toString() !== req.user.id) return res.status(403).json({ error: 'Only owner' });
-    if (userId === req.user.id) return res.status(400).json({ error: 'Owner cannot banish self' });
+    assertCan(group, req.user.id, 'members.banish');
+    if (userId === req.user.id) return res.status(400).json({ error: 'Cannot banish yourself' });
 
     const isMember = group.members.some(m => m.toString() === userId);
     const isBanned = group.bannedUsers.some(u => u.toString() === userId);
@@ -354,13 +435,29 @@ export async function banishMember(req, res, next) {
     if (isBanned) return res.status(200).json({ message: 'User is already banned' });
     if (!isMember && !isBanned) return res.status(400).json({ error: 'User is not a current member' });
 
+    // Moderators cannot banish moderators/admins; nobody can banish the owner.
+    if (!outranks(group, req.user.id, userId)) {
+      return res.status(403).json({ error: 'Cannot banish a member with an equal or higher role' });
+    }
+
     if (isMember) {
       group.members = group.members.filter(m => m.toString() !== userId);
+      setRole(group, userId, 'member');
     }
 
     group.bannedUsers.push(userId);
     await group.save();
 
+    // A banished user's reactions go with them
+    await Reaction.deleteMany({ group: group._id, user: userId });
+
+    await recordAudit(group._id, AUDIT.MEMBER_BANISHED, {
+      actor: req.user.id,
+      target: userId,
+      data: { wasMember: isMember },
+    });
+    publishGroupEvent(EVENTS.MEMBER_BANISHED, group._id, { userId, by: req.user.id });
+
     return res.json({ message: 'User banished' });
   } catch (err) {
     return next(err);
@@ -375,7 +472,7 @@ export async function transferOwnership(req, res, next) {
     }
     const group = await Group.findById(req.params.groupId);
     if (!group) return res.status(404).json({ error: 'Group not found' });
-    if (group.owner.toString() !== req.user.id) return res.status(403).json({ error: 'Only owner' });
+    assertCan(group, req.user.id, 'group.transfer');
 
     const { newOwnerId } = req.body;
     if (!mongoose.isValidObjectId(newOwnerId)) {
@@ -385,15 +482,92 @@ export async function transferOwnership(req, res, next) {
       return res.status(400).json({ error: 'New owner must be a member' });
     }
 
+    // New owner leaves the admin/moderator lists; previous owner stays on as admin.
+    setRole(group, newOwnerId, 'member');
+    setRole(group, req.user.id, 'admin');
     group.owner = newOwnerId;
     await group.save();
+
+    await recordAudit(group._id, AUDIT.OWNERSHIP_TRANSFERRED, {
+      actor: req.user.id,
+      target: newOwnerId,
+      data: { previousOwnerRole: 'admin' },
+    });
     return res.json({ message: 'Ownership transferred' });
   } catch (err) {
     return next(err);
   }
 }
 
+// PATCH /groups/:groupId  { name?, type?, maxMembers?, description?, topic?, keepInvites? }
+// - name / description / topic: admin+; type / maxMembers: owner.
+// - maxMembers cannot drop below the current member count (nobody is removed).
+// - open -> private: live invites are disabled unless `keepInvites: true`
+//   (links shared while the group was open may be public); pending join
+//   requests stay pending for moderators to decide.
+// - private -> open: pending join requests stay pending (approving still works);
+//   everyone else not banned can now join directly. Invites are unaffected.
+export async function updateGroup(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid groupId' });
+    }
+    const parsed = groupUpdateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+    const { keepInvites = false, ...input } = parsed.data;
+
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+
+    // Only fields that actually change are applied, checked and audited
+    const changes = Object.fromEntries(Object.entries(input).filter(([key, value]) => group[key] !== value));
+    if ('name' in changes || 'description' in changes || 'topic' in changes) {
+      assertCan(group, req.user.id, 'group.edit');
+    }
+    if ('type' in changes || 'maxMembers' in changes) {
+      assertCan(group, req.user.id, 'group.settings');
+    }
+    if (Object.keys(changes).length === 0) {
+      assertCan(group, req.user.id, 'group.edit');
+      return res.json(group);
+    }
+
+    if ('maxMembers' in changes && changes.maxMembers !== 0 && changes.maxMembers < group.members.length) {
+      return res.status(400).json({
+        error: `maxMembers cannot be lower than the current member count (${group.members.length})`,
+      });
+    }
+
+    const wasOpen = group.type === 'open';
+    Object.assign(group, changes);
+    await group.save();
+
+    let invitesDisabled = 0;
+    if (wasOpen && changes.type === 'private' && !keepInvites) {
+      const result = await Invite.updateMany(
+        { group: group._id, disabled: false, expiresAt: { $gt: new Date() } },
+        { $set: { disabled: true } }
+      );
+      invitesDisabled = result.modifiedCount;
+    }
+
+    await recordAudit(group._id, AUDIT.GROUP_UPDATED, {
+      actor: req.user.id,
+      data: { changes, ...(changes.type === 'private' && wasOpen ? { invitesDisabled } : {}) },
+    });
+    publishGroupEvent(EVENTS.GROUP_UPDATED, group._id, { changes, by: req.user.id });
+
+    return res.json(group);
+  } catch (err) {
+    return next(err);
+  }
+}
+
 // DELETE /groups/:groupId  (owner; only if sole member)
+// Deleting the group document destroys its wrapped data key, so any ciphertext
+// that survives (replicas, backups) is permanently unreadable (crypto-shredding).
 export async function deleteGroup(req, res, next) {
   try {
     if (!mongoose.isValidObjectId(req.params.groupId)) {
@@ -401,27 +575,267 @@ export async function deleteGroup(req, res, next) {
     }
     const group = await Group.findById(req.params.groupId);
     if (!group) return res.status(404).json({ error: 'Group not found' });
-    if (group.owner.toString() !== req.user.id) return res.status(403).json({ error: 'Only owner' });
+    assertCan(group, req.user.id, 'group.delete');
 
     if (group.members.length > 1) {
       return res.status(400).json({ error: 'Group can be deleted only if owner is sole member' });
     }
 
     await group.deleteOne();
+    await deleteGroupData(group._id);
+
+    // The audit log outlives the group (it is the record of the deletion).
+    await recordAudit(group._id, AUDIT.GROUP_DELETED, { actor: req.user.id, data: { name: group.name } });
+    publishGroupEvent(EVENTS.GROUP_DELETED, group._id);
     return res.json({ message: 'Group deleted' });
   } catch (err) {
     return next(err);
   }
 }
 
+/* ---------------------------
+   ROLES
+   - Admins promote/demote moderators; only the owner manages admins.
+   - Target must be a current, non-owner member; nobody changes their own role.
+   --------------------------- */
+
+// Shared checks for promote/demote. Returns an error response or null.
+function checkRoleChange(group, actorId, userId, newRole, res) {
+  if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid userId' });
+  if (userId === actorId) return res.status(400).json({ error: 'Cannot change your own role' });
+
+  const current = roleOf(group, userId);
+  if (current === 'none') return res.status(400).json({ error: 'User is not a current member' });
+  if (current === 'owner') return res.status(400).json({ error: 'Use transfer to change the owner' });
+
+  // Touching an admin (either direction) is owner-only.
+  const action = current === 'admin' || newRole === 'admin' ? 'roles.manageAdmins' : 'roles.manage';
+  assertCan(group, actorId, action);
+  return null;
+}
+
+// POST /groups/:groupId/promote  { userId, role: admin|moderator }
+export async function promoteMember(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid groupId' });
+    }
+    const parsed = promoteSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+    const { userId, role } = parsed.data;
+
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+
+    const denied = checkRoleChange(group, req.user.id, userId, role, res);
+    if (denied) return denied;
+
+    const previous = roleOf(group, userId);
+    if (previous === role) return res.json({ message: 'Role unchanged', role });
+    if (previous === 'admin' && role === 'moderator') {
+      return res.status(400).json({ error: 'Use demote to lower a role' });
+    }
+
+    setRole(group, userId, role);
+    await group.save();
+
+    await recordAudit(group._id, AUDIT.MEMBER_ROLE_CHANGED, { actor: req.user.id, target: userId, data: { role, previous } });
+    publishGroupEvent(EVENTS.MEMBER_ROLE_CHANGED, group._id, { userId, role, previous, by: req.user.id });
+    return res.json({ message: 'Role updated', role });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /groups/:groupId/demote  { userId, role?: moderator|member (default member) }
+export async function demoteMember(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid groupId' });
+    }
+    const parsed = demoteSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+    const { userId, role } = parsed.data;
+
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+
+    const denied = checkRoleChange(group, req.user.id, userId, role, res);
+    if (denied) return denied;
+
+    const previous = roleOf(group, userId);
+    if (previous === role) return res.json({ message: 'Role unchanged', role });
+    if (previous === 'member' || (previous === 'moderator' && role === 'moderator')) {
+      return res.status(400).json({ error: 'Use promote to raise a role' });
+    }
+
+    setRole(group, userId, role);
+    await group.save();
+
+    await recordAudit(group._id, AUDIT.MEMBER_ROLE_CHANGED, { actor: req.user.id, target: userId, data: { role, previous } });
+    publishGroupEvent(EVENTS.MEMBER_ROLE_CHANGED, group._id, { userId, role, previous, by: req.user.id });
+    return res.json({ message: 'Role updated', role });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/* ---------------------------
+   SETTINGS
+   --------------------------- */
+
+// PATCH /groups/:groupId/settings  (owner; partial update)
+export async function updateGroupSettings(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid groupId' });
+    }
+    const parsed = groupSettingsSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    assertCan(group, req.user.id, 'group.settings');
+
+    const { retention } = parsed.data;
+    const retentionChanged = Boolean(retention) && !sameRetention(group.settings.retention, retention);
+
+    for (const [key, value] of Object.entries(parsed.data)) group.settings[key] = value;
+    // Existing messages are re-stamped by the retention sweeper
+    if (retentionChanged) group.retentionPending = true;
+    await group.save();
+
+    await recordAudit(group._id, AUDIT.GROUP_SETTINGS_UPDATED, { actor: req.user.id, data: { changes: parsed.data } });
+    if (retentionChanged) {
+      publishGroupEvent(EVENTS.GROUP_UPDATED, group._id, { changes: { retention }, by: req.user.id });
+    }
+
+    return res.json({ settings: group.settings });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/* ---------------------------
+   AUDIT LOG
+   --------------------------- */
+
+// Loads a group for an audit endpoint (owner only). Returns the group or
+// sends the error response and returns null.
+async function loadGroupForAudit(req, res) {
+  if (!mongoose.isValidObjectId(req.params.groupId)) {
+    res.status(400).json({ error: 'Invalid groupId' });
+    return null;
+  }
+  const group = await Group.findById(req.params.groupId).select('+auditHead');
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  assertCan(group, req.user.id, 'audit.view');
+  return group;
+}
+
+// GET /groups/:groupId/audit?before=|after=&limit=  (owner)
+// Newest first; returns { items, nextCursor }.
+export async function listAuditEvents(req, res, next) {
+  try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+    const group = await loadGroupForAudit(req, res);
+    if (!group) return;
+
+    const page = buildPage(parsed.data);
+    const events = await AuditEvent.find({ group: group._id, ...page.filter })
+      .sort(page.sort)
+      .limit(page.limit)
+      .lean();
+
+    const { items, nextCursor } = page.finish(events, 'desc');
+    return res.json({
+      items: items.map(e => ({
+        id: e._id,
+        seq: e.seq,
+        action: e.action,
+        actor: e.actor,
+        target: e.target,
+        data: e.data,
+        createdAt: e.createdAt,
+        prevHash: e.prevHash,
+        hash: e.hash,
+      })),
+      nextCursor,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /groups/:groupId/audit/verify  (owner)
+// Recomputes the whole chain: { valid, count, headHash, brokenAt?, reason? }.
+export async function verifyAuditLog(req, res, next) {
+  try {
+    const group = await loadGroupForAudit(req, res);
+    if (!group) return;
+
+    return res.json(await verifyAuditChain(group._id, group.auditHead));
+  } catch (err) {
+    return next(err);
+  }
+}
+
 /* ---------------------------
    INVITES
-   - Owner creates tokenized invite (time/uses limited).
-   - Any logged-in user can redeem unless banned or group full.
+   - Admins/owner create tokenized invites (time/uses limited).
+   - Any logged-in user can redeem unless banned or group full. A use is
+     claimed atomically (concurrent redemptions cannot exceed maxUses), and
+     only when the caller actually joins: members redeem for free.
+   - Invites bound to an e-mail can only be redeemed by the user who has
+     verified that address.
+   - Admins list (metadata only, never tokens) and revoke invites.
    - Optional policy: treat invite as owner override to cooldown.
    --------------------------- */
 
-// POST /groups/:groupId/invites  (owner)
+// Why an invite can no longer be redeemed (null = usable).
+function inviteUnusableReason(invite) {
+  if (!invite || invite.revokedAt) return 'Invalid invite';
+  if (invite.uses >= invite.maxUses) return 'Invite exhausted';
+  if (invite.disabled) return 'Invalid invite';
+  if (invite.expiresAt <= new Date()) return 'Invite expired';
+  return null;
+}
+
+// Lifecycle state shown in listings.
+function inviteStatus(invite) {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.uses >= invite.maxUses) return 'exhausted';
+  if (invite.disabled) return 'disabled';
+  if (invite.expiresAt <= new Date()) return 'expired';
+  return 'active';
+}
+
+const toInviteOut = invite => ({
+  id: invite._id,
+  createdBy: invite.owner,
+  email: invite.email,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  expiresAt: invite.expiresAt,
+  status: inviteStatus(invite),
+  revokedAt: invite.revokedAt,
+  revokedBy: invite.revokedBy,
+  createdAt: invite.createdAt,
+});
+
+// POST /groups/:groupId/invites  (admin+)
 export async function createInvite(req, res, next) {
   try {
     if (!mongoose.isValidObjectId(req.params.groupId)) {
@@ -429,16 +843,14 @@ export async function createInvite(req, res, next) {
     }
     const group = await Group.findById(req.params.groupId);
     if (!group) return res.status(404).json({ error: 'Group not found' });
-    if (group.owner.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Only owner can create invites' });
-    }
+    assertCan(group, req.user.id, 'invites.create');
 
     // Validate invite params (maxUses, expiresInMinutes).
     const parsed = createInviteSchema.safeParse(req.body || {});
     if (!parsed.success) {
-      return res.status(400).json({ error: 'Invalid invite params', details: parsed.error.issues });
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
     }
-    const { maxUses, expiresInMinutes } = parsed.data;
+    const { maxUses, expiresInMinutes, email } = parsed.data;
     const expiresAt = new Date(Date.now() + Math.max(1, +expiresInMinutes) * 60_000);
 
     // Create token (return raw once; store only hash).
@@ -449,17 +861,36 @@ export async function createInvite(req, res, next) {
       group: group._id,
       owner: req.user.id,
       tokenHash,
-      maxUses: Math.max(1, +maxUses),
+      maxUses: email ? 1 : Math.max(1, +maxUses), // an e-mail-bound invite admits one user
       uses: 0,
       expiresAt,
       disabled: false,
+      email: email || null,
+    });
+
+    await recordAudit(group._id, AUDIT.INVITE_CREATED, {
+      actor: req.user.id,
+      data: { inviteId: invite._id, maxUses: invite.maxUses, expiresAt: invite.expiresAt, emailBound: Boolean(email) },
     });
 
+    if (email) {
+      sendMail({
+        to: email,
+        subject: `You are invited to join ${group.name}`,
+        text:
+          `You have been invited to join the group "${group.name}" (valid until ${invite.expiresAt.toISOString()}).\n\n` +
+          `Sign in with this e-mail address (verified) and redeem the token:\n\n${rawToken}\n\n` +
+          'POST /groups/join-with-invite { "token": "..." }',
+      }).catch(err => logger.error('Invite mail failed', { message: err.message }));
+    }
+
     return res.status(201).json({
       message: 'Invite created',
+      id: invite._id,
       token: rawToken,      // show once to owner
       expiresAt: invite.expiresAt,
       maxUses: invite.maxUses,
+      email: invite.email,
     });
   } catch (err) {
     return next(err);
@@ -475,34 +906,154 @@ export async function joinWithInvite(req, res, next) {
 
     const tokenHash = sha256(token);
     const invite = await Invite.findOne({ tokenHash });
-    if (!invite || invite.disabled) return res.status(400).json({ error: 'Invalid invite' });
-    if (invite.expiresAt <= new Date()) return res.status(400).json({ error: 'Invite expired' });
-    if (invite.uses >= invite.maxUses) return res.status(400).json({ error: 'Invite exhausted' });
+    const unusable = inviteUnusableReason(invite);
+    if (unusable) return res.status(400).json({ error: unusable });
 
     const group = await Group.findById(invite.group);
     if (!group) return res.status(404).json({ error: 'Group not found' });
 
+    // E-mail-bound invites: only the user who verified that address may redeem.
+    if (invite.email) {
+      const user = await User.findById(req.user.id).select('email verified').lean();
+      if (!user || user.email !== invite.email) {
+        return res.status(403).json({ error: 'This invite was issued for a different e-mail address' });
+      }
+      if (!user.verified) {
+        return res.status(403).json({ error: 'Verify your e-mail address to use this invite' });
+      }
+    }
+
     // If banned, cannot bypass owner approval with invite.
     if (group.bannedUsers.some(u => u.toString() === req.user.id)) {
       return res.status(403).json({ error: 'You are banned. Send a join request to the owner to rejoin.' });
     }
 
+    // Already a member: nothing to join, so no use is consumed.
+    if (group.members.some(m => m.toString() === req.user.id)) {
+      return res.json({ message: 'Joined via invite', groupId: group._id });
+    }
+
     // Capacity check.
     if (!capacityOk(group)) return res.status(400).json({ error: 'Group is full' });
 
-    // Idempotent membership add.
-    if (!group.members.some(m => m.toString() === req.user.id)) {
+    // Claim one use atomically; no match means another redemption took the last one.
+    const claimed = await Invite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        disabled: false,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $expr: { $lt: ['$uses', '$maxUses'] },
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (!claimed) return res.status(400).json({ error: 'Invite exhausted' });
+
+    try {
       group.members.push(req.user.id);
       await group.save();
+    } catch (err) {
+      // Not joined: hand the use back.
+      await Invite.updateOne({ _id: invite._id, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+      throw err;
     }
 
-    // Consume invite; disable when spent.
-    invite.uses += 1;
-    if (invite.uses >= invite.maxUses) invite.disabled = true;
-    await invite.save();
+    await recordAudit(group._id, AUDIT.INVITE_REDEEMED, { actor: req.user.id, data: { inviteId: invite._id } });
+    publishGroupEvent(EVENTS.MEMBER_JOINED, group._id, { userId: req.user.id, via: 'invite' });
 
     return res.json({ message: 'Joined via invite', groupId: group._id });
   } catch (err) {
     return next(err);
   }
 }
+
+// GET /groups/:groupId/invites?before=|after=&limit=  (admin+)
+// Newest first; metadata only — tokens are never stored or returned.
+export async function listInvites(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid groupId' });
+    }
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(parsed) });
+    }
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    assertCan(group, req.user.id, 'invites.manage');
+
+    const page = buildPage(parsed.data);
+    const invites = await Invite.find({ group: group._id, ...page.filter })
+      .sort(page.sort)
+      .limit(page.limit)
+      .lean();
+
+    const { items, nextCursor } = page.finish(invites, 'desc');
+    return res.json({ items: items.map(toInviteOut), nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// DELETE /groups/:groupId/invites/:inviteId  (admin+; idempotent)
+export async function revokeInvite(req, res, next) {
+  try {
+    const { groupId, inviteId } = req.params;
+    if (!mongoose.isValidObjectId(groupId)) return res.status(400).json({ error: 'Invalid groupId' });
+    if (!mongoose.isValidObjectId(inviteId)) return res.status(400).json({ error: 'Invalid inviteId' });
+
+    const group = await Group.findById(groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    assertCan(group, req.user.id, 'invites.manage');
+
+    const invite = await Invite.findOne({ _id: inviteId, group: group._id });
+    if (!invite) return res.status(404).json({ error: 'Invite not found' });
+    if (invite.revokedAt) return res.json(toInviteOut(invite));
+
+    invite.disabled = true;
+    invite.revokedAt = new Date();
+    invite.revokedBy = req.user.id;
+    await invite.save();
+
+    await recordAudit(group._id, AUDIT.INVITE_REVOKED, { actor: req.user.id, data: { inviteId: invite._id } });
+
+    return res.json(toInviteOut(invite));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /invites/preview?token=  (no auth)
+// What the invitee is about to join. Reveals nothing beyond the group's public
+// profile and size; the token itself is the credential.
+export async function previewInvite(req, res, next) {
+  try {
+    const parsed = invitePreviewSchema.safeParse(req.query);
+    if (!parsed.success) return res.status(400).json({ error: 'Missing token' });
+
+    const invite = await Invite.findOne({ tokenHash: sha256(parsed.data.token) }).lean();
+    const unusable = inviteUnusableReason(invite);
+    if (unusable) return res.status(400).json({ error: unusable });
+
+    const group = await Group.findById(invite.group).select('name type description topic members maxMembers').lean();
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+
+    return res.json({
+      group: {
+        id: group._id,
+        name: group.name,
+        type: group.type,
+        description: group.description ?? '',
+        topic: group.topic ?? '',
+        memberCount: group.members.length,
+        full: !capacityOk(group),
+      },
+      expiresAt: invite.expiresAt,
+      usesLeft: invite.maxUses - invite.uses,
+      emailBound: Boolean(invite.email),
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
@@ -1,19 +1,224 @@
 // src/controllers/messageController.js
 // Purpose: Send and retrieve AES-128-GCM encrypted messages per group.
+// - Each group has its own data key (envelope encryption, utils/groupKeys.js).
 // - Members-only access (owner or member).
 // - sendMessage: validates text and stores encrypted payload.
-// - listMessages: decrypts on read.
+// - listMessages: cursor-paginated; decrypts only the returned page.
 // - pollEvents: simple "simulated realtime" via polling.
+// - New messages are also published on the group event bus for live push.
+// - streamEvents: Server-Sent Events feed with Last-Event-ID resume.
+// - editMessage / deleteMessage: sender edits; sender or moderators delete.
+//   Earlier texts are kept as encrypted revisions; deletes leave a tombstone.
+// - Threads: messages may reply to another message of the same group; listings
+//   carry a quoted preview and per-root reply counts (listThread for the rest).
+// - Reactions: one row per (message, user, emoji); listings aggregate counts
+//   and flag the caller's own reactions.
+// - Read receipts: server-side read marker per user per group (markRead);
+//   listReaders can be switched off per group (settings.readReceipts).
+// - Attachments: uploaded via attachmentController, then referenced here by
+//   `attachmentIds`; deleting a message deletes its files.
+// - Search: blind keyword index (utils/blindIndex.js) written on send/edit.
+// - Retention: `expiresAt` is stamped from the group's policy at send time
+//   (utils/retention.js); expired messages are purged by a background job and
+//   hidden from every read (`notExpired()`) until then.
 
 import { z } from 'zod';
+import mongoose from 'mongoose';
 import Group from '../models/Group.js';
 import Message from '../models/Message.js';
+import Reaction from '../models/Reaction.js';
+import ReadMarker from '../models/ReadMarker.js';
+import Attachment from '../models/Attachment.js';
 import { encryptMessage, decryptMessage } from '../utils/crypto.js';
+import { getGroupKey } from '../utils/groupKeys.js';
+import { publishGroupEvent, onGroupEvent, EVENTS } from '../utils/groupEvents.js';
+import { encodeCursor, decodeCursor, afterCursorFilter, comparePositions } from '../utils/cursor.js';
+import { buildPage } from '../utils/pagination.js';
+import { isSessionActive } from '../utils/session.js';
+import { pageQuerySchema } from '../validators/paginationSchemas.js';
+import { can } from '../utils/permissions.js';
+import { advanceReadMarker, countUnread } from '../utils/readMarkers.js';
+import { deleteAttachments } from '../utils/attachmentStore.js';
+import { searchEnabled, blindTokens, searchFields } from '../utils/blindIndex.js';
+import { slowModeWait, releaseSlowModeSlot } from '../utils/slowMode.js';
+import { messageExpiry, notExpired } from '../utils/retention.js';
+
+const SSE_HEARTBEAT_MS = 25_000;
+const SSE_REPLAY_BATCH = 200;
+const SSE_SENT_IDS_KEPT = 1000;
+const MAX_REVISIONS = 50; // oldest revisions are dropped beyond this
+const PREVIEW_CHARS = 120; // quoted reply preview length
+const MAX_ATTACHMENTS = 10; // per message
 
 // Keep message within reasonable bounds (storage/transport).
-const sendSchema = z.object({
+const editSchema = z.object({
   text: z.string().min(1, 'Message cannot be empty').max(5000, 'Message too long'),
 });
+const objectId = z.string().refine(mongoose.isValidObjectId, 'Invalid id');
+// Text may be empty only when the message carries attachments.
+const sendSchema = z
+  .object({
+    text: z.string().max(5000, 'Message too long').optional().default(''),
+    replyTo: objectId.optional(),
+    attachmentIds: z.array(objectId).max(MAX_ATTACHMENTS, `At most ${MAX_ATTACHMENTS} attachments`).optional().default([]),
+  })
+  .refine(m => m.text.length > 0 || m.attachmentIds.length > 0, {
+    message: 'Message cannot be empty',
+    path: ['text'],
+  });
+
+// A single emoji (incl. skin tones / ZWJ sequences), no text or whitespace.
+const emojiSchema = z
+  .string()
+  .max(32, 'Emoji too long')
+  .regex(/^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200D|\uFE0F)+$/u, 'Must be an emoji')
+  .refine(e => /\p{Extended_Pictographic}/u.test(e), 'Must be an emoji');
+const reactionSchema = z.object({ emoji: emojiSchema });
+
+const searchSchema = z.object({
+  q: z.string().trim().min(1, 'q is required').max(200, 'q too long'),
+});
+
+// Omit messageId to mark everything up to the latest message as read.
+const markReadSchema = z.object({
+  messageId: z.string().refine(mongoose.isValidObjectId, 'Invalid message id').optional(),
+});
+
+// Shape a stored message for clients (decrypts the payload with the group key).
+// `sender` may be a populated { _id, email } doc or a bare ObjectId.
+// Tombstones keep their place in the timeline but carry no text.
+function toMessageOut(m, groupKey) {
+  const deleted = Boolean(m.deletedAt);
+  return {
+    id: m._id,
+    sender: {
+      _id: m.sender?._id ?? m.sender,
+      email: m.sender?.email
+    },
+    createdAt: m.createdAt,
+    editedAt: m.editedAt ?? null,
+    expiresAt: m.expiresAt ?? null,
+    deleted,
+    text: deleted ? null : decryptMessage(m.payload, groupKey),
+  };
+}
+
+// Quoted preview of a reply target (`m` with sender populated when available).
+function toQuoteOut(m, groupKey) {
+  const deleted = Boolean(m.deletedAt);
+  const text = deleted ? null : decryptMessage(m.payload, groupKey);
+  return {
+    id: m._id,
+    sender: { _id: m.sender?._id ?? m.sender, email: m.sender?.email },
+    deleted,
+    preview: text && text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}…` : text,
+  };
+}
+
+// Attachment metadata for clients (filename is stored encrypted).
+function toAttachmentOut(a, groupKey) {
+  return {
+    id: a._id,
+    filename: decryptMessage(a.filename, groupKey),
+    mimeType: a.mimeType,
+    size: a.size,
+  };
+}
+
+// Shape a page of stored messages: toMessageOut + quoted reply previews,
+// reply counts for thread roots, reaction summaries for `viewerId` and
+// attachment metadata (four extra queries per page, not per message).
+async function toMessagesOut(msgs, groupKey, viewerId) {
+  const replyIds = [...new Set(msgs.filter(m => m.replyTo).map(m => m.replyTo.toString()))];
+  const rootIds = msgs.filter(m => !m.threadRoot).map(m => m._id);
+  const viewer = new mongoose.Types.ObjectId(viewerId);
+  const attachmentIds = msgs.flatMap(m => (m.deletedAt ? [] : m.attachments || []));
+
+  const [quoted, counts, reactionRows, files] = await Promise.all([
+    replyIds.length
+      ? Message.find({ $and: [{ _id: { $in: replyIds } }, notExpired()] }).populate('sender', 'email').lean()
+      : [],
+    rootIds.length
+      ? Message.aggregate([
+        { $match: { threadRoot: { $in: rootIds }, deletedAt: null, ...notExpired() } },
+        { $group: { _id: '$threadRoot', count: { $sum: 1 } } },
+      ])
+      : [],
+    msgs.length
+      ? Reaction.aggregate([
+        { $match: { message: { $in: msgs.map(m => m._id) } } },
+        {
+          $group: {
+            _id: { message: '$message', emoji: '$emoji' },
+            count: { $sum: 1 },
+            me: { $max: { $eq: ['$user', viewer] } },
+            first: { $min: '$createdAt' },
+          },
+        },
+        { $sort: { first: 1 } },
+      ])
+      : [],
+    attachmentIds.length
+      ? Attachment.find({ _id: { $in: attachmentIds } }).lean()
+      : [],
+  ]);
+
+  const attachments = new Map(files.map(a => [a._id.toString(), toAttachmentOut(a, groupKey)]));
+
+  // messageId -> [{ emoji, count, me }] in order of first use
+  const reactions = new Map();
+  for (const r of reactionRows) {
+    const key = r._id.message.toString();
+    if (!reactions.has(key)) reactions.set(key, []);
+    reactions.get(key).push({ emoji: r._id.emoji, count: r.count, me: r.me });
+  }
+
+  const quotes = new Map(quoted.map(q => [q._id.toString(), toQuoteOut(q, groupKey)]));
+  const replyCounts = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  return msgs.map(m => ({
+    ...toMessageOut(m, groupKey),
+    replyTo: m.replyTo ? quotes.get(m.replyTo.toString()) ?? null : null,
+    threadRoot: m.threadRoot ?? null,
+    replyCount: replyCounts.get(m._id.toString()) ?? 0,
+    reactions: reactions.get(m._id.toString()) ?? [],
+    attachments: m.deletedAt
+      ? []
+      : (m.attachments || []).map(id => attachments.get(id.toString())).filter(Boolean),
+  }));
+}
+
+// Load group + message for a per-message route, enforcing membership.
+// Returns { group, msg } or sends the error response and returns null.
+async function loadMessageForMember(req, res, { param = 'messageId', select = '' } = {}) {
+  const { groupId } = req.params;
+  const messageId = req.params[param];
+  if (!mongoose.isValidObjectId(groupId)) {
+    res.status(400).json({ error: 'Invalid groupId' });
+    return null;
+  }
+  if (!mongoose.isValidObjectId(messageId)) {
+    res.status(400).json({ error: `Invalid ${param}` });
+    return null;
+  }
+
+  const group = await Group.findById(groupId);
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  if (!group.members.some(m => m.toString() === req.user.id)) {
+    res.status(403).json({ error: 'Join group first' });
+    return null;
+  }
+
+  const msg = await Message.findOne({ _id: messageId, group: group._id, ...notExpired() }).select(select);
+  if (!msg) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+  return { group, msg };
+}
 
 // POST /messages/:groupId
 export async function sendMessage(req, res, next) {
@@ -24,7 +229,7 @@ export async function sendMessage(req, res, next) {
       const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
       return res.status(400).json({ error: 'Validation failed', errors });
     }
-    const { text } = parsed.data;
+    const { text, replyTo, attachmentIds } = parsed.data;
 
     const group = await Group.findById(req.params.groupId);
     if (!group) return res.status(404).json({ error: 'Group not found' });
@@ -34,20 +239,110 @@ export async function sendMessage(req, res, next) {
       return res.status(403).json({ error: 'Join group first' });
     }
 
-    // Encrypt at write-time (AES-128-GCM).
-    const payload = encryptMessage(text);
-    const msg = await Message.create({ group: group._id, sender: req.user.id, payload });
+    // Replies must target a live message of this same group (cross-group ids
+    // look exactly like missing ones, so nothing leaks about other groups).
+    let parent = null;
+    if (replyTo) {
+      parent = await Message.findOne({ _id: replyTo, group: group._id, ...notExpired() }).populate('sender', 'email').lean();
+      if (!parent) return res.status(400).json({ error: 'Reply target not found in this group' });
+      if (parent.deletedAt) return res.status(400).json({ error: 'Cannot reply to a deleted message' });
+    }
+
+    // Slow mode (moderators+ exempt); only sends that passed validation count,
+    // and the slot is given back below if the message is not stored.
+    const wait = await slowModeWait(group, req.user.id);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: `Slow mode is on: wait ${wait}s before posting again`, retryAfter: wait });
+    }
+
+    const messageId = new mongoose.Types.ObjectId();
+    const uniqueAttachmentIds = [...new Set(attachmentIds)];
+    let groupKey;
+    let msg = null;
+    try {
+      // Claim attachments atomically: each must be a completed upload of the
+      // caller's, in this group, not already used by another message.
+      if (uniqueAttachmentIds.length) {
+        const claim = await Attachment.updateMany(
+          { _id: { $in: uniqueAttachmentIds }, group: group._id, uploader: req.user.id, status: 'ready', message: null },
+          { $set: { message: messageId } }
+        );
+        if (claim.modifiedCount !== uniqueAttachmentIds.length) {
+          await Attachment.updateMany({ message: messageId }, { $set: { message: null } });
+          return res.status(400).json({ error: 'Attachments must be your own completed, unused uploads in this group' });
+        }
+      }
 
-    return res.status(201).json({ id: msg._id, createdAt: msg.createdAt });
+      // Encrypt at write-time (AES-128-GCM) under the group's own data key.
+      groupKey = await getGroupKey(group);
+      const payload = encryptMessage(text, groupKey);
+      const createdAt = new Date();
+      try {
+        msg = await Message.create({
+          _id: messageId,
+          group: group._id,
+          sender: req.user.id,
+          payload,
+          createdAt,
+          expiresAt: messageExpiry(group, createdAt),
+          replyTo: parent?._id ?? null,
+          threadRoot: parent ? parent.threadRoot ?? parent._id : null,
+          attachments: uniqueAttachmentIds,
+          ...searchFields(group._id, text),
+        });
+      } catch (err) {
+        await Attachment.updateMany({ message: messageId }, { $set: { message: null } });
+        throw err;
+      }
+    } finally {
+      if (!msg) await releaseSlowModeSlot(group, req.user.id);
+    }
+    const files = uniqueAttachmentIds.length
+      ? await Attachment.find({ _id: { $in: uniqueAttachmentIds } }).lean()
+      : [];
+
+    // Live push to subscribers (plaintext stays in-process; only ciphertext is stored).
+    publishGroupEvent(EVENTS.MESSAGE_CREATED, group._id, {
+      message: {
+        id: msg._id,
+        sender: { _id: msg.sender, email: req.user.email },
+        createdAt: msg.createdAt,
+        editedAt: null,
+        expiresAt: msg.expiresAt,
+        deleted: false,
+        text,
+        replyTo: parent ? toQuoteOut(parent, groupKey) : null,
+        threadRoot: msg.threadRoot,
+        replyCount: 0,
+        reactions: [],
+        attachments: files.map(a => toAttachmentOut(a, groupKey)),
+      },
+    });
+
+    return res.status(201).json({
+      id: msg._id,
+      createdAt: msg.createdAt,
+      expiresAt: msg.expiresAt,
+      threadRoot: msg.threadRoot,
+    });
   } catch (err) {
     return next(err);
   }
 }
 
-// GET /messages/:groupId
-// GET /messages/:groupId
+// GET /messages/:groupId?before=|after=&limit=&since=
+// Returns { items, nextCursor }; items are oldest -> newest within the page.
+// Default (no cursor) is the most recent page; pass nextCursor back as `before`
+// to go further back in history (or as `after` when paging forward).
 export async function listMessages(req, res, next) {
   try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
     const group = await Group.findById(req.params.groupId);
     if (!group) return res.status(404).json({ error: 'Group not found' });
 
@@ -55,34 +350,302 @@ export async function listMessages(req, res, next) {
       return res.status(403).json({ error: 'Join group first' });
     }
 
+    const page = buildPage(parsed.data);
+
+    // Optional lower bound kept for backwards compatibility with ?since=
     const since = req.query.since ? new Date(req.query.since) : null;
-    const filter = { group: group._id };
+    const filter = { group: group._id, ...page.filter };
     if (since) filter.createdAt = { $gt: since };
 
     // Include minimal sender details so UI can show author
-    const msgs = await Message.find(filter)
-      .sort({ createdAt: 1 })
+    const msgs = await Message.find({ $and: [filter, notExpired()] })
+      .sort(page.sort)
+      .limit(page.limit)
       .populate('sender', 'email')   // <— add other safe fields if you have them
       .lean();
 
-    const out = msgs.map(m => ({
-      id: m._id,
-      sender: {
-        _id: m.sender?._id ?? m.sender,
-        email: m.sender?.email
+    // Decrypt only the page being returned
+    const { items, nextCursor } = page.finish(msgs, 'asc');
+    const groupKey = await getGroupKey(group);
+
+    return res.json({ items: await toMessagesOut(items, groupKey, req.user.id), nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /messages/:groupId/search?q=&before=|after=&limit=
+// Whole-word search (all terms must match) via the blind index; newest first.
+// Only the returned page is decrypted.
+export async function searchMessages(req, res, next) {
+  try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    const query = searchSchema.safeParse(req.query);
+    if (!parsed.success || !query.success) {
+      const issues = [...(parsed.error?.issues ?? []), ...(query.error?.issues ?? [])];
+      const errors = issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    if (!searchEnabled()) return res.status(503).json({ error: 'Search is not configured' });
+
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    if (!group.members.some(m => m.toString() === req.user.id)) {
+      return res.status(403).json({ error: 'Join group first' });
+    }
+
+    const tokens = blindTokens(group._id, query.data.q);
+    if (tokens.length === 0) {
+      return res.status(400).json({ error: 'Search terms must be at least 2 characters' });
+    }
+
+    const page = buildPage(parsed.data);
+    const msgs = await Message.find({
+      $and: [{ group: group._id, searchTokens: { $all: tokens }, deletedAt: null, ...page.filter }, notExpired()],
+    })
+      .sort(page.sort)
+      .limit(page.limit)
+      .populate('sender', 'email')
+      .lean();
+
+    const { items, nextCursor } = page.finish(msgs, 'desc');
+    const groupKey = await getGroupKey(group);
+
+    return res.json({ items: await toMessagesOut(items, groupKey, req.user.id), nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /messages/:groupId/threads/:rootId?before=|after=&limit=
+// Returns { root, items, nextCursor }: the top-level message plus a page of its
+// replies (oldest -> newest). Any message id of the thread resolves to its root.
+export async function listThread(req, res, next) {
+  try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const loaded = await loadMessageForMember(req, res, { param: 'rootId' });
+    if (!loaded) return;
+    const { group } = loaded;
+
+    let root = loaded.msg;
+    if (root.threadRoot) {
+      root = await Message.findOne({ _id: root.threadRoot, group: group._id, ...notExpired() });
+      if (!root) return res.status(404).json({ error: 'Message not found' });
+    }
+    await root.populate('sender', 'email');
+
+    const page = buildPage(parsed.data);
+    const replies = await Message.find({ $and: [{ group: group._id, threadRoot: root._id, ...page.filter }, notExpired()] })
+      .sort(page.sort)
+      .limit(page.limit)
+      .populate('sender', 'email')
+      .lean();
+
+    const { items, nextCursor } = page.finish(replies, 'asc');
+    const groupKey = await getGroupKey(group);
+    const [rootOut] = await toMessagesOut([root.toObject()], groupKey, req.user.id);
+
+    return res.json({ root: rootOut, items: await toMessagesOut(items, groupKey, req.user.id), nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PATCH /messages/:groupId/:messageId  { text }  (sender only)
+// The current text moves into `revisions` (re-encrypted under the group key),
+// conditional on the payload we read, so concurrent edits cannot lose a revision.
+export async function editMessage(req, res, next) {
+  try {
+    const parsed = editSchema.safeParse(req.body);
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    const { text } = parsed.data;
+
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) return;
+    const { group, msg } = loaded;
+
+    if (msg.sender.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Only the sender can edit a message' });
+    }
+    if (msg.deletedAt) return res.status(410).json({ error: 'Message was deleted' });
+
+    const groupKey = await getGroupKey(group);
+    const previous = decryptMessage(msg.payload, groupKey);
+    if (previous === text) return res.json({ id: msg._id, editedAt: msg.editedAt });
+
+    const editedAt = new Date();
+    const result = await Message.updateOne(
+      { _id: msg._id, payload: msg.payload, deletedAt: null },
+      {
+        $set: { payload: encryptMessage(text, groupKey), editedAt, ...searchFields(group._id, text) },
+        // Search switched off: drop the old text's tokens rather than keep them
+        // under a still-current searchKey (the backfill would not revisit them).
+        ...(searchEnabled() ? {} : { $unset: { searchTokens: 1, searchKey: 1 } }),
+        $push: {
+          revisions: {
+            $each: [{ payload: encryptMessage(previous, groupKey), createdAt: msg.editedAt ?? msg.createdAt }],
+            $slice: -MAX_REVISIONS,
+          },
+        },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ error: 'Message changed concurrently, retry' });
+    }
+
+    publishGroupEvent(EVENTS.MESSAGE_EDITED, group._id, {
+      message: {
+        id: msg._id,
+        sender: { _id: msg.sender, email: req.user.email },
+        createdAt: msg.createdAt,
+        editedAt,
+        deleted: false,
+        text,
+        threadRoot: msg.threadRoot ?? null,
       },
-      createdAt: m.createdAt,
-      text: decryptMessage(m.payload),
+    });
+
+    return res.json({ id: msg._id, editedAt });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// DELETE /messages/:groupId/:messageId  (sender, or moderator and above)
+// Leaves a tombstone: payload and every revision are removed for good.
+export async function deleteMessage(req, res, next) {
+  try {
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) return;
+    const { group, msg } = loaded;
+
+    const isSender = msg.sender.toString() === req.user.id;
+    if (!isSender && !can(group, req.user.id, 'messages.delete')) {
+      return res.status(403).json({ error: 'Only the sender or a moderator can delete this message' });
+    }
+    if (msg.deletedAt) return res.json({ message: 'Message already deleted' });
+
+    const deletedAt = new Date();
+    const result = await Message.updateOne(
+      { _id: msg._id, deletedAt: null },
+      { $set: { deletedAt, deletedBy: req.user.id }, $unset: { payload: 1, revisions: 1, searchTokens: 1, searchKey: 1 } }
+    );
+    if (result.modifiedCount === 0) return res.json({ message: 'Message already deleted' });
+    await Reaction.deleteMany({ message: msg._id });
+    await deleteAttachments(msg.attachments || []);
+
+    publishGroupEvent(EVENTS.MESSAGE_DELETED, group._id, {
+      messageId: msg._id,
+      deletedAt,
+      by: req.user.id,
+    });
+
+    return res.json({ message: 'Message deleted' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /messages/:groupId/:messageId/reactions  { emoji }  (members only)
+// Idempotent: 201 when added, 200 if the caller already reacted with it.
+export async function addReaction(req, res, next) {
+  try {
+    const parsed = reactionSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    const { emoji } = parsed.data;
+
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) return;
+    const { group, msg } = loaded;
+    if (msg.deletedAt) return res.status(410).json({ error: 'Message was deleted' });
+
+    let added = false;
+    try {
+      const result = await Reaction.updateOne(
+        { message: msg._id, user: req.user.id, emoji },
+        { $setOnInsert: { group: group._id } },
+        { upsert: true }
+      );
+      added = result.upsertedCount > 0;
+    } catch (err) {
+      if (err.code !== 11000) throw err; // concurrent duplicate = already reacted
+    }
+
+    if (added) {
+      publishGroupEvent(EVENTS.REACTION_ADDED, group._id, { messageId: msg._id, userId: req.user.id, emoji });
+    }
+    return res.status(added ? 201 : 200).json({ messageId: msg._id, emoji, added });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// DELETE /messages/:groupId/:messageId/reactions/:emoji  (own reaction; idempotent)
+export async function removeReaction(req, res, next) {
+  try {
+    const parsed = emojiSchema.safeParse(req.params.emoji);
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: 'emoji', message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+    const emoji = parsed.data;
+
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) return;
+    const { group, msg } = loaded;
+
+    const { deletedCount } = await Reaction.deleteOne({ message: msg._id, user: req.user.id, emoji });
+    if (deletedCount) {
+      publishGroupEvent(EVENTS.REACTION_REMOVED, group._id, { messageId: msg._id, userId: req.user.id, emoji });
+    }
+    return res.json({ messageId: msg._id, emoji, removed: deletedCount > 0 });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /messages/:groupId/:messageId/revisions
+// Earlier texts, oldest first, followed by the current one. When the group
+// hides revision history, only the sender may read it.
+export async function listRevisions(req, res, next) {
+  try {
+    const loaded = await loadMessageForMember(req, res, { select: '+revisions' });
+    if (!loaded) return;
+    const { group, msg } = loaded;
+
+    const isSender = msg.sender.toString() === req.user.id;
+    if (group.settings?.revisionHistoryVisible === false && !isSender) {
+      return res.status(403).json({ error: 'Revision history is hidden in this group' });
+    }
+    if (msg.deletedAt) return res.status(410).json({ error: 'Message was deleted' });
+
+    const groupKey = await getGroupKey(group);
+    const revisions = (msg.revisions || []).map(r => ({
+      createdAt: r.createdAt,
+      text: decryptMessage(r.payload, groupKey),
     }));
+    revisions.push({ createdAt: msg.editedAt ?? msg.createdAt, text: decryptMessage(msg.payload, groupKey), current: true });
 
-    return res.json(out);
+    return res.json({ id: msg._id, revisions });
   } catch (err) {
     return next(err);
   }
 }
 
-// GET /messages/:groupId/poll
-// Simulated realtime: counts new messages since a timestamp.
+// GET /messages/:groupId/poll?since=
+// Simulated realtime: counts new messages since a timestamp. Without `since`,
+// counts unread messages from the caller's server-side read marker instead.
 export async function pollEvents(req, res, next) {
   try {
     const group = await Group.findById(req.params.groupId);
@@ -91,11 +654,238 @@ export async function pollEvents(req, res, next) {
       return res.status(403).json({ error: 'Join group first' });
     }
 
-    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 60_000);
-    const msgs = await Message.find({ group: group._id, createdAt: { $gt: since } }).sort({ createdAt: 1 });
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      const newMessages = await Message.countDocuments({ group: group._id, createdAt: { $gt: since }, ...notExpired() });
+      return res.json({ newMessages, lastChecked: new Date().toISOString() });
+    }
+
+    const marker = await ReadMarker.findOne({ group: group._id, user: req.user.id }).lean();
+    const unread = await countUnread(group._id, req.user.id, marker);
 
-    return res.json({ newMessages: msgs.length, lastChecked: new Date().toISOString() });
+    return res.json({
+      newMessages: unread,
+      unreadCount: unread,
+      lastReadMessage: marker?.lastReadMessage ?? null,
+      lastChecked: new Date().toISOString(),
+    });
   } catch (err) {
     return next(err);
   }
 }
+
+// POST /messages/:groupId/read  { messageId? }
+// Moves the caller's read marker forward (never back). Other members are told
+// via `messages.read` only while the group has read receipts enabled.
+export async function markRead(req, res, next) {
+  try {
+    const parsed = markReadSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    if (!group.members.some(m => m.toString() === req.user.id)) {
+      return res.status(403).json({ error: 'Join group first' });
+    }
+
+    const { messageId } = parsed.data;
+    const target = messageId
+      ? await Message.findOne({ _id: messageId, group: group._id, ...notExpired() }).select('createdAt').lean()
+      : await Message.findOne({ group: group._id, ...notExpired() }).sort({ createdAt: -1, _id: -1 }).select('createdAt').lean();
+    if (!target) {
+      return messageId
+        ? res.status(404).json({ error: 'Message not found' })
+        : res.json({ lastReadMessage: null, lastReadAt: null, unreadCount: 0 });
+    }
+
+    const marker = await advanceReadMarker(group._id, req.user.id, target);
+    const unreadCount = await countUnread(group._id, req.user.id, marker);
+
+    if (group.settings?.readReceipts !== false && marker.lastReadMessage.equals(target._id)) {
+      publishGroupEvent(EVENTS.MESSAGES_READ, group._id, {
+        userId: req.user.id,
+        messageId: marker.lastReadMessage,
+        readAt: marker.readAt,
+      });
+    }
+
+    return res.json({ lastReadMessage: marker.lastReadMessage, lastReadAt: marker.lastReadAt, unreadCount });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /messages/:groupId/:messageId/readers
+// Members whose read marker is at or past this message (sender excluded).
+export async function listReaders(req, res, next) {
+  try {
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) return;
+    const { group, msg } = loaded;
+
+    if (group.settings?.readReceipts === false) {
+      return res.status(403).json({ error: 'Read receipts are turned off in this group' });
+    }
+
+    const markers = await ReadMarker.find({
+      group: group._id,
+      user: { $in: group.members.filter(m => !m.equals(msg.sender)) },
+      $or: [
+        { lastReadAt: { $gt: msg.createdAt } },
+        { lastReadAt: msg.createdAt, lastReadMessage: { $gte: msg._id } },
+      ],
+    })
+      .populate('user', 'email')
+      .sort({ readAt: 1 })
+      .lean();
+
+    return res.json({
+      id: msg._id,
+      readers: markers.map(m => ({ user: { _id: m.user._id, email: m.user.email }, readAt: m.readAt })),
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// Write one SSE frame. Only message events carry an `id`, so Last-Event-ID
+// always points at the last message the client actually received.
+function writeSse(res, { id, event, data }) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// GET /messages/:groupId/stream
+// Server-Sent Events feed of new messages + group events (WebSocket fallback).
+// - Resume: `Last-Event-ID` header (or ?lastEventId=) replays every message
+//   after that position in (createdAt, _id) order, then switches to live.
+//   Messages deleted in the meantime are replayed as `message.deleted`.
+// - Live events arriving during the replay are buffered and de-duplicated by
+//   message id (not by position: concurrent sends may publish out of order).
+// - A frame's `id` only ever moves forward, so Last-Event-ID is the furthest
+//   position delivered; a message published late is sent without one.
+// - The stream ends as soon as the caller leaves / is banished / group is deleted,
+//   or when their session is revoked (checked on each heartbeat).
+export async function streamEvents(req, res, next) {
+  try {
+    const group = await Group.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+
+    if (!group.members.some(m => m.toString() === req.user.id)) {
+      return res.status(403).json({ error: 'Join group first' });
+    }
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const resumeFrom = lastEventId ? decodeCursor(lastEventId) : null;
+    if (lastEventId && !resumeFrom) {
+      return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const groupId = group._id.toString();
+    let furthest = resumeFrom;       // furthest position written (frame ids)
+    let replaying = true;
+    const pending = [];              // live events buffered during replay
+    const sentIds = new Set();       // recently written message ids (bounded)
+    let closed = false;
+
+    // Write a message-position frame once per message id.
+    const sendPositioned = (message, event, data) => {
+      const key = message.id.toString();
+      if (sentIds.has(key)) return;
+      sentIds.add(key);
+      if (sentIds.size > SSE_SENT_IDS_KEPT) sentIds.delete(sentIds.values().next().value);
+
+      const position = { createdAt: message.createdAt, id: message.id };
+      const advances = !furthest || comparePositions(position, furthest) > 0;
+      writeSse(res, { id: advances ? encodeCursor(message) : undefined, event, data });
+      if (advances) furthest = position;
+    };
+
+    const sendMessageEvent = message => sendPositioned(message, EVENTS.MESSAGE_CREATED, message);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const handle = event => {
+      if (event.type === EVENTS.MESSAGE_CREATED) return sendMessageEvent(event.data.message);
+
+      writeSse(res, { event: event.type, data: event });
+
+      const cutOff =
+        event.type === EVENTS.GROUP_DELETED ||
+        ((event.type === EVENTS.MEMBER_LEFT || event.type === EVENTS.MEMBER_BANISHED) &&
+          event.data.userId === req.user.id);
+      if (cutOff) close();
+    };
+
+    // Subscribe BEFORE replaying so nothing published in between is lost.
+    const unsubscribe = onGroupEvent(event => {
+      if (closed || event.groupId !== groupId) return;
+      if (replaying) return pending.push(event);
+      handle(event);
+    });
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      isSessionActive(req.user.sid)
+        .then(active => { if (!active) close(); })
+        .catch(() => {});
+    }, SSE_HEARTBEAT_MS);
+    req.on('close', close);
+
+    // Replay everything the client missed, in batches, oldest first.
+    if (resumeFrom) {
+      const groupKey = await getGroupKey(group);
+      let replayFrom = resumeFrom;
+      for (;;) {
+        const batch = await Message.find({ $and: [{ group: group._id, ...afterCursorFilter(replayFrom) }, notExpired()] })
+          .sort({ createdAt: 1, _id: 1 })
+          .limit(SSE_REPLAY_BATCH)
+          .populate('sender', 'email')
+          .lean();
+        const out = await toMessagesOut(batch, groupKey, req.user.id);
+        if (closed) return;
+        batch.forEach((m, i) => {
+          if (!m.deletedAt) return sendMessageEvent(out[i]);
+          // Tombstone: the client may hold the original, so tell it to drop it.
+          return sendPositioned(out[i], EVENTS.MESSAGE_DELETED, {
+            type: EVENTS.MESSAGE_DELETED,
+            groupId,
+            data: { messageId: m._id, deletedAt: m.deletedAt, by: m.deletedBy ?? null },
+            at: m.deletedAt,
+          });
+        });
+        if (batch.length < SSE_REPLAY_BATCH) break;
+        const last = batch[batch.length - 1];
+        replayFrom = { createdAt: last.createdAt, id: last._id };
+      }
+    }
+
+    replaying = false;
+    while (pending.length && !closed) handle(pending.shift());
+  } catch (err) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    return next(err);
+  }
+}
@@ -0,0 +1,76 @@
+// src/controllers/presenceController.js
+// Purpose: Presence (online / idle / offline + last seen) and typing indicators.
+// - heartbeat: clients call this every ~30s (WebSocket connections count too).
+// - setTypingStatus: members only; typing flags expire on their own (TTL).
+// - groupPresence: members only — non-members never see a group's presence.
+
+import mongoose from 'mongoose';
+import Group from '../models/Group.js';
+import { touchPresence, setTyping, presenceSnapshot } from '../utils/presence.js';
+import { heartbeatSchema, typingSchema } from '../validators/presenceSchemas.js';
+
+// Loads the group and enforces membership (same rule as messageController).
+// Returns the group or sends the error response and returns null.
+async function loadGroupForMember(req, res) {
+  if (!mongoose.isValidObjectId(req.params.groupId)) {
+    res.status(400).json({ error: 'Invalid groupId' });
+    return null;
+  }
+  const group = await Group.findById(req.params.groupId).select('members');
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  if (!group.members.some(m => m.toString() === req.user.id)) {
+    res.status(403).json({ error: 'Join group first' });
+    return null;
+  }
+  return group;
+}
+
+// POST /presence/heartbeat  { status?: online|idle|offline }
+export async function heartbeat(req, res, next) {
+  try {
+    const parsed = heartbeatSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    await touchPresence(req.user.id, parsed.data.status);
+    return res.json({ status: parsed.data.status });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /messages/:groupId/typing  { typing?: boolean }
+export async function setTypingStatus(req, res, next) {
+  try {
+    const parsed = typingSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      const errors = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const group = await loadGroupForMember(req, res);
+    if (!group) return;
+
+    await setTyping(group._id, req.user.id, parsed.data.typing);
+    return res.json({ typing: parsed.data.typing });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /groups/:groupId/presence
+export async function groupPresence(req, res, next) {
+  try {
+    const group = await loadGroupForMember(req, res);
+    if (!group) return;
+
+    return res.json(await presenceSnapshot(group._id, group.members));
+  } catch (err) {
+    return next(err);
+  }
+}
@@ -0,0 +1,213 @@
+// src/controllers/twoFactorController.js
+// Purpose: TOTP two-factor authentication (RFC 6238).
+// Flow:
+// - enroll: generate a secret (stored encrypted as "pending"), return it + otpauth URL.
+// - confirm: first valid code activates 2FA and returns one-time recovery codes.
+// - login: /auth/login returns a challenge; /auth/2fa/verify exchanges it plus a
+//   TOTP or recovery code for a session.
+// - disable / regenerate recovery codes require a valid second factor.
+// Security:
+// - Secrets encrypted with utils/crypto.js (keyring), never returned after enrollment.
+// - A TOTP step can be used once (lastUsedStep); recovery codes are single-use.
+// - A login challenge is single-use and allows a limited number of code
+//   attempts (utils/session.js); after that the password step starts over.
+// - Disabling 2FA revokes the user's other sessions.
+
+import User from '../models/User.js';
+import { encryptMessage, decryptMessage } from '../utils/crypto.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/totp.js';
+import {
+  createSession,
+  verifyTwoFactorChallenge,
+  consumeTwoFactorChallenge,
+  revokeAllSessions,
+} from '../utils/session.js';
+import {
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
+} from '../validators/userSchemas.js';
+
+// Zod issues -> [{ field, message }]
+function fieldErrors(result) {
+  return result.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message }));
+}
+
+// Accept a TOTP code once: atomically advance lastUsedStep past the matched step.
+async function acceptTotp(user, code) {
+  const step = verifyTotp(decryptMessage(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const res = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return res.modifiedCount === 1;
+}
+
+// Burn one recovery code (atomic $pull; a code works exactly once).
+async function acceptRecoveryCode(user, recoveryCode) {
+  const hash = hashRecoveryCode(recoveryCode);
+  const res = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+  );
+  return res.modifiedCount === 1;
+}
+
+// Verify whichever second factor was supplied (also used by DELETE /me).
+export function acceptSecondFactor(user, { code, recoveryCode }) {
+  return code ? acceptTotp(user, code) : acceptRecoveryCode(user, recoveryCode);
+}
+
+// POST /auth/2fa/enroll  (auth)
+export async function enrollTwoFactor(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor already enabled' });
+
+    const secret = generateTotpSecret();
+    user.set('twoFactor.pendingSecret', encryptMessage(secret));
+    await user.save();
+
+    // Secret is shown only now; the client renders otpauthUrl as a QR code.
+    return res.json({ secret, otpauthUrl: otpauthUrl(secret, user.email) });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/2fa/confirm  (auth)
+export async function confirmTwoFactor(req, res, next) {
+  try {
+    const result = twoFactorCodeSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor already enabled' });
+    if (!user.twoFactor?.pendingSecret) return res.status(400).json({ error: 'Start enrollment first' });
+
+    const step = verifyTotp(decryptMessage(user.twoFactor.pendingSecret), result.data.code);
+    if (step === null) return res.status(400).json({ error: 'Invalid code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.set('twoFactor', {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodeHashes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date(),
+    });
+    await user.save();
+
+    // Recovery codes are shown once; only hashes are stored.
+    return res.json({ message: 'Two-factor enabled', recoveryCodes: codes });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/2fa/verify  (public; second login step)
+export async function verifyTwoFactorLogin(req, res, next) {
+  try {
+    const result = twoFactorLoginSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+
+    let challenge;
+    try {
+      challenge = await verifyTwoFactorChallenge(result.data.challengeToken);
+    } catch (err) {
+      if (err.status === 401) return res.status(401).json({ error: err.message });
+      throw err;
+    }
+
+    // Generic response for every failure below (no detail on which part failed).
+    const user = await User.findById(challenge.userId);
+    if (!user || user.deletingAt || !user.twoFactor?.enabled) return res.status(401).json({ error: 'Invalid code' });
+
+    const ok = await acceptSecondFactor(user, result.data);
+    if (!ok) return res.status(401).json({ error: 'Invalid code' });
+
+    // A challenge yields one session, even if it is replayed with another code.
+    if (!(await consumeTwoFactorChallenge(challenge.challengeId))) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const tokens = await createSession(user, req);
+    return res.json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/2fa/disable  (auth; password + second factor)
+export async function disableTwoFactor(req, res, next) {
+  try {
+    const result = twoFactorDisableSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor is not enabled' });
+
+    const passwordOk = await user.validatePassword(result.data.password);
+    if (!passwordOk || !(await acceptSecondFactor(user, result.data))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false, recoveryCodeHashes: [] } } });
+    await revokeAllSessions(user._id, { reason: '2fa_disabled', except: req.user.sid });
+
+    return res.json({ message: 'Two-factor disabled' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /auth/2fa/recovery-codes  (auth; TOTP code required)
+// Replaces every existing recovery code with a fresh set.
+export async function regenerateRecoveryCodes(req, res, next) {
+  try {
+    const result = twoFactorCodeSchema.safeParse(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', errors: fieldErrors(result) });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor is not enabled' });
+
+    if (!(await acceptTotp(user, result.data.code))) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodeHashes': hashes } });
+
+    return res.json({ recoveryCodes: codes });
+  } catch (err) {
+    return next(err);
+  }
+}
@@ -0,0 +1,255 @@
+// src/controllers/webhookController.js
+// Purpose: Owner-managed outbound webhooks for a group (see utils/webhooks.js).
+// - create/list/update/delete webhooks; the signing secret is returned only on
+//   create and on rotation.
+// - Delivery log per webhook, manual redelivery and a test ping.
+// - Every change is recorded in the group's audit log.
+
+import mongoose from 'mongoose';
+import Group from '../models/Group.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { encryptMessage } from '../utils/crypto.js';
+import { getGroupKey } from '../utils/groupKeys.js';
+import { assertCan } from '../utils/permissions.js';
+import { recordAudit, AUDIT } from '../utils/audit.js';
+import { buildPage } from '../utils/pagination.js';
+import { generateWebhookSecret, enqueueDeliveries, PING_EVENT } from '../utils/webhooks.js';
+import { createWebhookSchema, updateWebhookSchema } from '../validators/webhookSchemas.js';
+import { pageQuerySchema } from '../validators/paginationSchemas.js';
+
+const MAX_WEBHOOKS_PER_GROUP = 10;
+
+const validationFailed = (res, parsed) => res.status(400).json({
+  error: 'Validation failed',
+  errors: parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message })),
+});
+
+const toWebhookOut = w => ({
+  id: w._id,
+  url: w.url,
+  events: w.events,
+  disabled: w.disabled,
+  createdBy: w.createdBy,
+  createdAt: w.createdAt,
+  updatedAt: w.updatedAt,
+});
+
+const toDeliveryOut = d => ({
+  id: d._id,
+  eventId: d.eventId,
+  event: d.event,
+  status: d.status,
+  attemptCount: d.attemptCount,
+  nextAttemptAt: d.status === 'pending' ? d.nextAttemptAt : null,
+  deliveredAt: d.deliveredAt,
+  redeliveryOf: d.redeliveryOf,
+  attempts: d.attempts,
+  createdAt: d.createdAt,
+});
+
+// Loads the group (owner check) and, when the route has one, the webhook.
+// Returns { group, webhook } or sends the error response and returns null.
+async function loadForOwner(req, res) {
+  const { groupId, webhookId } = req.params;
+  if (!mongoose.isValidObjectId(groupId)) {
+    res.status(400).json({ error: 'Invalid groupId' });
+    return null;
+  }
+  if (webhookId !== undefined && !mongoose.isValidObjectId(webhookId)) {
+    res.status(400).json({ error: 'Invalid webhookId' });
+    return null;
+  }
+
+  const group = await Group.findById(groupId).select('+wrappedKey');
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  assertCan(group, req.user.id, 'webhooks.manage');
+
+  if (webhookId === undefined) return { group, webhook: null };
+  const webhook = await Webhook.findOne({ _id: webhookId, group: group._id });
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return { group, webhook };
+}
+
+// POST /groups/:groupId/webhooks  { url, events[] }
+export async function createWebhook(req, res, next) {
+  try {
+    const parsed = createWebhookSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationFailed(res, parsed);
+
+    const loaded = await loadForOwner(req, res);
+    if (!loaded) return;
+    const { group } = loaded;
+
+    if (await Webhook.countDocuments({ group: group._id }) >= MAX_WEBHOOKS_PER_GROUP) {
+      return res.status(409).json({ error: `A group can have at most ${MAX_WEBHOOKS_PER_GROUP} webhooks` });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      group: group._id,
+      url: parsed.data.url,
+      events: parsed.data.events,
+      secret: encryptMessage(secret, await getGroupKey(group)),
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(group._id, AUDIT.WEBHOOK_CREATED, {
+      actor: req.user.id,
+      data: { webhookId: webhook._id, url: webhook.url, events: webhook.events },
+    });
+
+    // The secret is shown once; only its encrypted form is stored
+    return res.status(201).json({ ...toWebhookOut(webhook), secret });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /groups/:groupId/webhooks
+export async function listWebhooks(req, res, next) {
+  try {
+    const loaded = await loadForOwner(req, res);
+    if (!loaded) return;
+
+    const webhooks = await Webhook.find({ group: loaded.group._id }).sort({ createdAt: 1 });
+    return res.json(webhooks.map(toWebhookOut));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// PATCH /groups/:groupId/webhooks/:webhookId  { url?, events?, disabled?, rotateSecret? }
+export async function updateWebhook(req, res, next) {
+  try {
+    const parsed = updateWebhookSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationFailed(res, parsed);
+
+    const loaded = await loadForOwner(req, res);
+    if (!loaded) return;
+    const { group, webhook } = loaded;
+    const { rotateSecret, ...changes } = parsed.data;
+
+    Object.assign(webhook, changes);
+    let secret;
+    if (rotateSecret) {
+      secret = generateWebhookSecret();
+      webhook.secret = encryptMessage(secret, await getGroupKey(group));
+    }
+    await webhook.save();
+
+    await recordAudit(group._id, AUDIT.WEBHOOK_UPDATED, {
+      actor: req.user.id,
+      data: { webhookId: webhook._id, changes, secretRotated: Boolean(rotateSecret) },
+    });
+
+    return res.json(secret ? { ...toWebhookOut(webhook), secret } : toWebhookOut(webhook));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// DELETE /groups/:groupId/webhooks/:webhookId  (its delivery log goes with it)
+export async function deleteWebhook(req, res, next) {
+  try {
+    const loaded = await loadForOwner(req, res);
+    if (!loaded) return;
+    const { group, webhook } = loaded;
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    await recordAudit(group._id, AUDIT.WEBHOOK_DELETED, {
+      actor: req.user.id,
+      data: { webhookId: webhook._id, url: webhook.url },
+    });
+
+    return res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// GET /groups/:groupId/webhooks/:webhookId/deliveries?before=|after=&limit=
+// Newest first; returns { items, nextCursor }.
+export async function listDeliveries(req, res, next) {
+  try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) return validationFailed(res, parsed);
+
+    const loaded = await loadForOwner(req, res);
+    if (!loaded) return;
+
+    const page = buildPage(parsed.data);
+    const deliveries = await WebhookDelivery.find({ webhook: loaded.webhook._id, ...page.filter })
+      .sort(page.sort)
+      .limit(page.limit)
+      .lean();
+
+    const { items, nextCursor } = page.finish(deliveries, 'desc');
+    return res.json({ items: items.map(toDeliveryOut), nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /groups/:groupId/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+// Queues a copy of the original body (same event id) as a new delivery.
+export async function redeliver(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.deliveryId)) {
+      return res.status(400).json({ error: 'Invalid deliveryId' });
+    }
+    const loaded = await loadForOwner(req, res);
+    if (!loaded) return;
+    const { webhook } = loaded;
+
+    if (webhook.disabled) return res.status(409).json({ error: 'Webhook is disabled' });
+
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      .select('+payload');
+    if (!original) return res.status(404).json({ error: 'Delivery not found' });
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      group: original.group,
+      eventId: original.eventId,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id,
+    });
+
+    return res.status(202).json(toDeliveryOut(delivery));
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// POST /groups/:groupId/webhooks/:webhookId/ping
+// Queues a `webhook.ping` delivery to this webhook only (for testing receivers).
+export async function pingWebhook(req, res, next) {
+  try {
+    const loaded = await loadForOwner(req, res);
+    if (!loaded) return;
+    const { group, webhook } = loaded;
+
+    if (webhook.disabled) return res.status(409).json({ error: 'Webhook is disabled' });
+
+    const [delivery] = await enqueueDeliveries([webhook], {
+      type: PING_EVENT,
+      groupId: group._id,
+      data: { webhookId: webhook._id.toString() },
+      at: new Date().toISOString(),
+    });
+
+    return res.status(202).json(toDeliveryOut(delivery));
+  } catch (err) {
+    return next(err);
+  }
+}
@@ -0,0 +1,111 @@
+// src/jobs/backfillSearchIndex.js
+// Purpose
+// -------
+// Builds the blind keyword index (utils/blindIndex.js) for messages written
+// before search existed, or rebuilds it after BLIND_INDEX_KEY_BASE64 changes.
+//
+// Behaviour
+// ---------
+// - Same mechanics as the re-encryption job: batches in `_id` order, progress
+//   persisted in JobState, lease so only one instance runs it (jobs/jobLease.js).
+// - `target` is the index key fingerprint: a new key starts a fresh pass, and
+//   messages already indexed under it are skipped.
+// - Each update is conditional on the payload read, so a concurrent edit
+//   (which re-indexes itself) is never overwritten with stale tokens.
+// - Tombstones and messages of deleted groups are skipped.
+
+import Message from '../models/Message.js';
+import JobState from '../models/JobState.js';
+import logger from '../config/logger.js';
+import { decryptMessage } from '../utils/crypto.js';
+import { getGroupKey } from '../utils/groupKeys.js';
+import { keyFingerprint, searchFields } from '../utils/blindIndex.js';
+import { acquireJobLease, LEASE_MS } from './jobLease.js';
+
+export const JOB_NAME = 'backfill-search-index';
+
+// Current progress snapshot (null if the job never ran).
+export async function getSearchBackfillStatus() {
+  return JobState.findOne({ name: JOB_NAME }).lean();
+}
+
+// Run (or resume) the backfill to completion. Returns the final JobState.
+// `onProgress(state)` is called after every batch.
+export async function runSearchBackfill({ batchSize = 500, onProgress } = {}) {
+  const target = keyFingerprint();
+  if (!target) throw new Error('BLIND_INDEX_KEY_BASE64 is not set; nothing to index');
+
+  const state = await acquireJobLease(JOB_NAME, target);
+  if (!state) {
+    logger.info('Search backfill already running elsewhere; skipping');
+    return getSearchBackfillStatus();
+  }
+
+  try {
+    state.total = await Message.estimatedDocumentCount();
+    const groupKeys = new Map(); // groupId -> data key | null (group deleted)
+
+    for (;;) {
+      const filter = state.cursor ? { _id: { $gt: state.cursor } } : {};
+      const batch = await Message.find(filter)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .select('group payload +searchKey')
+        .lean();
+      if (batch.length === 0) break;
+
+      const ops = [];
+      for (const m of batch) {
+        if (!m.payload || m.searchKey === target) continue; // tombstone / already indexed
+        try {
+          const gid = m.group.toString();
+          if (!groupKeys.has(gid)) {
+            groupKeys.set(gid, await getGroupKey(m.group).catch(err => {
+              if (err.status === 404) return null;
+              throw err;
+            }));
+          }
+          const groupKey = groupKeys.get(gid);
+          if (!groupKey) continue;
+
+          ops.push({
+            updateOne: {
+              filter: { _id: m._id, payload: m.payload },
+              update: { $set: searchFields(m.group, decryptMessage(m.payload, groupKey)) },
+            },
+          });
+        } catch (err) {
+          state.failed += 1;
+          logger.warn('Search backfill: undecryptable payload', { messageId: m._id.toString() });
+        }
+      }
+
+      if (ops.length) {
+        const result = await Message.bulkWrite(ops, { ordered: false });
+        state.migrated += result.modifiedCount;
+      }
+
+      state.processed += batch.length;
+      state.cursor = batch[batch.length - 1]._id;
+      state.leaseUntil = new Date(Date.now() + LEASE_MS);
+      await state.save();
+
+      logger.info('Search backfill progress', {
+        processed: state.processed,
+        total: state.total,
+        indexed: state.migrated,
+        failed: state.failed,
+      });
+      if (onProgress) onProgress(state.toObject());
+    }
+
+    state.set({ status: 'completed', finishedAt: new Date(), leaseUntil: null });
+    await state.save();
+    logger.info('Search backfill completed', { indexed: state.migrated, failed: state.failed });
+    return state.toObject();
+  } catch (err) {
+    state.set({ status: 'failed', lastError: err.message, leaseUntil: null });
+    await state.save();
+    throw err;
+  }
+}
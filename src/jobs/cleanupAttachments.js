@@ -0,0 +1,44 @@
+// src/jobs/cleanupAttachments.js
+// Purpose
+// -------
+// Deletes orphaned attachment uploads: abandoned mid-upload, or completed but
+// never referenced by a message, once older than ATTACHMENT_ORPHAN_HOURS.
+// Their encrypted chunks are removed from GridFS along with the metadata.
+//
+// Behaviour
+// ---------
+// - Runs on an interval from server.js (ATTACHMENT_CLEANUP_INTERVAL_MINUTES).
+// - Idempotent and safe to run on several instances at once: a message can only
+//   claim an attachment while `message` is still null, and the delete filter
+//   re-checks that right before removing anything.
+
+import Attachment from '../models/Attachment.js';
+import logger from '../config/logger.js';
+import { attachmentConfig } from '../config/attachments.js';
+import { deleteAttachments } from '../utils/attachmentStore.js';
+
+const BATCH_SIZE = 100;
+
+// Returns the number of attachments removed.
+export async function cleanupOrphanedAttachments({ now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - attachmentConfig().orphanHours * 3600_000);
+  let removed = 0;
+
+  for (;;) {
+    const batch = await Attachment.find({ message: null, createdAt: { $lt: cutoff } })
+      .select('_id')
+      .limit(BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    // Re-check right before deleting: skip anything a message claimed meanwhile
+    const ids = batch.map(a => a._id);
+    const stillOrphaned = await Attachment.find({ _id: { $in: ids }, message: null }).distinct('_id');
+    removed += await deleteAttachments(stillOrphaned);
+
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  if (removed) logger.info('Removed orphaned attachments', { removed });
+  return removed;
+}
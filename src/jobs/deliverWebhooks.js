@@ -0,0 +1,162 @@
+// src/jobs/deliverWebhooks.js
+// Purpose
+// -------
+// Drains the webhook outbox (models/WebhookDelivery.js): signs and POSTs each
+// due delivery, logs the attempt and schedules a retry on failure.
+//
+// Behaviour
+// ---------
+// - Runs on an interval from server.js (WEBHOOK_POLL_SECONDS).
+// - Success = any 2xx response. Redirects are not followed (treated as failures).
+// - Only public addresses are contacted (utils/webhookTarget.js): the host is
+//   resolved per attempt and the connection pinned to the checked address.
+// - The delivery log shows owners the status code or a generic error only;
+//   socket-level details (which could map the internal network) go to the log.
+// - Retry delay: WEBHOOK_RETRY_BASE_SECONDS * 2^(attempt - 1), capped at
+//   WEBHOOK_RETRY_MAX_SECONDS, ±20% jitter. After WEBHOOK_MAX_ATTEMPTS the
+//   delivery is marked `failed` (owners can redeliver it).
+// - Safe on several instances: a delivery is claimed by atomically pushing its
+//   `nextAttemptAt` past the request timeout before it is sent.
+
+import http from 'http';
+import https from 'https';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import logger from '../config/logger.js';
+import { webhookConfig } from '../config/webhooks.js';
+import { decryptMessage } from '../utils/crypto.js';
+import { getGroupKey } from '../utils/groupKeys.js';
+import { signWebhookPayload } from '../utils/webhooks.js';
+import { webhookUrlAllowed, webhookLookup, TARGET_BLOCKED } from '../utils/webhookTarget.js';
+
+const BATCH_SIZE = 50;
+const MAX_LOGGED_ATTEMPTS = 20;
+const USER_AGENT = 'secure-group-messaging-webhooks/1.0';
+
+// Delay before the next attempt after `attemptCount` failures.
+export function retryDelayMs(attemptCount, { retryBaseSeconds, retryMaxSeconds } = webhookConfig()) {
+  const seconds = Math.min(retryBaseSeconds * 2 ** (attemptCount - 1), retryMaxSeconds);
+  const jitter = 0.8 + Math.random() * 0.4;
+  return Math.round(seconds * 1000 * jitter);
+}
+
+// POST `body` and resolve with the response status. Redirects are not
+// followed and the response body is discarded.
+function post(url, headers, body, signal) {
+  if (!webhookUrlAllowed(url)) {
+    return Promise.reject(Object.assign(new Error('Webhook destination not allowed'), { code: TARGET_BLOCKED }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookLookup,
+      signal,
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// One HTTP attempt: { statusCode, error, durationMs, ok }.
+export async function sendWebhook(webhook, secret, delivery, body, timeoutMs) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const signal = AbortSignal.timeout(timeoutMs);
+  try {
+    const status = await post(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-Webhook-Id': webhook._id.toString(),
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body),
+    }, body, signal);
+    const ok = status >= 200 && status < 300;
+    return { ok, statusCode: status, error: ok ? null : `HTTP ${status}`, durationMs: Date.now() - started };
+  } catch (err) {
+    let error = 'Connection failed';
+    if (signal.aborted) error = `Timed out after ${timeoutMs}ms`;
+    else if (err.code === TARGET_BLOCKED) error = 'Destination not allowed';
+    logger.warn('Webhook attempt failed', { webhookId: webhook._id.toString(), code: err.code, message: err.message });
+    return { ok: false, statusCode: null, error, durationMs: Date.now() - started };
+  }
+}
+
+// Record an attempt and move the delivery to its next state.
+async function finishAttempt(delivery, result, config) {
+  const attemptCount = delivery.attemptCount + 1;
+  const update = {
+    $set: { attemptCount },
+    $push: {
+      attempts: {
+        $each: [{ at: new Date(), statusCode: result.statusCode, error: result.error, durationMs: result.durationMs }],
+        $slice: -MAX_LOGGED_ATTEMPTS,
+      },
+    },
+  };
+
+  if (result.ok) {
+    update.$set.status = 'succeeded';
+    update.$set.deliveredAt = new Date();
+  } else if (result.final || attemptCount >= config.maxAttempts) {
+    update.$set.status = 'failed';
+  } else {
+    update.$set.nextAttemptAt = new Date(Date.now() + retryDelayMs(attemptCount, config));
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+  return update.$set.status || 'pending';
+}
+
+// Claim the next due delivery (or null).
+function claimNext(now, config) {
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + config.timeoutMs * 2) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).select('+payload');
+}
+
+// Attempt up to one batch of due deliveries. Returns { attempted, succeeded, failed }.
+export async function deliverDueWebhooks({ now = new Date() } = {}) {
+  const config = webhookConfig();
+  const stats = { attempted: 0, succeeded: 0, failed: 0 };
+
+  while (stats.attempted < BATCH_SIZE) {
+    const delivery = await claimNext(now, config);
+    if (!delivery) break;
+    stats.attempted += 1;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    let result;
+    if (!webhook || webhook.disabled) {
+      result = { ok: false, final: true, statusCode: null, error: webhook ? 'Webhook disabled' : 'Webhook deleted', durationMs: 0 };
+    } else {
+      try {
+        const groupKey = await getGroupKey(delivery.group);
+        const body = decryptMessage(delivery.payload, groupKey);
+        const secret = decryptMessage(webhook.secret, groupKey);
+        result = await sendWebhook(webhook, secret, delivery, body, config.timeoutMs);
+      } catch (err) {
+        logger.error('Webhook delivery could not be prepared', { deliveryId: delivery._id.toString(), message: err.message });
+        const final = err.status === 404;
+        result = { ok: false, final, statusCode: null, error: final ? 'Group deleted' : 'Internal error', durationMs: 0 };
+      }
+    }
+
+    const status = await finishAttempt(delivery, result, config);
+    if (status === 'succeeded') stats.succeeded += 1;
+    if (status === 'failed') stats.failed += 1;
+  }
+
+  if (stats.failed) logger.warn('Webhook deliveries failed permanently', stats);
+  return stats;
+}
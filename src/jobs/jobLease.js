@@ -0,0 +1,56 @@
+// src/jobs/jobLease.js
+// Purpose
+// -------
+// Shared lease handling for resumable background jobs (one JobState per job).
+// A job holds the lease while running and extends it after every batch; if the
+// process dies, the lease expires and another instance can resume the pass.
+
+import JobState from '../models/JobState.js';
+
+export const LEASE_MS = 60_000;
+
+// Acquire the lease for `name` (or return null if another instance holds it).
+// An unfinished pass for the same `target` is resumed; otherwise progress resets.
+export async function acquireJobLease(name, target) {
+  const now = new Date();
+  await JobState.updateOne(
+    { name },
+    { $setOnInsert: { name, status: 'idle' } },
+    { upsert: true }
+  );
+
+  const state = await JobState.findOneAndUpdate(
+    {
+      name,
+      $or: [{ status: { $ne: 'running' } }, { leaseUntil: { $lt: now } }],
+    },
+    { $set: { leaseUntil: new Date(now.getTime() + LEASE_MS) } },
+    { new: true }
+  );
+  if (!state) return null;
+
+  const resume = state.target === target && state.status !== 'completed' && state.cursor;
+  if (!resume) {
+    state.set({
+      cursor: null,
+      processed: 0,
+      migrated: 0,
+      failed: 0,
+      failures: [],
+      startedAt: now,
+      finishedAt: null,
+      lastError: null,
+    });
+  }
+  state.set({ status: 'running', target });
+  await state.save();
+  return state;
+}
+
+// Extend a held lease during long phases that have no batch boundary to save
+// at; only writes once half of the lease has been used.
+export async function extendJobLease(state) {
+  if (state.leaseUntil && state.leaseUntil.getTime() - Date.now() > LEASE_MS / 2) return;
+  state.leaseUntil = new Date(Date.now() + LEASE_MS);
+  await state.save();
+}
@@ -0,0 +1,85 @@
+// src/jobs/purgeExpiredMessages.js
+// Purpose
+// -------
+// Enforces per-group message retention (utils/retention.js):
+// 1. Groups whose retention changed get every existing message re-stamped:
+//    `expiresAt = createdAt + new period`, or cleared for 'forever'.
+// 2. Messages past `expiresAt` are deleted together with their reactions and
+//    attachment files.
+//
+// Behaviour
+// ---------
+// - Runs on an interval from server.js (RETENTION_SWEEP_SECONDS).
+// - Idempotent and safe to run on several instances at once: re-stamping is a
+//   pure function of createdAt, and a group's pending flag is cleared only if
+//   its retention did not change again meanwhile.
+// - The TTL index on Message.expiresAt removes anything this job missed
+//   (e.g. while it was switched off), but without reactions and files.
+
+import Group from '../models/Group.js';
+import Message from '../models/Message.js';
+import Reaction from '../models/Reaction.js';
+import logger from '../config/logger.js';
+import { retentionMs } from '../utils/retention.js';
+import { deleteAttachments } from '../utils/attachmentStore.js';
+
+const BATCH_SIZE = 500;
+
+// Re-stamp existing messages of groups whose retention changed.
+// Returns the number of groups processed.
+export async function applyRetentionChanges() {
+  const groups = await Group.find({ retentionPending: true }).select('settings.retention').lean();
+
+  for (const g of groups) {
+    const { mode = 'forever', value = null } = g.settings?.retention ?? {};
+    const ms = retentionMs({ mode, value });
+
+    const result = await Message.updateMany(
+      { group: g._id },
+      ms ? [{ $set: { expiresAt: { $add: ['$createdAt', ms] } } }] : { $set: { expiresAt: null } }
+    );
+    await Group.updateOne(
+      { _id: g._id, 'settings.retention.mode': mode, 'settings.retention.value': value },
+      { $set: { retentionPending: false } }
+    );
+
+    logger.info('Applied message retention', { groupId: g._id.toString(), mode, value, messages: result.modifiedCount });
+  }
+  return groups.length;
+}
+
+// Delete expired messages with their reactions and files.
+// Returns the number of messages removed.
+export async function purgeExpiredMessages({ now = new Date() } = {}) {
+  let removed = 0;
+
+  for (;;) {
+    const batch = await Message.find({ expiresAt: { $lte: now } })
+      .select('_id attachments')
+      .limit(BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    const ids = batch.map(m => m._id);
+    const result = await Message.deleteMany({ _id: { $in: ids }, expiresAt: { $lte: now } });
+    removed += result.deletedCount;
+
+    // Only clean up after messages that are really gone (retention may have
+    // been lengthened between the read and the delete).
+    const kept = new Set((await Message.find({ _id: { $in: ids } }).distinct('_id')).map(String));
+    const gone = batch.filter(m => !kept.has(m._id.toString()));
+    await Reaction.deleteMany({ message: { $in: gone.map(m => m._id) } });
+    await deleteAttachments(gone.flatMap(m => m.attachments || []));
+
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  if (removed) logger.info('Purged expired messages', { removed });
+  return removed;
+}
+
+// One sweep: apply retention changes first, so shortened periods purge at once.
+export async function runRetentionSweep() {
+  await applyRetentionChanges();
+  return purgeExpiredMessages();
+}
@@ -0,0 +1,201 @@
+// src/jobs/reencryptMessages.js
+// Purpose
+// -------
+// Background job that migrates stored keys/payloads off old master keys after
+// a rotation, so retired keyring keys can eventually be removed:
+// 1. Re-wraps every Group and Conversation data key (and users' TOTP secrets)
+//    under the current keyring key. Direct messages are always under their
+//    conversation's data key, so they need nothing else.
+// 2. Moves messages still encrypted under the keyring (v1 / legacy, written
+//    before per-group keys) onto their group's data key.
+//
+// Behaviour
+// ---------
+// - Walks messages in `_id` order in batches; progress is persisted in JobState
+//   after every batch, so a crash/restart resumes where it stopped.
+// - A new pass starts from scratch whenever the current key ID changes.
+// - Each rewrite is conditional on the old payload, so a concurrent edit is
+//   never overwritten with stale content.
+// - A lease on the JobState document stops two instances running it at once;
+//   it is extended during the key re-wrap phases as well as per message batch.
+// - Payloads, data keys and TOTP secrets that cannot be decrypted are counted
+//   as `failed`, listed in `failures` (first FAILURES_KEPT) and left untouched.
+// - Messages whose group no longer exists are skipped (crypto-shredded).
+
+import Group from '../models/Group.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import JobState from '../models/JobState.js';
+import logger from '../config/logger.js';
+import { currentKeyId, decryptPayload, encryptMessage, unwrapDataKey, wrapDataKey } from '../utils/crypto.js';
+import { getGroupKey } from '../utils/groupKeys.js';
+import { acquireJobLease, extendJobLease, LEASE_MS } from './jobLease.js';
+
+export const JOB_NAME = 'reencrypt-messages';
+const FAILURES_KEPT = 100;
+
+// Current progress snapshot (null if the job never ran).
+export async function getReencryptionStatus() {
+  return JobState.findOne({ name: JOB_NAME }).lean();
+}
+
+// Count an item the job could not process and remember which one it was.
+// The re-wrap phases run again on resume, so an item already listed is not
+// counted twice.
+function recordFailure(state, kind, id) {
+  const listed = state.failures.some(f => f.kind === kind && f.id.equals(id));
+  if (listed) return;
+  state.failed += 1;
+  if (state.failures.length < FAILURES_KEPT) state.failures.push({ kind, id });
+}
+
+// Re-wrap data keys (Group or Conversation) wrapped by a non-current keyring key.
+// Idempotent and cheap (one small doc per group), so it always runs in full.
+async function rewrapDataKeys(Model, target, state) {
+  let rewrapped = 0;
+  const cursor = Model.find({ wrappedKey: { $exists: true } }).select('+wrappedKey').lean().cursor();
+
+  for await (const g of cursor) {
+    await extendJobLease(state);
+
+    let unwrapped;
+    try {
+      unwrapped = unwrapDataKey(g.wrappedKey);
+    } catch (err) {
+      recordFailure(state, Model.modelName, g._id);
+      logger.warn('Re-encryption: undecryptable data key', { model: Model.modelName, id: g._id.toString() });
+      continue;
+    }
+    const { key, keyId } = unwrapped;
+    if (String(keyId) === target) continue;
+
+    const res = await Model.updateOne(
+      { _id: g._id, wrappedKey: g.wrappedKey },
+      { $set: { wrappedKey: wrapDataKey(key) } }
+    );
+    rewrapped += res.modifiedCount;
+  }
+
+  logger.info(`${Model.modelName} data keys re-wrapped`, { rewrapped });
+  return rewrapped;
+}
+
+// Re-encrypt users' TOTP secrets that are not under the current keyring key.
+async function rewrapTwoFactorSecrets(target, state) {
+  let rewrapped = 0;
+  const cursor = User.find({
+    $or: [{ 'twoFactor.secret': { $exists: true } }, { 'twoFactor.pendingSecret': { $exists: true } }],
+  }).select('twoFactor').lean().cursor();
+
+  for await (const u of cursor) {
+    await extendJobLease(state);
+
+    const $set = {};
+    try {
+      for (const field of ['secret', 'pendingSecret']) {
+        const value = u.twoFactor?.[field];
+        if (!value) continue;
+        const { plaintext, keyId, legacy } = decryptPayload(value);
+        if (legacy || String(keyId) !== target) $set[`twoFactor.${field}`] = encryptMessage(plaintext);
+      }
+    } catch (err) {
+      recordFailure(state, 'User', u._id);
+      logger.warn('Re-encryption: undecryptable TOTP secret', { userId: u._id.toString() });
+      continue;
+    }
+    if (Object.keys($set).length === 0) continue;
+
+    // Only overwrite if nothing changed since we read it (e.g. a new enrollment)
+    const unchanged = field => u.twoFactor[field] ?? { $exists: false };
+    const res = await User.updateOne(
+      { _id: u._id, 'twoFactor.secret': unchanged('secret'), 'twoFactor.pendingSecret': unchanged('pendingSecret') },
+      { $set }
+    );
+    rewrapped += res.modifiedCount;
+  }
+
+  logger.info('TOTP secrets re-encrypted', { rewrapped });
+  return rewrapped;
+}
+
+// Run (or resume) the job to completion. Returns the final JobState.
+// `onProgress(state)` is called after every batch.
+export async function runReencryption({ batchSize = 500, onProgress } = {}) {
+  const target = String(currentKeyId());
+  const state = await acquireJobLease(JOB_NAME, target);
+  if (!state) {
+    logger.info('Re-encryption already running elsewhere; skipping');
+    return getReencryptionStatus();
+  }
+
+  try {
+    await rewrapDataKeys(Group, target, state);
+    await rewrapDataKeys(Conversation, target, state);
+    await rewrapTwoFactorSecrets(target, state);
+
+    state.total = await Message.estimatedDocumentCount();
+    const groupKeys = new Map(); // groupId -> data key | null (group deleted)
+
+    for (;;) {
+      const filter = state.cursor ? { _id: { $gt: state.cursor } } : {};
+      const batch = await Message.find(filter).sort({ _id: 1 }).limit(batchSize).select('group payload').lean();
+      if (batch.length === 0) break;
+
+      const ops = [];
+      for (const m of batch) {
+        try {
+          const gid = m.group.toString();
+          if (!groupKeys.has(gid)) {
+            groupKeys.set(gid, await getGroupKey(m.group).catch(err => {
+              if (err.status === 404) return null;
+              throw err;
+            }));
+          }
+          const groupKey = groupKeys.get(gid);
+          if (!groupKey || !m.payload) continue; // group gone / deleted-message tombstone
+
+          const { plaintext, scheme } = decryptPayload(m.payload, groupKey);
+          if (scheme === 'data-key') continue;
+
+          ops.push({
+            updateOne: {
+              filter: { _id: m._id, payload: m.payload },
+              update: { $set: { payload: encryptMessage(plaintext, groupKey) } },
+            },
+          });
+        } catch (err) {
+          recordFailure(state, 'Message', m._id);
+          logger.warn('Re-encryption: undecryptable payload', { messageId: m._id.toString() });
+        }
+      }
+
+      if (ops.length) {
+        const result = await Message.bulkWrite(ops, { ordered: false });
+        state.migrated += result.modifiedCount;
+      }
+
+      state.processed += batch.length;
+      state.cursor = batch[batch.length - 1]._id;
+      state.leaseUntil = new Date(Date.now() + LEASE_MS);
+      await state.save();
+
+      logger.info('Re-encryption progress', {
+        processed: state.processed,
+        total: state.total,
+        migrated: state.migrated,
+        failed: state.failed,
+      });
+      if (onProgress) onProgress(state.toObject());
+    }
+
+    state.set({ status: 'completed', finishedAt: new Date(), leaseUntil: null });
+    await state.save();
+    logger.info('Re-encryption completed', { migrated: state.migrated, failed: state.failed });
+    return state.toObject();
+  } catch (err) {
+    state.set({ status: 'failed', lastError: err.message, leaseUntil: null });
+    await state.save();
+    throw err;
+  }
+}
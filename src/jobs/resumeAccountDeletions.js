@@ -0,0 +1,37 @@
+// src/jobs/resumeAccountDeletions.js
+// Purpose
+// -------
+// Finishes account deletions (utils/accountDeletion.js) whose DELETE /me died
+// part-way: the user's sessions may already be gone, so a retry from the
+// client is not always possible.
+//
+// Behaviour
+// ---------
+// - Runs on an interval from server.js.
+// - Only picks up deletions started more than STALE_MINUTES ago, so it does not
+//   race a request that is still running. Every deletion step is idempotent, so
+//   overlapping runs on several instances are harmless.
+
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+import { eraseAccount } from '../utils/accountDeletion.js';
+
+const STALE_MINUTES = 10;
+
+// Returns the number of deletions completed.
+export async function resumeAccountDeletions({ now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - STALE_MINUTES * 60_000);
+  let completed = 0;
+
+  for (const user of await User.find({ deletingAt: { $lte: cutoff } })) {
+    try {
+      await eraseAccount(user);
+      completed += 1;
+    } catch (err) {
+      logger.warn('Account deletion could not be resumed', { userId: user._id.toString(), message: err.message });
+    }
+  }
+
+  if (completed) logger.info('Resumed account deletions', { completed });
+  return completed;
+}
@@ -2,18 +2,50 @@
 // Purpose
 // -------
 // Authenticate requests using a Bearer JWT sent in the Authorization header.
-// On success, attaches a minimal `req.user` (id, email) for downstream handlers.
+// On success, attaches a minimal `req.user` (id, email, sid) for downstream handlers.
 // On failure, returns 401 with a generic message (no sensitive details).
+// Anything else (e.g. the session lookup failing) goes to the error handler.
 //
 // Notes
 // -----
 // - Uses `JWT_SECRET` from environment to verify tokens.
 // - Keeps responses generic to avoid token/identity leakage.
-// - If you later rotate secrets, issue short-lived tokens + consider key IDs (kid).
+// - Access tokens are short-lived and bound to a server-side Session (`sid`);
+//   a revoked/expired session invalidates its tokens immediately.
+// - `verifyAccessToken` is shared with non-HTTP transports (WebSocket gateway)
+//   so every entry point accepts exactly the same tokens.
 
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../utils/session.js';
 
-export function authRequired(req, res, next) {
+function unauthorized(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+// Verify a raw JWT + its session and return the minimal principal.
+// Throws a 401 error if the token is invalid/expired or its session was
+// revoked; other failures (database errors) are rethrown unchanged.
+export async function verifyAccessToken(token) {
+  // Verify signature & expiration using server-side secret.
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError) throw unauthorized(err.message);
+    throw err;
+  }
+
+  // Tokens without a session (pre-session tokens, other token types) are rejected.
+  if (!(await isSessionActive(decoded.sid))) throw unauthorized('Session revoked');
+
+  // Minimal principal for controllers to use.
+  // (Avoid attaching the full token claims surface to reduce coupling.)
+  return { id: decoded.sub, email: decoded.email, sid: decoded.sid };
+}
+
+export async function authRequired(req, res, next) {
   // Expect: Authorization: Bearer <token>
   const hdr = req.headers.authorization || '';
   const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : null;
@@ -24,16 +56,11 @@ export function authRequired(req, res, next) {
   }
 
   try {
-    // Verify signature & expiration using server-side secret.
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Attach a minimal principal for controllers to use.
-    // (Avoid attaching the full token claims surface to reduce coupling.)
-    req.user = { id: decoded.sub, email: decoded.email };
-
-    return next();
+    req.user = await verifyAccessToken(token);
   } catch (err) {
-    // Invalid/expired token → unauthenticated (generic message on purpose)
+    if (err.status !== 401) return next(err);
+    // Invalid/expired token or revoked session → unauthenticated (generic message on purpose)
     return res.status(401).json({ error: 'Invalid token' });
   }
+  return next();
 }
@@ -0,0 +1,58 @@
+// src/middleware/rateLimit.js
+// Purpose
+// -------
+// Per-route request budgets (config/rateLimits.js) on top of express-rate-limit.
+// - Keyed by `req.user.id` when the request is authenticated (place after
+//   `authRequired`), otherwise by client IP.
+// - Sends the standard `RateLimit-Limit` / `RateLimit-Remaining` /
+//   `RateLimit-Reset` headers, and `Retry-After` with a 429.
+//
+// Notes
+// -----
+// - Limiters are built on first use, so budgets and the store are read after
+//   dotenv has loaded (route modules are imported before that happens). At
+//   import time only the budget name is checked; env is never read there.
+// - One limiter per budget name: routes that share a budget (e.g.
+//   `accountEmail`) share one counter, whichever store is configured.
+// - Client IPs are only correct behind a proxy when TRUST_PROXY is set.
+
+import rateLimit from 'express-rate-limit';
+import { assertRateLimitBudget, rateLimitBudget, rateLimitConfig } from '../config/rateLimits.js';
+import { createRateLimitStore } from '../utils/rateLimitStore.js';
+
+// Rate-limit key: authenticated user, else IP.
+export function rateLimitKey(req) {
+  return req.user?.id ? `u:${req.user.id}` : `ip:${req.ip}`;
+}
+
+// Budget name -> limiter, shared by every route using that budget.
+const limiters = new Map();
+
+function limiterFor(name) {
+  let limiter = limiters.get(name);
+  if (!limiter) {
+    const { limit, windowMs } = rateLimitBudget(name);
+    limiter = rateLimit({
+      limit,
+      windowMs,
+      standardHeaders: 'draft-6',
+      legacyHeaders: false,
+      keyGenerator: rateLimitKey,
+      store: createRateLimitStore(name),
+      message: { error: 'Too many requests, please try again later' },
+      // Built lazily inside the first request on purpose (see Notes)
+      validate: { creationStack: false },
+    });
+    limiters.set(name, limiter);
+  }
+  return limiter;
+}
+
+export function rateLimitFor(name) {
+  assertRateLimitBudget(name); // fail fast on unknown budget names
+
+  return function rateLimitGate(req, res, next) {
+    if (rateLimitConfig().disabled) return next();
+    return limiterFor(name)(req, res, next);
+  };
+}
@@ -0,0 +1,48 @@
+// src/middleware/verified.js
+// Purpose
+// -------
+// Gate selected actions behind e-mail verification, as configured by operators.
+// Must run after `authRequired` (needs `req.user`).
+//
+// Config (env) — each defaults to 'true' (unverified users allowed):
+//   UNVERIFIED_CAN_CREATE_GROUPS   → POST /groups
+//   UNVERIFIED_CAN_JOIN_GROUPS     → join-open / request-join / join-with-invite
+//   UNVERIFIED_CAN_SEND_MESSAGES   → POST /messages/:groupId, POST /dm, POST /dm/:id/messages
+//
+// Notes
+// -----
+// - Env is read per request, so a restart is all that's needed to change policy.
+// - Verified state is read from the DB (not the JWT) so it applies immediately
+//   after POST /auth/verify, without re-login.
+
+import User from '../models/User.js';
+
+const POLICY_ENV = {
+  createGroup: 'UNVERIFIED_CAN_CREATE_GROUPS',
+  joinGroup: 'UNVERIFIED_CAN_JOIN_GROUPS',
+  sendMessage: 'UNVERIFIED_CAN_SEND_MESSAGES',
+};
+
+// True if operators allow unverified users to perform `action`.
+export function unverifiedAllowed(action) {
+  const value = process.env[POLICY_ENV[action]];
+  return value === undefined || value === '' || value === 'true';
+}
+
+export function requireVerified(action) {
+  if (!POLICY_ENV[action]) throw new Error(`Unknown verification-gated action: ${action}`);
+
+  return async function verifiedGate(req, res, next) {
+    try {
+      if (unverifiedAllowed(action)) return next();
+
+      const user = await User.findById(req.user.id).select('verified').lean();
+      if (!user || !user.verified) {
+        return res.status(403).json({ error: 'Verify your e-mail address first' });
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Single-use, expiring tokens e-mailed to users (password reset, e-mail verification).
+// Only sha256(rawToken) is stored, like invite and refresh tokens.
+const actionTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verify'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// TTL index: expired tokens are removed automatically
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ActionToken', actionTokenSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Metadata for an encrypted file upload. The bytes live in GridFS (bucket
+// `attachments`), one file per uploaded chunk — see utils/attachmentStore.js.
+const attachmentSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  uploader: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  filename: { type: String, required: true }, // encrypted with the group key (utils/crypto.js)
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },       // plaintext bytes
+  chunkSize: { type: Number, required: true },  // plaintext bytes per chunk (last may be shorter)
+  chunkCount: { type: Number, required: true },
+  status: { type: String, enum: ['uploading', 'ready'], default: 'uploading' },
+  // Set when a message references it; unreferenced uploads are orphans
+  // (jobs/cleanupAttachments.js).
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+}, { timestamps: true });
+
+attachmentSchema.index({ message: 1, createdAt: 1 });
+attachmentSchema.index({ group: 1 });
+
+export default mongoose.model('Attachment', attachmentSchema);
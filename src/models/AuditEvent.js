@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Append-only, hash-chained log of group administration actions
+// (see utils/audit.js). `hash` = sha256 over this entry's fields + `prevHash`,
+// so editing, removing or reordering any entry breaks the chain.
+const auditEventSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, required: true }, // kept after the group is deleted
+  seq: { type: Number, required: true },                           // 1, 2, 3 ... per group
+  action: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, required: true },
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true },
+}, { versionKey: false, minimize: false });
+
+auditEventSchema.index({ group: 1, seq: 1 }, { unique: true });
+// Paginated listing (newest first)
+auditEventSchema.index({ group: 1, createdAt: -1, _id: -1 });
+
+// Append-only at the application level: no updates, no deletes.
+function appendOnly() {
+  throw new Error('AuditEvent is append-only');
+}
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+auditEventSchema.pre('save', function guardSave() {
+  if (!this.isNew) appendOnly();
+});
+
+export default mongoose.model('AuditEvent', auditEventSchema);
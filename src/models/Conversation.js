@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// One-to-one conversation (see controllers/directMessageController.js).
+// `pairKey` = both user ids sorted and joined with ':', unique, so each pair
+// of users has exactly one conversation whoever opens it (a closed one gets
+// `closed:<id>` instead, so the pair is free again). Messages are
+// encrypted under the conversation's own data key, wrapped by the keyring
+// exactly like a group's (utils/groupKeys.js).
+const conversationSchema = new mongoose.Schema({
+  pairKey: { type: String, required: true, unique: true },
+  participants: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    validate: [p => p.length === 2, 'A conversation has exactly two participants'],
+  },
+  wrappedKey: { type: String, required: true, select: false },
+  // Ordering key for the inbox: creation time, then each new message.
+  lastActivityAt: { type: Date, default: Date.now },
+  lastMessageAt: { type: Date, default: null },
+  // Set when a participant deleted their account (utils/accountDeletion.js):
+  // history stays readable, nothing more can be sent.
+  closedAt: { type: Date, default: null },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.wrappedKey;
+      return ret;
+    },
+  },
+});
+
+// Inbox: a user's conversations, most recently active first.
+conversationSchema.index({ participants: 1, lastActivityAt: -1, _id: -1 });
+
+export default mongoose.model('Conversation', conversationSchema);
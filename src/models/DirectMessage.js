@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Message inside a Conversation; same v2 AES-GCM payload as group messages,
+// under the conversation data key.
+const directMessageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  payload: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Keyset pagination per conversation, ordered by (createdAt, _id).
+directMessageSchema.index({ conversation: 1, createdAt: 1, _id: 1 });
+
+// A user's own messages per conversation (data export, account deletion).
+directMessageSchema.index({ sender: 1, conversation: 1, createdAt: 1 });
+
+export default mongoose.model('DirectMessage', directMessageSchema);
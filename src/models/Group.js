@@ -5,8 +5,58 @@ const groupSchema = new mongoose.Schema({
   type: { type: String, enum: ['open', 'private'], required: true },
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   maxMembers: { type: Number, default: 0 }, // 0 = unlimited
+  description: { type: String, default: '' },
+  topic: { type: String, default: '' },
   members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Elevated roles (subsets of members; see utils/permissions.js)
+  admins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  moderators: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   bannedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-}, { timestamps: true });
+  // Owner-managed group behaviour (PATCH /groups/:groupId/settings)
+  settings: {
+    // false = only the sender can read a message's earlier revisions
+    revisionHistoryVisible: { type: Boolean, default: true },
+    // false = read markers still drive unread counts, but nobody sees who read what
+    readReceipts: { type: Boolean, default: true },
+    // Attachment limits: null = server cap (ATTACHMENT_MAX_BYTES); [] = any MIME type.
+    // Types may use a wildcard subtype, e.g. "image/*".
+    attachmentMaxBytes: { type: Number, default: null },
+    attachmentMimeTypes: { type: [String], default: [] },
+    // Minimum seconds between two messages of the same member (0 = off; moderators+ exempt)
+    slowModeSeconds: { type: Number, default: 0 },
+    // Message retention (utils/retention.js): forever, N days, or N hours
+    retention: {
+      mode: { type: String, enum: ['forever', 'days', 'hours'], default: 'forever' },
+      value: { type: Number, default: null },
+    },
+  },
+  // Set when retention changes; the sweeper re-stamps existing messages' expiry
+  // and clears it (jobs/purgeExpiredMessages.js).
+  retentionPending: { type: Boolean, default: false, select: false },
+  // Group data key wrapped by the master keyring (see utils/groupKeys.js).
+  // Never returned by default and never serialized to clients.
+  wrappedKey: { type: String, select: false },
+  // Latest entry of the group's audit chain (see utils/audit.js); lets
+  // verification detect entries removed from the end of the chain.
+  auditHead: {
+    type: { seq: Number, hash: String },
+    default: null,
+    select: false,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.wrappedKey;
+      delete ret.auditHead;
+      delete ret.retentionPending;
+      return ret;
+    },
+  },
+});
+
+// Keyset pagination for /groups/public and /groups/mine (newest first).
+groupSchema.index({ type: 1, createdAt: -1, _id: -1 });
+groupSchema.index({ members: 1, createdAt: -1, _id: -1 });
 
 export default mongoose.model('Group', groupSchema);
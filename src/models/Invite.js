@@ -1,15 +1,22 @@
 import mongoose from 'mongoose';
 
 const inviteSchema = new mongoose.Schema({
-  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true, index: true },
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   tokenHash: { type: String, required: true, unique: true }, // sha256(rawToken)
   maxUses: { type: Number, default: 1 },   // single-use by default
   uses: { type: Number, default: 0 },
   expiresAt: { type: Date, required: true }, // ✅ removed index:true
   disabled: { type: Boolean, default: false },
+  // Optional: only the user with this (verified) e-mail can redeem the invite
+  email: { type: String, lowercase: true, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
 }, { timestamps: true });
 
+// Invite listing per group (newest first)
+inviteSchema.index({ group: 1, createdAt: -1, _id: -1 });
+
 // TTL index: Atlas will auto-delete expired invite documents
 inviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
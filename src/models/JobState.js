@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Progress + lease for resumable background jobs (one document per job name).
+const jobStateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  status: { type: String, enum: ['idle', 'running', 'completed', 'failed'], default: 'idle' },
+  cursor: { type: mongoose.Schema.Types.ObjectId, default: null }, // last processed _id
+  target: { type: String, default: null },   // what this pass converges to (e.g. key ID)
+  processed: { type: Number, default: 0 },
+  migrated: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  failures: {                                // first items that could not be processed
+    type: [{ _id: false, kind: String, id: mongoose.Schema.Types.ObjectId }],
+    default: [],
+  },
+  total: { type: Number, default: 0 },
+  leaseUntil: { type: Date, default: null }, // prevents two instances running the same job
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  lastError: { type: String },
+}, { timestamps: true });
+
+export default mongoose.model('JobState', jobStateSchema);
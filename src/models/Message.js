@@ -1,10 +1,55 @@
 import mongoose from 'mongoose';
 
 const messageSchema = new mongoose.Schema({
-  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true, index: true },
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
   sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  payload: { type: String, required: true }, // base64(iv|tag|ciphertext)
+  // base64(version|keyId|iv|tag|ciphertext), see utils/crypto.js. Removed on delete (tombstone).
+  payload: { type: String, required() { return !this.deletedAt; } },
   createdAt: { type: Date, default: Date.now, index: true },
+  // Threads: `replyTo` = message being answered (same group); `threadRoot` =
+  // top-level message of the thread (null for top-level messages).
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  threadRoot: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  // Encrypted files (see models/Attachment.js), claimed when the message is sent
+  attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Attachment' }],
+  editedAt: { type: Date, default: null },
+  // Tombstone: text and history are wiped, the row stays so ordering/cursors hold.
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // From the group's retention policy (utils/retention.js); null = keep forever.
+  expiresAt: { type: Date, default: null },
+  // Blind keyword index (utils/blindIndex.js): HMAC tokens, never plaintext.
+  // `searchKey` = fingerprint of the index key that produced them.
+  searchTokens: { type: [String], select: false, default: undefined },
+  searchKey: { type: String, select: false },
+  // Previous texts, oldest first, each encrypted under the group data key.
+  // `createdAt` = when that text became current. Load explicitly (+revisions).
+  revisions: {
+    type: [{
+      _id: false,
+      payload: { type: String, required: true },
+      createdAt: { type: Date, required: true },
+    }],
+    select: false,
+  },
 }, { timestamps: true });
 
+// Backs keyset pagination + SSE replay: per-group, ordered by (createdAt, _id).
+// Also serves plain { group } lookups via its prefix.
+messageSchema.index({ group: 1, createdAt: 1, _id: 1 });
+
+// Keyword search within a group (multikey on the blind tokens).
+messageSchema.index({ group: 1, searchTokens: 1 });
+
+// Thread pages + reply counts per root.
+messageSchema.index({ threadRoot: 1, createdAt: 1, _id: 1 });
+
+// A user's own messages per group (data export, account deletion).
+messageSchema.index({ sender: 1, group: 1, createdAt: 1 });
+
+// Retention. The sweeper (jobs/purgeExpiredMessages.js) deletes expired
+// messages on time together with their reactions and files; the TTL index is
+// a backstop an hour later in case the sweeper is not running.
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
 export default mongoose.model('Message', messageSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Ephemeral presence: one row per connected user, refreshed by heartbeats.
+// No row (or an expired one) = offline; User.lastSeenAt keeps the last-seen time.
+const presenceSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  status: { type: String, enum: ['online', 'idle'], default: 'online' },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+// TTL monitor removes expired rows (runs ~every 60s; readers also filter on expiresAt)
+presenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Presence', presenceSchema);
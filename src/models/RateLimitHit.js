@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// Shared rate-limit counter (utils/rateLimitStore.js): one row per
+// (budget, client) window. Expired rows are removed by the TTL index.
+const rateLimitHitSchema = new mongoose.Schema({
+  _id: { type: String },                   // "<budget>:<u:userId | ip:address>"
+  count: { type: Number, required: true },
+  resetAt: { type: Date, required: true },
+}, { versionKey: false });
+
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitHit', rateLimitHitSchema);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// One row per (message, user, emoji): a user can add a given emoji once.
+// `group` is denormalized so a banished user's reactions can be dropped in one query.
+const reactionSchema = new mongoose.Schema({
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  emoji: { type: String, required: true },
+}, { timestamps: true });
+
+reactionSchema.index({ message: 1, user: 1, emoji: 1 }, { unique: true });
+reactionSchema.index({ group: 1, user: 1 });
+
+export default mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Per-user, per-group read position: everything up to and including
+// `lastReadMessage` (ordered by createdAt, _id) counts as read.
+const readMarkerSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  lastReadMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+  lastReadAt: { type: Date, required: true }, // createdAt of lastReadMessage
+  readAt: { type: Date, default: Date.now },  // when the marker last moved
+}, { timestamps: true });
+
+readMarkerSchema.index({ group: 1, user: 1 }, { unique: true });
+// "Who has read this message?" = markers at or past its position
+readMarkerSchema.index({ group: 1, lastReadAt: 1, lastReadMessage: 1 });
+
+export default mongoose.model('ReadMarker', readMarkerSchema);
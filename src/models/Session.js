@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// One login session = one refresh-token family.
+// Access tokens carry the session id (`sid`) so they die with the session.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, unique: true }, // sha256(current raw refresh token)
+  previousTokenHashes: { type: [String], default: [] },             // rotated-out tokens (reuse detection)
+  expiresAt: { type: Date, required: true },                        // absolute session lifetime
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  userAgent: { type: String },
+  ip: { type: String },
+}, { timestamps: true });
+
+sessionSchema.index({ previousTokenHashes: 1 });
+
+// TTL index: expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Server-side state of a 2FA login challenge (the challenge JWT's `jti`).
+// Deleted when the second factor succeeds, so a challenge logs in only once;
+// `attempts` caps how many codes can be tried against it.
+const twoFactorChallengeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+// TTL index: expired challenges are removed automatically
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('TwoFactorChallenge', twoFactorChallengeSchema);
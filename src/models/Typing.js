@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// Ephemeral "user is typing in group" flag; expires unless refreshed.
+const typingSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+});
+
+typingSchema.index({ group: 1, user: 1 }, { unique: true });
+typingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Typing', typingSchema);
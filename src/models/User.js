@@ -4,11 +4,39 @@ import bcrypt from 'bcryptjs';
 const userSchema = new mongoose.Schema({
   email: { type: String, unique: true, required: true, lowercase: true, index: true },
   passwordHash: { type: String, required: true },
+  passwordChangedAt: { type: Date },
+  verified: { type: Boolean, default: false }, // e-mail ownership confirmed
+  verifiedAt: { type: Date },
+  lastSeenAt: { type: Date }, // last presence heartbeat (see utils/presence.js)
+  // Users this user refuses direct messages from (either direction is blocked).
+  blockedUsers: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], default: [], select: false },
+  // TOTP two-factor auth (see controllers/twoFactorController.js).
+  // Secrets are encrypted with utils/crypto.js; recovery codes stored as sha256.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String },        // encrypted base32 secret (active)
+    pendingSecret: { type: String }, // encrypted base32 secret awaiting confirmation
+    recoveryCodeHashes: { type: [String], default: [] },
+    lastUsedStep: { type: Number },  // last accepted TOTP step (replay protection)
+    enabledAt: { type: Date },
+  },
+  // DELETE /me in progress (utils/accountDeletion.js): set before anything is
+  // removed, with what a retry or jobs/resumeAccountDeletions.js needs to finish.
+  deletingAt: { type: Date, default: null },
+  deletion: {
+    ownedGroups: { type: String, enum: ['transfer', 'delete'] },
+    touchedGroups: { type: [mongoose.Schema.Types.ObjectId], default: undefined },
+    deletedGroups: { type: [mongoose.Schema.Types.ObjectId], default: undefined },
+  },
 }, { timestamps: true });
 
+// Stalled deletions (jobs/resumeAccountDeletions.js).
+userSchema.index({ deletingAt: 1 }, { partialFilterExpression: { deletingAt: { $type: 'date' } } });
+
 userSchema.methods.setPassword = async function(password) {
   const salt = await bcrypt.genSalt(12);
   this.passwordHash = await bcrypt.hash(password, salt);
+  this.passwordChangedAt = new Date();
 };
 
 userSchema.methods.validatePassword = async function(password) {
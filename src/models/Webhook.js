@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Owner-registered endpoint that receives a group's events (see utils/webhooks.js).
+// `secret` signs every delivery; it is stored encrypted under the group data
+// key and returned to the owner only once, at creation.
+const webhookSchema = new mongoose.Schema({
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  url: { type: String, required: true },
+  events: { type: [String], required: true },
+  secret: { type: String, required: true, select: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  disabled: { type: Boolean, default: false },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.secret;
+      return ret;
+    },
+  },
+});
+
+webhookSchema.index({ group: 1, events: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Persisted outbox: one row per (event, webhook). Drained by jobs/deliverWebhooks.js.
+// `payload` is the exact JSON body that is signed and sent, encrypted under the
+// group data key (it may contain message text).
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  eventId: { type: String, required: true }, // same for every webhook and every redelivery of an event
+  event: { type: String, required: true },
+  payload: { type: String, required: true, select: false },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attemptCount: { type: Number, default: 0 },
+  // Next time the worker may try; also pushed forward while an attempt is in flight.
+  nextAttemptAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date, default: null },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  // Delivery log (most recent attempts)
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: Number,
+  }],
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
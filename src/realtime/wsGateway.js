@@ -0,0 +1,263 @@
+// src/realtime/wsGateway.js
+// Purpose
+// -------
+// WebSocket gateway that pushes group activity to connected clients live,
+// replacing the poll -> listMessages round trip.
+//
+// Protocol (JSON text frames)
+// ---------------------------
+// Connect:   ws(s)://<host>/ws?token=<JWT>   (or `Authorization: Bearer <JWT>`)
+// Client ->  { "action": "subscribe",   "groupId": "<id>" }
+//            { "action": "unsubscribe", "groupId": "<id>" }
+//            { "action": "typing", "groupId": "<id>", "typing": true|false }
+// Server ->  { "type": "ready", "userId": "<id>" }
+//            { "type": "subscribed",   "groupId": "<id>" }
+//            { "type": "unsubscribed", "groupId": "<id>", "reason": "..." }
+//            { "type": "event", "event": { type, groupId, data, at } }
+//            { "type": "error", "error": "..." }
+//
+// Security Notes
+// --------------
+// - Same JWT as `authRequired` (shared `verifyAccessToken`); rejected with 401
+//   during the HTTP upgrade, before a socket is ever opened.
+// - Sessions are re-checked on every heartbeat; sockets whose session was
+//   revoked (logout, logout-all, refresh-token reuse) are closed with 4001.
+// - Subscribing requires current membership (same rule as messageController).
+//   The socket is registered first (held back from fan-out) and membership is
+//   read afterwards, so a leave/ban that lands during the check either finds
+//   the subscription to evict or shows up in the membership read.
+// - When a user leaves or is banished, their subscriptions to that group are
+//   dropped BEFORE the event is fanned out, so they never see later traffic.
+// - Typing is accepted only for groups the socket is subscribed to (i.e. that
+//   passed the membership check). Open sockets keep their user's presence alive.
+
+import { WebSocketServer } from 'ws';
+import mongoose from 'mongoose';
+import Group from '../models/Group.js';
+import Session from '../models/Session.js';
+import logger from '../config/logger.js';
+import { verifyAccessToken } from '../middleware/auth.js';
+import { onGroupEvent, EVENTS } from '../utils/groupEvents.js';
+import { touchPresence, setTyping } from '../utils/presence.js';
+
+const WS_PATH = '/ws';
+const HEARTBEAT_MS = 30_000;
+const CLOSE_SESSION_REVOKED = 4001;
+
+// groupId -> Set<WebSocket>
+const subscriptions = new Map();
+
+// Extract a bearer token from the upgrade request (header first, then query).
+function tokenFromRequest(req) {
+  const hdr = req.headers.authorization || '';
+  if (hdr.startsWith('Bearer ')) return hdr.slice(7);
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+function send(ws, msg) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+function subscribe(ws, groupId) {
+  if (!subscriptions.has(groupId)) subscriptions.set(groupId, new Set());
+  subscriptions.get(groupId).add(ws);
+  ws.groups.add(groupId);
+}
+
+function unsubscribe(ws, groupId) {
+  const subs = subscriptions.get(groupId);
+  if (subs) {
+    subs.delete(ws);
+    if (subs.size === 0) subscriptions.delete(groupId);
+  }
+  ws.groups.delete(groupId);
+  ws.pending.delete(groupId);
+}
+
+// Drop every subscription a given user holds on a group (all of their sockets).
+function evictUser(groupId, userId, reason) {
+  const subs = subscriptions.get(groupId);
+  if (!subs) return;
+  for (const ws of [...subs]) {
+    if (ws.user.id === userId) {
+      unsubscribe(ws, groupId);
+      send(ws, { type: 'unsubscribed', groupId, reason });
+    }
+  }
+}
+
+// Fan a bus event out to the group's subscribers, applying membership cut-offs first.
+function handleGroupEvent(event) {
+  const { type, groupId, data } = event;
+  if (type === EVENTS.REQUEST_PENDING) return; // join requests are visible to moderators+ only
+
+  if (type === EVENTS.MEMBER_LEFT) evictUser(groupId, data.userId, 'left');
+  if (type === EVENTS.MEMBER_BANISHED) evictUser(groupId, data.userId, 'banished');
+
+  const subs = subscriptions.get(groupId);
+  if (!subs) return;
+
+  for (const ws of subs) {
+    if (!ws.pending.has(groupId)) send(ws, { type: 'event', event });
+  }
+
+  if (type === EVENTS.GROUP_DELETED) {
+    for (const ws of [...subs]) {
+      unsubscribe(ws, groupId);
+      send(ws, { type: 'unsubscribed', groupId, reason: 'deleted' });
+    }
+  }
+}
+
+async function handleClientMessage(ws, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw.toString());
+  } catch {
+    return send(ws, { type: 'error', error: 'Invalid JSON' });
+  }
+
+  const { action, groupId } = msg || {};
+
+  if (action === 'subscribe') {
+    if (!mongoose.isValidObjectId(groupId)) {
+      return send(ws, { type: 'error', error: 'Invalid groupId' });
+    }
+    const id = new mongoose.Types.ObjectId(groupId).toString();
+    const resubscribe = ws.groups.has(id) && !ws.pending.has(id);
+
+    // Register before reading membership (see Security Notes); nothing is
+    // delivered while the check is pending.
+    if (!resubscribe) ws.pending.add(id);
+    subscribe(ws, id);
+
+    const group = await Group.findById(id).select('members');
+    const member = group?.members.some(m => m.toString() === ws.user.id);
+    if (!member || !ws.groups.has(id)) {
+      unsubscribe(ws, id);
+      // Members-only check (same rule as messageController)
+      return send(ws, { type: 'error', error: group ? 'Join group first' : 'Group not found', groupId });
+    }
+
+    ws.pending.delete(id);
+    return send(ws, { type: 'subscribed', groupId: id });
+  }
+
+  if (action === 'typing') {
+    if (!ws.groups.has(String(groupId))) {
+      return send(ws, { type: 'error', error: 'Subscribe to the group first', groupId });
+    }
+    await setTyping(String(groupId), ws.user.id, msg.typing !== false);
+    return;
+  }
+
+  if (action === 'unsubscribe') {
+    unsubscribe(ws, String(groupId));
+    return send(ws, { type: 'unsubscribed', groupId: String(groupId), reason: 'client' });
+  }
+
+  return send(ws, { type: 'error', error: 'Unknown action' });
+}
+
+// Attach the gateway to an existing HTTP server (shares the API port).
+export function attachWebSocketGateway(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 4 * 1024 });
+
+  // Authenticate during the HTTP upgrade; refuse before the handshake completes.
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) return socket.destroy();
+
+    let user;
+    try {
+      const token = tokenFromRequest(req);
+      if (!token) throw Object.assign(new Error('Missing token'), { status: 401 });
+      user = await verifyAccessToken(token);
+    } catch (err) {
+      if (err.status === 401) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      } else {
+        logger.error('WebSocket authentication failed', { message: err.message });
+        socket.write('HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n');
+      }
+      return socket.destroy();
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      ws.user = user;
+      ws.groups = new Set();
+      ws.pending = new Set(); // subscriptions whose membership check is running
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', ws => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', raw => {
+      handleClientMessage(ws, raw).catch(err => {
+        logger.error('WebSocket message error', { message: err.message });
+        send(ws, { type: 'error', error: 'Server error' });
+      });
+    });
+
+    ws.on('close', () => {
+      for (const groupId of [...ws.groups]) unsubscribe(ws, groupId);
+    });
+
+    send(ws, { type: 'ready', userId: ws.user.id });
+
+    touchPresence(ws.user.id).catch(err => {
+      logger.error('WebSocket presence update failed', { message: err.message });
+    });
+  });
+
+  // Close sockets whose session has been revoked or has expired since connecting.
+  const dropRevokedSessions = async () => {
+    const clients = [...wss.clients];
+    if (clients.length === 0) return;
+
+    const sids = [...new Set(clients.map(ws => ws.user.sid))];
+    const active = await Session.find({ _id: { $in: sids }, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('_id')
+      .lean();
+    const activeIds = new Set(active.map(s => s._id.toString()));
+
+    for (const ws of clients) {
+      if (!activeIds.has(ws.user.sid)) ws.close(CLOSE_SESSION_REVOKED, 'Session revoked');
+    }
+  };
+
+  // Terminate connections that stopped answering pings (dead TCP peers).
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+
+    dropRevokedSessions().catch(err => {
+      logger.error('WebSocket session check failed', { message: err.message });
+    });
+
+    const userIds = [...new Set([...wss.clients].map(ws => ws.user.id))];
+    touchPresence(userIds).catch(err => {
+      logger.error('WebSocket presence update failed', { message: err.message });
+    });
+  }, HEARTBEAT_MS);
+
+  const stopListening = onGroupEvent(handleGroupEvent);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    stopListening();
+  });
+
+  logger.info(`WebSocket gateway listening on ${WS_PATH}`);
+  return wss;
+}
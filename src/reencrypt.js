@@ -0,0 +1,35 @@
+// src/reencrypt.js
+// Purpose
+// -------
+// Operator script that re-encrypts all stored messages with the current AES key
+// (see AES_KEYRING / AES_CURRENT_KEY_ID). Safe to interrupt: re-running it
+// resumes from the last completed batch.
+//
+// Usage
+// -----
+//   npm run reencrypt            # run / resume the migration
+//   npm run reencrypt -- status  # print progress without running
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB } from './config/db.js';
+import { keyringStatus } from './utils/crypto.js';
+import { runReencryption, getReencryptionStatus } from './jobs/reencryptMessages.js';
+
+// Establish database connection
+await connectDB(process.env.MONGO_URI);
+
+console.log('Keyring:', JSON.stringify(keyringStatus()));
+
+if (process.argv[2] === 'status') {
+  console.log('Status:', JSON.stringify(await getReencryptionStatus()));
+} else {
+  const state = await runReencryption({
+    onProgress: s => console.log(`Processed ${s.processed}/${s.total} (migrated ${s.migrated}, failed ${s.failed})`),
+  });
+  console.log('Done:', JSON.stringify(state));
+}
+
+// Gracefully exit the script
+process.exit(0);
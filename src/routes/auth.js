@@ -1,25 +1,90 @@
 // src/routes/auth.js
 // Purpose:
 // --------
-// Handles user authentication endpoints (registration and login).
+// Handles user authentication endpoints (registration, login, sessions).
 //
 // Features implemented:
 //   - User registers with email + password
 //   - Zod validation for email/password format
 //   - Password is hashed using bcrypt in model layer
-//   - Login returns JWT token for sessionless auth
+//   - Login returns a short-lived access JWT + rotating refresh token
+//   - Refresh / logout / logout-all manage server-side sessions
+//   - Forgot / reset / change password
+//   - E-mail verification (+ resend)
+//   - TOTP two-factor: enroll, confirm, login step 2, disable, recovery codes
 //
-// No authorization middleware here — these routes must remain public.
+// Register, login, refresh, verification, password forgot/reset and the 2FA
+// login step are public; everything else requires a valid token.
+// Public routes are rate limited per client IP (credential stuffing, mail spam).
 
 import { Router } from 'express';
-import { register, login } from '../controllers/authController.js';
+import { authRequired } from '../middleware/auth.js';
+import { rateLimitFor } from '../middleware/rateLimit.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword
+} from '../controllers/authController.js';
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
 
 const r = Router();
 
 // Register a new account
-r.post('/register', register);
+r.post('/register', rateLimitFor('register'), register);
 
 // Login and receive JWT token
-r.post('/login', login);
+r.post('/login', rateLimitFor('login'), login);
+
+// Exchange a refresh token for a new token pair (rotation)
+r.post('/refresh', rateLimitFor('refresh'), refresh);
+
+// End the current session
+r.post('/logout', authRequired, logout);
+
+// End all sessions of the current user
+r.post('/logout-all', authRequired, logoutAll);
+
+// Confirm e-mail ownership with the mailed token
+r.post('/verify', rateLimitFor('accountEmail'), verifyEmail);
+
+// Re-send the verification e-mail (generic response, no enumeration)
+r.post('/verify/resend', rateLimitFor('accountEmail'), resendVerification);
+
+// Request a password reset e-mail (generic response, no enumeration)
+r.post('/password/forgot', rateLimitFor('accountEmail'), forgotPassword);
+
+// Redeem a reset token and set a new password
+r.post('/password/reset', rateLimitFor('accountEmail'), resetPassword);
+
+// Change password while logged in (requires current password)
+r.post('/password/change', authRequired, changePassword);
+
+// Start 2FA enrollment (returns secret + otpauth URL)
+r.post('/2fa/enroll', authRequired, enrollTwoFactor);
+
+// Confirm enrollment with a first code (returns recovery codes once)
+r.post('/2fa/confirm', authRequired, confirmTwoFactor);
+
+// Second login step: challenge token + TOTP or recovery code -> session
+r.post('/2fa/verify', rateLimitFor('twoFactor'), verifyTwoFactorLogin);
+
+// Turn 2FA off (password + TOTP or recovery code)
+r.post('/2fa/disable', authRequired, disableTwoFactor);
+
+// Replace recovery codes (TOTP code required)
+r.post('/2fa/recovery-codes', authRequired, regenerateRecoveryCodes);
 
 export default r;
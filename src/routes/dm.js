@@ -0,0 +1,52 @@
+// src/routes/dm.js
+// Purpose:
+// --------
+// Direct (one-to-one) conversations and the caller's block list.
+//
+// Access Control:
+//   - All endpoints require auth (authRequired)
+//   - Conversations are visible to their two participants only (controller)
+//   - Opening and sending follow the message verification policy
+//     (requireVerified('sendMessage')) and are rate limited per user
+//   - Blocking either way stops new conversations and messages
+
+import { Router } from 'express';
+import { authRequired } from '../middleware/auth.js';
+import { requireVerified } from '../middleware/verified.js';
+import { rateLimitFor } from '../middleware/rateLimit.js';
+import {
+  openConversation,
+  listConversations,
+  sendDirectMessage,
+  listDirectMessages,
+  listBlockedUsers,
+  blockUser,
+  unblockUser
+} from '../controllers/directMessageController.js';
+
+const r = Router();
+
+r.use(authRequired);
+
+// Users the caller has blocked
+r.get('/blocks', listBlockedUsers);
+
+// Block a user (both directions of direct messaging stop)
+r.post('/blocks', blockUser);
+
+// Unblock a user
+r.delete('/blocks/:userId', unblockUser);
+
+// Open (or fetch) the conversation with another user — one per pair
+r.post('/', rateLimitFor('openConversation'), requireVerified('sendMessage'), openConversation);
+
+// The caller's conversations, most recently active first
+r.get('/', listConversations);
+
+// Send an encrypted direct message
+r.post('/:conversationId/messages', rateLimitFor('directMessage'), requireVerified('sendMessage'), sendDirectMessage);
+
+// List decrypted messages of a conversation
+r.get('/:conversationId/messages', listDirectMessages);
+
+export default r;
@@ -4,7 +4,9 @@
 // Defines all group-related API endpoints.
 // Access Control:
 //   - All routes here require a valid JWT (authRequired middleware).
-//   - Group ownership rules are enforced in the controller itself.
+//   - Creating/joining groups can be limited to verified e-mails (requireVerified).
+//   - Role rules (owner/admin/moderator/member) are enforced in the controller
+//     via the shared permission helper (utils/permissions.js).
 //
 // Features Supported (per assessment spec):
 //   - Create group (open/private)
@@ -16,10 +18,18 @@
 //   - Owner can banish members
 //   - Owner can transfer ownership
 //   - Owner can delete group (only if sole member)
-//   - Invite system: owner creates invite; members/others redeem invite
+//   - Update name/description/topic (admin+), type/capacity (owner)
+//   - Invite system: admins/owner create, list and revoke invites (optionally
+//     bound to one e-mail); members/others redeem invite
+//   - Roles: promote/demote admins and moderators
+//   - Presence: who is online / idle / typing (members only)
+//   - Audit log: owner lists and verifies the hash-chained admin history
+//   - Webhooks: owner registers signed HTTP callbacks for group events
 
 import { Router } from 'express';
 import { authRequired } from '../middleware/auth.js';
+import { requireVerified } from '../middleware/verified.js';
+import { rateLimitFor } from '../middleware/rateLimit.js';
 import {
   createGroup,
   listPublicGroups,
@@ -32,9 +42,27 @@ import {
   banishMember,
   transferOwnership,
   deleteGroup,
+  updateGroup,
+  promoteMember,
+  demoteMember,
+  updateGroupSettings,
+  listAuditEvents,
+  verifyAuditLog,
   createInvite,
+  listInvites,
+  revokeInvite,
   joinWithInvite
 } from '../controllers/groupController.js';
+import { groupPresence } from '../controllers/presenceController.js';
+import {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver,
+  pingWebhook
+} from '../controllers/webhookController.js';
 
 const r = Router();
 
@@ -42,7 +70,7 @@ const r = Router();
 r.use(authRequired);
 
 // Create new group (owner becomes first member automatically)
-r.post('/', createGroup);
+r.post('/', requireVerified('createGroup'), createGroup);
 
 // List all OPEN groups (joinable without approval)
 r.get('/public', listPublicGroups);
@@ -51,33 +79,69 @@ r.get('/public', listPublicGroups);
 r.get('/mine', myGroups);
 
 // Join an OPEN group directly (no approval needed)
-r.post('/:groupId/join-open', joinOpenGroup);
+r.post('/:groupId/join-open', rateLimitFor('joinGroup'), requireVerified('joinGroup'), joinOpenGroup);
 
 // Request to join PRIVATE group (creates/updates join request)
-r.post('/:groupId/request-join', requestJoinPrivate);
+r.post('/:groupId/request-join', rateLimitFor('joinGroup'), requireVerified('joinGroup'), requestJoinPrivate);
 
-// Owner can view pending join requests for a target group
+// Moderators+ can view pending join requests for a target group
 r.get('/:groupId/requests', listJoinRequests);
 
-// Owner decides approval/decline for a given join request
+// Moderators+ decide approval/decline for a given join request
 r.post('/requests/:requestId/decision', decideJoinRequest);
 
 // Member leaves group (owner cannot leave without transfer)
 r.post('/:groupId/leave', leaveGroup);
 
-// Owner banishes a member (member removed + added to banned list)
+// Moderators+ banish a lower-ranked member (member removed + added to banned list)
 r.post('/:groupId/banish', banishMember);
 
 // Owner transfers ownership to another member
 r.post('/:groupId/transfer', transferOwnership);
 
+// Admins+ rename / describe the group; owner changes type and capacity
+r.patch('/:groupId', updateGroup);
+
 // Owner deletes group (only if sole remaining member)
 r.delete('/:groupId', deleteGroup);
 
-// Owner creates a time-limited / use-limited invite
+// Promote a member to moderator/admin (admins manage moderators; owner manages admins)
+r.post('/:groupId/promote', promoteMember);
+
+// Demote an admin/moderator
+r.post('/:groupId/demote', demoteMember);
+
+// Presence of the group's members (online / idle / offline, typing)
+r.get('/:groupId/presence', groupPresence);
+
+// Owner updates group settings (e.g. revision history visibility)
+r.patch('/:groupId/settings', updateGroupSettings);
+
+// Owner reads the group's audit log (newest first)
+r.get('/:groupId/audit', listAuditEvents);
+
+// Owner re-verifies the audit log's hash chain
+r.get('/:groupId/audit/verify', verifyAuditLog);
+
+// Owner manages webhooks (secret returned on create / rotation only)
+r.post('/:groupId/webhooks', createWebhook);
+r.get('/:groupId/webhooks', listWebhooks);
+r.patch('/:groupId/webhooks/:webhookId', updateWebhook);
+r.delete('/:groupId/webhooks/:webhookId', deleteWebhook);
+
+// Owner reads a webhook's delivery log, re-queues a delivery or sends a test ping
+r.get('/:groupId/webhooks/:webhookId/deliveries', listDeliveries);
+r.post('/:groupId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', redeliver);
+r.post('/:groupId/webhooks/:webhookId/ping', pingWebhook);
+
+// Admins+ create a time-limited / use-limited invite
 r.post('/:groupId/invites', createInvite);
 
+// Admins+ list invites (metadata only, never tokens) and revoke one
+r.get('/:groupId/invites', listInvites);
+r.delete('/:groupId/invites/:inviteId', revokeInvite);
+
 // Any logged-in user redeems invite token if valid
-r.post('/join-with-invite', joinWithInvite);
+r.post('/join-with-invite', rateLimitFor('redeemInvite'), requireVerified('joinGroup'), joinWithInvite);
 
 export default r;
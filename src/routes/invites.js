@@ -0,0 +1,22 @@
+// src/routes/invites.js
+// Purpose:
+// --------
+// Public invite endpoints (no JWT): lets an invitee see what they are about
+// to join before signing in.
+//
+// Access Control:
+//   - No auth; the invite token is the credential and only the group's public
+//     profile (name, type, description, topic, member count) is returned.
+//   - Rate limited per client IP.
+//   - Creating, listing, revoking and redeeming invites live under /groups.
+
+import { Router } from 'express';
+import { previewInvite } from '../controllers/groupController.js';
+import { rateLimitFor } from '../middleware/rateLimit.js';
+
+const r = Router();
+
+// Preview the group behind an invite token
+r.get('/preview', rateLimitFor('invitePreview'), previewInvite);
+
+export default r;
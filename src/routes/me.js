@@ -0,0 +1,26 @@
+// src/routes/me.js
+// Purpose:
+// --------
+// The caller's own account: personal data export and account deletion.
+//
+// Access Control:
+//   - All endpoints require auth (authRequired)
+//   - Deletion re-checks the password (and second factor when enabled)
+//   - Both are rate limited per user (export decrypts every own message)
+
+import { Router } from 'express';
+import { authRequired } from '../middleware/auth.js';
+import { rateLimitFor } from '../middleware/rateLimit.js';
+import { exportMyData, deleteMyAccount } from '../controllers/accountController.js';
+
+const r = Router();
+
+r.use(authRequired);
+
+// Download a .tar.gz of the caller's personal data and own messages
+r.get('/export', rateLimitFor('dataExport'), exportMyData);
+
+// Delete the account (owned groups transferred or deleted)
+r.delete('/', rateLimitFor('deleteAccount'), deleteMyAccount);
+
+export default r;
@@ -7,28 +7,70 @@
 // Access Control:
 //   - All message endpoints require auth (authRequired)
 //   - Additional membership rules enforced in controller
+//   - Sending can be limited to verified e-mails (requireVerified)
+//   - Sending, typing, starting uploads and uploading chunks are rate limited per user;
+//     per-group slow mode is enforced in sendMessage
 //
 // Features implemented:
 //   - AES-128 encrypted message storage
 //   - User can send message only if member of group
 //   - User can list messages only in groups they belong to
-//   - "pollEvents" simulates realtime updates
+//   - "pollEvents" simulates realtime updates (unread count from read marker)
+//   - Read receipts: per-user read marker + "who read this" (per-group opt-out)
+//   - Typing indicators (presenceController; expire automatically)
+//   - Encrypted attachments: chunked upload -> GridFS, member-only download
+//   - Keyword search over encrypted messages (blind index)
+//   - "streamEvents" pushes live updates over Server-Sent Events
+//   - Sender edits (with encrypted revision history); sender/moderators delete
+//   - Threaded replies (replyTo on send, thread listing)
+//   - Emoji reactions (one per user per emoji per message)
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import { authRequired } from '../middleware/auth.js';
+import { requireVerified } from '../middleware/verified.js';
+import { rateLimitFor } from '../middleware/rateLimit.js';
 import {
   sendMessage,
   listMessages,
-  pollEvents
+  pollEvents,
+  streamEvents,
+  editMessage,
+  deleteMessage,
+  listRevisions,
+  listThread,
+  addReaction,
+  removeReaction,
+  markRead,
+  listReaders,
+  searchMessages
 } from '../controllers/messageController.js';
+import { setTypingStatus } from '../controllers/presenceController.js';
+import {
+  initUpload,
+  uploadChunk,
+  completeUpload,
+  downloadAttachment
+} from '../controllers/attachmentController.js';
+import { attachmentConfig } from '../config/attachments.js';
 
 const r = Router();
 
+// Raw body parser for upload chunks. The limit is read per request: routes are
+// imported before dotenv runs, so ATTACHMENT_CHUNK_BYTES is unknown at load time.
+let chunkParser = null;
+function rawChunk(req, res, next) {
+  const limit = attachmentConfig().chunkBytes;
+  if (chunkParser?.limit !== limit) {
+    chunkParser = { limit, parse: express.raw({ type: 'application/octet-stream', limit }) };
+  }
+  return chunkParser.parse(req, res, next);
+}
+
 // All message operations require authentication
 r.use(authRequired);
 
 // Send an encrypted message to a group the user belongs to
-r.post('/:groupId', sendMessage);
+r.post('/:groupId', rateLimitFor('sendMessage'), requireVerified('sendMessage'), sendMessage);
 
 // List decrypted messages from a group (membership required)
 r.get('/:groupId', listMessages);
@@ -36,4 +78,46 @@ r.get('/:groupId', listMessages);
 // Poll for new messages since timestamp — simulates realtime
 r.get('/:groupId/poll', pollEvents);
 
+// Move the caller's read marker forward (defaults to the latest message)
+r.post('/:groupId/read', markRead);
+
+// Attachments: declare upload -> PUT raw chunks -> complete -> reference in a message
+r.post('/:groupId/attachments', rateLimitFor('upload'), requireVerified('sendMessage'), initUpload);
+// (limited before the body is read, so rejected chunks are never buffered)
+r.put('/:groupId/attachments/:attachmentId/chunks/:index', rateLimitFor('uploadChunk'), rawChunk, uploadChunk);
+r.post('/:groupId/attachments/:attachmentId/complete', completeUpload);
+
+// Download (decrypted stream, current members only)
+r.get('/:groupId/attachments/:attachmentId', downloadAttachment);
+
+// Typing indicator for the caller (refresh every few seconds while typing)
+r.post('/:groupId/typing', rateLimitFor('typing'), setTypingStatus);
+
+// Server-Sent Events stream of new messages + group events (Last-Event-ID resume)
+r.get('/:groupId/stream', streamEvents);
+
+// Keyword search (whole words, all must match), newest first
+r.get('/:groupId/search', searchMessages);
+
+// A thread: root message + paginated replies
+r.get('/:groupId/threads/:rootId', listThread);
+
+// Edit own message (previous text kept as an encrypted revision)
+r.patch('/:groupId/:messageId', editMessage);
+
+// Delete a message (sender, or moderator+); leaves a tombstone
+r.delete('/:groupId/:messageId', deleteMessage);
+
+// React to a message with an emoji
+r.post('/:groupId/:messageId/reactions', addReaction);
+
+// Remove own reaction (emoji URL-encoded in the path)
+r.delete('/:groupId/:messageId/reactions/:emoji', removeReaction);
+
+// Who has read a message (unless the group turned receipts off)
+r.get('/:groupId/:messageId/readers', listReaders);
+
+// Revision history of a message (may be hidden by the group owner)
+r.get('/:groupId/:messageId/revisions', listRevisions);
+
 export default r;
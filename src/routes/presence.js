@@ -0,0 +1,22 @@
+// src/routes/presence.js
+// Purpose:
+// --------
+// Presence heartbeat for the current user.
+//
+// Access Control:
+//   - Requires auth (authRequired)
+//   - Group-scoped presence/typing live under /groups and /messages
+//     (membership enforced in presenceController)
+
+import { Router } from 'express';
+import { authRequired } from '../middleware/auth.js';
+import { heartbeat } from '../controllers/presenceController.js';
+
+const r = Router();
+
+r.use(authRequired);
+
+// Mark the caller online / idle / offline (expires without further heartbeats)
+r.post('/heartbeat', heartbeat);
+
+export default r;
@@ -28,7 +28,7 @@ let user = await User.findOne({ email });
 
 // If missing, create the demo user
 if (!user) {
-  user = new User({ email });
+  user = new User({ email, verified: true, verifiedAt: new Date() });
   await user.setPassword('Password123'); // NOTE: for demo/testing only
   await user.save();
 }
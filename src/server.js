@@ -10,12 +10,15 @@
 // - helmet() adds hardened HTTP headers.
 // - cors() restricts cross-origin access if configured.
 // - express.json limit prevents payload abuse.
+// - Every request counts against a per-IP budget; sensitive routes add their
+//   own (middleware/rateLimit.js). Set TRUST_PROXY behind a load balancer.
 // - Swagger docs available at /docs.
 //
 // Development Notes
 // -----------------
 // - morgan logs HTTP requests for debugging.
 // - DB connection occurs BEFORE server start to prevent serving without DB.
+// - The WebSocket gateway (/ws) shares the HTTP server and port.
 
 import express from 'express';
 import cors from 'cors';
@@ -30,13 +33,36 @@ import logger from './config/logger.js';
 import authRoutes from './routes/auth.js';
 import groupRoutes from './routes/groups.js';
 import messageRoutes from './routes/messages.js';
+import presenceRoutes from './routes/presence.js';
+import inviteRoutes from './routes/invites.js';
+import dmRoutes from './routes/dm.js';
+import meRoutes from './routes/me.js';
 import { notFound, errorHandler } from './middleware/error.js';
+import { rateLimitFor } from './middleware/rateLimit.js';
+import { attachWebSocketGateway } from './realtime/wsGateway.js';
+import { runReencryption } from './jobs/reencryptMessages.js';
+import { cleanupOrphanedAttachments } from './jobs/cleanupAttachments.js';
+import { runSearchBackfill } from './jobs/backfillSearchIndex.js';
+import { searchEnabled } from './utils/blindIndex.js';
+import { attachmentConfig } from './config/attachments.js';
+import { webhookConfig } from './config/webhooks.js';
+import { attachWebhookOutbox } from './utils/webhooks.js';
+import { deliverDueWebhooks } from './jobs/deliverWebhooks.js';
+import { runRetentionSweep } from './jobs/purgeExpiredMessages.js';
+import { resumeAccountDeletions } from './jobs/resumeAccountDeletions.js';
+import { retentionConfig } from './config/retention.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 
+// Client IPs (rate limiting, logs) come from X-Forwarded-For only when trusted
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Enable JSON body parsing with size limit for safety
 app.use(express.json({ limit: '1mb' }));
 
@@ -47,6 +73,9 @@ app.use(helmet());
 // Log HTTP requests in development style
 app.use(morgan('dev'));
 
+// Baseline request budget per client IP
+app.use(rateLimitFor('api'));
+
 // Load and serve Swagger API documentation
 const swaggerDoc = YAML.load(new URL('../swagger.yaml', import.meta.url));
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerDoc));
@@ -55,6 +84,10 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerDoc));
 app.use('/auth', authRoutes);
 app.use('/groups', groupRoutes);
 app.use('/messages', messageRoutes);
+app.use('/presence', presenceRoutes);
+app.use('/invites', inviteRoutes);
+app.use('/dm', dmRoutes);
+app.use('/me', meRoutes);
 
 // Handle unknown routes + centralized error handler
 app.use(notFound);
@@ -67,6 +100,59 @@ const PORT = process.env.PORT || 4000;
 await connectDB(process.env.MONGO_URI);
 
 // Start HTTP server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Server listening on port ${PORT}`);
 });
+
+// Live push of group activity over WebSocket (same port as the API)
+attachWebSocketGateway(server);
+
+// Optionally migrate stored messages to the current AES key in the background
+if (process.env.REENCRYPT_ON_BOOT === 'true') {
+  runReencryption().catch(err => logger.error('Re-encryption failed', { message: err.message }));
+}
+
+// Optionally index existing messages for search in the background
+if (process.env.SEARCH_BACKFILL_ON_BOOT === 'true' && searchEnabled()) {
+  runSearchBackfill().catch(err => logger.error('Search backfill failed', { message: err.message }));
+}
+
+// Periodically delete abandoned / never-sent attachment uploads
+const { cleanupIntervalMinutes } = attachmentConfig();
+if (cleanupIntervalMinutes > 0) {
+  setInterval(() => {
+    cleanupOrphanedAttachments().catch(err => logger.error('Attachment cleanup failed', { message: err.message }));
+  }, cleanupIntervalMinutes * 60_000).unref();
+}
+
+// Enforce per-group message retention (re-stamp after changes, purge expired)
+const { sweepSeconds } = retentionConfig();
+if (sweepSeconds > 0) {
+  let sweeping = false; // one sweep at a time per instance
+  setInterval(() => {
+    if (sweeping) return;
+    sweeping = true;
+    runRetentionSweep()
+      .catch(err => logger.error('Retention sweep failed', { message: err.message }))
+      .finally(() => { sweeping = false; });
+  }, sweepSeconds * 1000).unref();
+}
+
+// Finish account deletions whose DELETE /me died part-way
+setInterval(() => {
+  resumeAccountDeletions().catch(err => logger.error('Account deletion resume failed', { message: err.message }));
+}, 15 * 60_000).unref();
+
+// Queue group events for registered webhooks and drain the outbox
+attachWebhookOutbox();
+const { pollSeconds } = webhookConfig();
+if (pollSeconds > 0) {
+  let delivering = false; // one drain at a time per instance
+  setInterval(() => {
+    if (delivering) return;
+    delivering = true;
+    deliverDueWebhooks()
+      .catch(err => logger.error('Webhook delivery failed', { message: err.message }))
+      .finally(() => { delivering = false; });
+  }, pollSeconds * 1000).unref();
+}
@@ -0,0 +1,183 @@
+// src/utils/accountDeletion.js
+// Purpose
+// -------
+// Erases an account (DELETE /me, controllers/accountController.js):
+// - Owned groups are handed to the next admin/moderator/member or deleted;
+//   other memberships end as if the user left.
+// - Authored messages and files stay for the other members but point at
+//   DELETED_USER_ID instead of the user; so do webhook deliveries (queued or
+//   logged) that mention them, with the e-mail removed.
+// - Direct conversations are closed: the user's seat points at
+//   DELETED_USER_ID, `pairKey` no longer names the pair and nothing more can
+//   be sent. The other participant keeps the history.
+// - Personal records (sessions, tokens, requests, leave history, invites,
+//   reactions, read markers, presence) are removed, then the User itself.
+//
+// Resuming
+// --------
+// - beginAccountDeletion sets `User.deletingAt` before anything is removed and
+//   stores what later steps need: the owned-groups choice and the groups whose
+//   webhook deliveries may mention the user (read before memberships change).
+// - Every step is idempotent, so eraseAccount run again on the same user (a
+//   retried DELETE /me, or jobs/resumeAccountDeletions.js) finishes the job.
+// - Groups being deleted are recorded before their document goes, so their
+//   messages and files are removed even if a run dies in between.
+//
+// Notes
+// -----
+// - Blind-index tokens (utils/blindIndex.js) of the user's messages stay: they
+//   are keyed per group, derive only from the text that also stays, and
+//   nothing links them to the account once the sender is re-pointed.
+// - Events published by the deletion itself (member.left, ownership changes)
+//   keep the old user id, so receivers can erase their own copies.
+// - The hash-chained audit log is append-only: its entries keep the old user
+//   id, which no longer resolves to anyone.
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Group from '../models/Group.js';
+import Message from '../models/Message.js';
+import JoinRequest from '../models/JoinRequest.js';
+import LeaveHistory from '../models/LeaveHistory.js';
+import Invite from '../models/Invite.js';
+import Session from '../models/Session.js';
+import ActionToken from '../models/ActionToken.js';
+import Reaction from '../models/Reaction.js';
+import ReadMarker from '../models/ReadMarker.js';
+import Presence from '../models/Presence.js';
+import Typing from '../models/Typing.js';
+import Attachment from '../models/Attachment.js';
+import Conversation from '../models/Conversation.js';
+import DirectMessage from '../models/DirectMessage.js';
+import logger from '../config/logger.js';
+import { publishGroupEvent, EVENTS } from './groupEvents.js';
+import { pickSuccessor, setRole } from './permissions.js';
+import { deleteGroupData } from './groupCleanup.js';
+import { recordAudit, AUDIT } from './audit.js';
+import { sendMail } from './mailer.js';
+import { scrubUserFromDeliveries } from './webhooks.js';
+
+// Sender/uploader recorded on content left behind by deleted accounts.
+export const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+// Mark `user` as being deleted. Returns the user document carrying the stored
+// deletion inputs (those of the first request if one already started), or
+// null if the account is already gone.
+export async function beginAccountDeletion(user, ownedGroups) {
+  const uid = user._id;
+  const touchedGroups = [...new Set([
+    ...(await Group.find({ members: uid }).distinct('_id')),
+    ...(await Message.distinct('group', { sender: uid })),
+    ...(await LeaveHistory.distinct('group', { user: uid })),
+  ].map(String))];
+
+  const started = await User.findOneAndUpdate(
+    { _id: uid, deletingAt: null },
+    { $set: { deletingAt: new Date(), deletion: { ownedGroups, touchedGroups, deletedGroups: [] } } },
+    { new: true }
+  );
+  return started ?? User.findById(uid);
+}
+
+// Hand a group the deleted user owns to its successor, or delete it.
+// Returns 'transferred' | 'deleted'.
+async function releaseOwnedGroup(group, uid, mode) {
+  const successor = mode === 'transfer' ? pickSuccessor(group, uid) : null;
+
+  if (!successor) {
+    await User.updateOne({ _id: uid }, { $addToSet: { 'deletion.deletedGroups': group._id } });
+    await group.deleteOne();
+    await recordAudit(group._id, AUDIT.GROUP_DELETED, {
+      actor: uid,
+      data: { name: group.name, reason: 'account_deleted' },
+    });
+    publishGroupEvent(EVENTS.GROUP_DELETED, group._id);
+    return 'deleted';
+  }
+
+  setRole(group, successor, 'member');
+  group.owner = successor;
+  group.members = group.members.filter(m => !m.equals(uid));
+  await group.save();
+
+  await recordAudit(group._id, AUDIT.OWNERSHIP_TRANSFERRED, {
+    actor: uid,
+    target: successor,
+    data: { reason: 'account_deleted' },
+  });
+  await recordAudit(group._id, AUDIT.MEMBER_LEFT, { actor: uid, data: { reason: 'account_deleted' } });
+  publishGroupEvent(EVENTS.MEMBER_LEFT, group._id, { userId: uid.toString(), reason: 'account_deleted' });
+  return 'transferred';
+}
+
+// Run (or finish) the deletion started by beginAccountDeletion.
+// Returns how many owned groups this run transferred / deleted.
+export async function eraseAccount(user) {
+  const uid = user._id;
+  const { ownedGroups = 'transfer', touchedGroups = [] } = user.deletion ?? {};
+  const groups = { transferred: 0, deleted: 0 };
+
+  // Groups the user owns: transfer or delete.
+  for (const group of await Group.find({ owner: uid })) {
+    groups[await releaseOwnedGroup(group, uid, ownedGroups)] += 1;
+  }
+  const { deletion } = await User.findById(uid).select('deletion.deletedGroups').lean() ?? {};
+  for (const groupId of deletion?.deletedGroups ?? []) await deleteGroupData(groupId);
+
+  // Every other membership ends as a plain leave (no re-join cooldown: the
+  // account will not come back).
+  for (const group of await Group.find({ members: uid })) {
+    setRole(group, uid, 'member');
+    group.members = group.members.filter(m => !m.equals(uid));
+    await group.save();
+    await recordAudit(group._id, AUDIT.MEMBER_LEFT, { actor: uid, data: { reason: 'account_deleted' } });
+    publishGroupEvent(EVENTS.MEMBER_LEFT, group._id, { userId: uid.toString(), reason: 'account_deleted' });
+  }
+  await Group.updateMany({ bannedUsers: uid }, { $pull: { bannedUsers: uid } });
+
+  // Authored content stays for the other members, detached from the account.
+  await Message.updateMany({ sender: uid }, { $set: { sender: DELETED_USER_ID } });
+  await Message.updateMany({ deletedBy: uid }, { $set: { deletedBy: DELETED_USER_ID } });
+  await DirectMessage.updateMany({ sender: uid }, { $set: { sender: DELETED_USER_ID } });
+  await Attachment.updateMany({ uploader: uid }, { $set: { uploader: DELETED_USER_ID } });
+  await scrubUserFromDeliveries(touchedGroups, {
+    userId: uid,
+    email: user.email,
+    replacementId: DELETED_USER_ID,
+    before: user.deletingAt,
+  });
+
+  // Conversations: the seat goes to DELETED_USER_ID and the pair is released.
+  await Conversation.updateMany({ participants: uid }, [{
+    $set: {
+      participants: {
+        $map: { input: '$participants', in: { $cond: [{ $eq: ['$$this', uid] }, DELETED_USER_ID, '$$this'] } },
+      },
+      pairKey: { $concat: ['closed:', { $toString: '$_id' }] },
+      closedAt: { $ifNull: ['$closedAt', '$$NOW'] },
+    },
+  }]);
+
+  // Personal records.
+  await JoinRequest.deleteMany({ user: uid });
+  await LeaveHistory.deleteMany({ user: uid });
+  await Invite.deleteMany({ $or: [{ owner: uid }, { email: user.email }] });
+  await Reaction.deleteMany({ user: uid });
+  await ReadMarker.deleteMany({ user: uid });
+  await Presence.deleteMany({ user: uid });
+  await Typing.deleteMany({ user: uid });
+  await ActionToken.deleteMany({ user: uid });
+  await User.updateMany({ blockedUsers: uid }, { $pull: { blockedUsers: uid } });
+
+  // Last: once the sessions and the user are gone, every token is dead.
+  await Session.deleteMany({ user: uid });
+  await User.deleteOne({ _id: uid });
+
+  sendMail({
+    to: user.email,
+    subject: 'Your account was deleted',
+    text: 'Your account and personal data were deleted. Messages you sent remain visible to other members without your name.',
+  }).catch(err => logger.error('Account deletion mail failed', { message: err.message }));
+
+  return groups;
+}
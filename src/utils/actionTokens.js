@@ -0,0 +1,38 @@
+// src/utils/actionTokens.js
+// Purpose
+// -------
+// Issue and consume single-use, expiring tokens sent to users by e-mail.
+//
+// Design
+// ------
+// - Raw token goes only into the e-mail; the DB keeps sha256(token).
+// - Issuing a new token for a purpose invalidates the user's older ones.
+// - Consumption is one atomic update (unused + unexpired -> used), so a token
+//   can never be redeemed twice, even by concurrent requests.
+
+import ActionToken from '../models/ActionToken.js';
+import { generateRawToken, sha256 } from './token.js';
+
+// Create a token for `purpose`; returns the raw token (show/send once).
+export async function issueActionToken(userId, purpose, ttlMinutes) {
+  await ActionToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const rawToken = generateRawToken(32);
+  await ActionToken.create({
+    user: userId,
+    purpose,
+    tokenHash: sha256(rawToken),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60_000),
+  });
+  return rawToken;
+}
+
+// Redeem a raw token for `purpose`; returns the token doc or null if invalid/used/expired.
+export async function consumeActionToken(rawToken, purpose) {
+  const now = new Date();
+  return ActionToken.findOneAndUpdate(
+    { tokenHash: sha256(rawToken), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+}
@@ -0,0 +1,83 @@
+// src/utils/attachmentStore.js
+// Purpose
+// -------
+// GridFS storage for encrypted attachment chunks (bucket `attachments`).
+// Each uploaded chunk is encrypted on its own (utils/crypto.js encryptBytes)
+// and stored as one GridFS file tagged with { attachment, index }, so chunks
+// can arrive in any order and retries simply replace the previous copy.
+//
+// Notes
+// -----
+// - Downloads decrypt chunk by chunk; a whole file is never held in memory.
+// - Deleting an attachment removes its GridFS files first, then the metadata.
+
+import mongoose from 'mongoose';
+import Attachment from '../models/Attachment.js';
+
+const BUCKET = 'attachments';
+
+let cached = { db: null, bucket: null };
+
+// Lazily bound to the live connection (the DB is not ready at import time).
+function bucket() {
+  const { db } = mongoose.connection;
+  if (cached.db !== db) {
+    cached = { db, bucket: new mongoose.mongo.GridFSBucket(db, { bucketName: BUCKET }) };
+  }
+  return cached.bucket;
+}
+
+function chunkFilename(attachmentId, index) {
+  return `${attachmentId}.${index}`;
+}
+
+// GridFS files of an attachment, one per chunk index (newest copy), in order.
+export async function listChunkFiles(attachmentId) {
+  const files = await bucket()
+    .find({ 'metadata.attachment': new mongoose.Types.ObjectId(attachmentId) })
+    .sort({ 'metadata.index': 1, uploadDate: 1 })
+    .toArray();
+
+  const byIndex = new Map();
+  for (const f of files) byIndex.set(f.metadata.index, f); // a retry may briefly leave two copies
+  return [...byIndex.values()];
+}
+
+// Store (or replace) one encrypted chunk.
+export async function putChunk(attachmentId, index, encrypted) {
+  const existing = await bucket()
+    .find({ filename: chunkFilename(attachmentId, index) })
+    .toArray();
+
+  await new Promise((resolve, reject) => {
+    bucket()
+      .openUploadStream(chunkFilename(attachmentId, index), {
+        metadata: { attachment: new mongoose.Types.ObjectId(attachmentId), index },
+      })
+      .on('finish', resolve)
+      .on('error', reject)
+      .end(encrypted);
+  });
+
+  // Drop the previous copy only after the new one is safely written
+  await Promise.all(existing.map(f => bucket().delete(f._id)));
+}
+
+// Read one encrypted chunk back into memory (chunks are bounded in size).
+export async function readChunk(fileId) {
+  const parts = [];
+  for await (const part of bucket().openDownloadStream(fileId)) parts.push(part);
+  return Buffer.concat(parts);
+}
+
+// Delete attachments (GridFS files + metadata) by id.
+export async function deleteAttachments(attachmentIds) {
+  if (attachmentIds.length === 0) return 0;
+  const ids = attachmentIds.map(id => new mongoose.Types.ObjectId(id));
+
+  const files = await bucket().find({ 'metadata.attachment': { $in: ids } }).toArray();
+  for (const f of files) await bucket().delete(f._id);
+
+  const { deletedCount } = await Attachment.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+}
@@ -0,0 +1,139 @@
+// src/utils/audit.js
+// Purpose
+// -------
+// Tamper-evident audit trail for group administration (models/AuditEvent.js).
+// Each group has its own hash chain:
+//   hash(n) = sha256(canonical JSON of { group, seq, action, actor, target,
+//                                        data, createdAt, prevHash = hash(n-1) })
+// The first entry links to GENESIS_HASH.
+//
+// Notes
+// -----
+// - Appends race safely: `seq` is unique per group, so a concurrent writer
+//   loses with a duplicate-key error and retries on top of the new head.
+// - The latest { seq, hash } is mirrored on the Group (`auditHead`), so
+//   verification also notices entries cut off the end of the chain.
+// - Recording never fails the admin action it describes; failures are logged.
+// - Someone with full DB write access could rebuild a consistent chain; export
+//   `headHash` from the verify endpoint to an external system to detect that.
+
+import crypto from 'crypto';
+import Group from '../models/Group.js';
+import AuditEvent from '../models/AuditEvent.js';
+import logger from '../config/logger.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Audit actions (kept in one place so listings/filters stay consistent)
+export const AUDIT = {
+  GROUP_CREATED: 'group.created',
+  GROUP_DELETED: 'group.deleted',
+  GROUP_UPDATED: 'group.updated',
+  GROUP_SETTINGS_UPDATED: 'group.settings_updated',
+  OWNERSHIP_TRANSFERRED: 'ownership.transferred',
+  REQUEST_APPROVED: 'join_request.approved',
+  REQUEST_DECLINED: 'join_request.declined',
+  MEMBER_BANISHED: 'member.banished',
+  MEMBER_LEFT: 'member.left',
+  MEMBER_ROLE_CHANGED: 'member.role_changed',
+  INVITE_CREATED: 'invite.created',
+  INVITE_REDEEMED: 'invite.redeemed',
+  INVITE_REVOKED: 'invite.revoked',
+  WEBHOOK_CREATED: 'webhook.created',
+  WEBHOOK_UPDATED: 'webhook.updated',
+  WEBHOOK_DELETED: 'webhook.deleted',
+};
+
+// JSON with recursively sorted keys; ObjectIds/Dates reduced to strings.
+function canonical(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort(); // undefined is not stored
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Hash of one entry (fields as stored).
+export function hashEvent(e) {
+  return crypto
+    .createHash('sha256')
+    .update(canonical({
+      group: e.group,
+      seq: e.seq,
+      action: e.action,
+      actor: e.actor,
+      target: e.target ?? null,
+      data: e.data ?? {},
+      createdAt: e.createdAt,
+      prevHash: e.prevHash,
+    }))
+    .digest('hex');
+}
+
+// Append one entry to a group's chain. Returns the stored event (or null if it
+// could not be recorded — logged, never thrown).
+export async function recordAudit(groupId, action, { actor, target = null, data = {} }) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt += 1) {
+    try {
+      const head = await AuditEvent.findOne({ group: groupId }).sort({ seq: -1 }).select('seq hash').lean();
+      const entry = {
+        group: groupId,
+        seq: (head?.seq ?? 0) + 1,
+        action,
+        actor,
+        target,
+        data,
+        createdAt: new Date(),
+        prevHash: head?.hash ?? GENESIS_HASH,
+      };
+      const doc = new AuditEvent(entry);
+      doc.hash = hashEvent(doc.toObject());
+      await doc.save();
+
+      await Group.updateOne(
+        { _id: groupId, $or: [{ 'auditHead.seq': { $lt: doc.seq } }, { auditHead: null }] },
+        { $set: { auditHead: { seq: doc.seq, hash: doc.hash } } }
+      );
+      return doc;
+    } catch (err) {
+      if (err.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) continue; // lost the race; retry on new head
+      logger.error('Audit event not recorded', { groupId: groupId.toString(), action, message: err.message });
+      return null;
+    }
+  }
+  return null;
+}
+
+// Walk a group's chain in order and recompute every link.
+// Returns { valid, count, headHash, brokenAt?, reason? }.
+export async function verifyAuditChain(groupId, expectedHead = null) {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let count = 0;
+
+  const cursor = AuditEvent.find({ group: groupId }).sort({ seq: 1 }).lean().cursor();
+  for await (const e of cursor) {
+    const broken = reason => ({ valid: false, count, headHash: prevHash, brokenAt: e.seq, reason });
+    if (e.seq !== expectedSeq) return broken(`expected seq ${expectedSeq}`);
+    if (e.prevHash !== prevHash) return broken('prevHash does not match the previous entry');
+    if (hashEvent(e) !== e.hash) return broken('entry contents do not match its hash');
+
+    prevHash = e.hash;
+    expectedSeq += 1;
+    count += 1;
+  }
+
+  // The recorded head may lag (its update is best-effort) but must never be ahead.
+  if (expectedHead?.seq > count) {
+    return { valid: false, count, headHash: prevHash, brokenAt: count + 1, reason: 'chain is shorter than the recorded head' };
+  }
+  if (expectedHead?.seq === count && count > 0 && expectedHead.hash !== prevHash) {
+    return { valid: false, count, headHash: prevHash, brokenAt: count, reason: 'last entry does not match the recorded head' };
+  }
+  return { valid: true, count, headHash: prevHash };
+}
@@ -0,0 +1,88 @@
+// src/utils/blindIndex.js
+// Purpose
+// -------
+// Keyword search over encrypted messages without storing plaintext.
+// Each message stores HMAC tokens of its normalized words (`searchTokens`);
+// a search hashes the query words the same way and matches tokens exactly.
+//
+// Design
+// ------
+// - Key: BLIND_INDEX_KEY_BASE64 (>= 16 bytes), deliberately separate from the
+//   AES keyring — leaking one does not weaken the other.
+// - Tokens are group-scoped: HMAC(groupKey, word) where groupKey =
+//   HMAC(master, "group:<id>"), so the same word yields unrelated tokens in
+//   different groups (no cross-group frequency correlation).
+// - Normalization: Unicode NFKD, diacritics stripped, lower-cased, split on
+//   anything that is not a letter/number. Whole words only (no prefixes).
+// - `keyFingerprint()` identifies the key that produced a message's tokens, so
+//   the backfill job (jobs/backfillSearchIndex.js) can rebuild after a change.
+//
+// Security Notes
+// --------------
+// - A blind index leaks equality: someone with DB access can see that two
+//   messages of the same group share a word, but not which word.
+// - Without the env key, messages are stored unindexed and search returns 503.
+
+import crypto from 'crypto';
+
+const MIN_TOKEN_LEN = 2;
+const MAX_TOKEN_LEN = 64;
+const MAX_TOKENS_PER_MESSAGE = 500;
+const TOKEN_BYTES = 16;
+
+let cached = { b64: null, key: null };
+
+// Master blind-index key from env, or null when search is not configured.
+function masterKey() {
+  const b64 = process.env.BLIND_INDEX_KEY_BASE64 || '';
+  if (cached.b64 === b64) return cached.key;
+
+  let key = null;
+  if (b64) {
+    key = Buffer.from(b64, 'base64');
+    if (key.length < 16) throw new Error('BLIND_INDEX_KEY_BASE64 must be at least 16 bytes');
+  }
+  cached = { b64, key };
+  return key;
+}
+
+export function searchEnabled() {
+  return masterKey() !== null;
+}
+
+// Short, non-secret identifier of the current key (stored per message).
+export function keyFingerprint() {
+  const key = masterKey();
+  if (!key) return null;
+  return crypto.createHmac('sha256', key).update('fingerprint').digest('hex').slice(0, 12);
+}
+
+// Split text into unique normalized words.
+export function normalizeWords(text) {
+  const words = text
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => w.length >= MIN_TOKEN_LEN && w.length <= MAX_TOKEN_LEN);
+  return [...new Set(words)];
+}
+
+function groupKey(groupId) {
+  return crypto.createHmac('sha256', masterKey()).update(`group:${groupId}`).digest();
+}
+
+// Blind tokens for a group's text (empty when search is not configured).
+export function blindTokens(groupId, text) {
+  if (!searchEnabled()) return [];
+  const key = groupKey(groupId.toString());
+  return normalizeWords(text)
+    .slice(0, MAX_TOKENS_PER_MESSAGE)
+    .map(w => crypto.createHmac('sha256', key).update(w).digest().subarray(0, TOKEN_BYTES).toString('base64url'));
+}
+
+// Fields to $set on a message for `text` (tokens + the key that made them).
+export function searchFields(groupId, text) {
+  if (!searchEnabled()) return {};
+  return { searchTokens: blindTokens(groupId, text), searchKey: keyFingerprint() };
+}
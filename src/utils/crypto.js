@@ -1,63 +1,240 @@
 // src/utils/crypto.js
 // Purpose
 // -------
-// Encrypt/decrypt message payloads using AES-128-GCM.
-// We store an opaque base64 payload containing IV + AuthTag + Ciphertext.
+// Encrypt/decrypt message payloads using AES-128-GCM with a versioned envelope.
+// Two key tiers (envelope encryption):
+// - the env keyring is the master key-encryption key (KEK) set, and
+// - each group has its own random data key (DEK), stored only wrapped by the KEK.
 // Decryption returns the original UTF-8 message.
 //
+// Payload formats (base64-encoded)
+// --------------------------------
+// - v2:     [VERSION=0x02 (1)] [IV (12)] [TAG (16)] [CIPHERTEXT]
+//           Encrypted under a group data key (see utils/groupKeys.js).
+//           Attachment chunks use the same layout as raw bytes (not base64),
+//           with the attachment id + chunk index bound as extra AAD.
+// - v1:     [VERSION=0x01 (1)] [KEY ID (1)] [IV (12)] [TAG (16)] [CIPHERTEXT]
+//           Encrypted under a keyring key. Used for wrapped data keys, and for
+//           messages written before per-group keys existed.
+// - legacy: [IV (12)] [TAG (16)] [CIPHERTEXT] — written before versioning;
+//           always decrypted with key ID 0 (`AES_128_KEY_BASE64`).
+// Version headers are bound as GCM additional authenticated data, so they
+// cannot be altered without failing authentication.
+//
+// Keyring (env)
+// -------------
+// - AES_KEYRING=1:<b64>,2:<b64>   — every key that may still decrypt (IDs 1..255)
+// - AES_CURRENT_KEY_ID=2          — key used for NEW payloads (default: highest ID)
+// - AES_RETIRED_KEY_IDS=1         — decrypt-only; can never become current
+// - AES_128_KEY_BASE64            — original single key, registered as key ID 0
+//                                   (still enough on its own for old deployments)
+//
 // Security Notes
 // --------------
 // - AES-128-GCM provides confidentiality and integrity (via the auth tag).
-// - Key is provided via env var `AES_128_KEY_BASE64` (16 bytes in base64).
 // - A fresh 96-bit IV is generated per message as recommended for GCM.
-// - Payload layout: [IV(12 bytes)] + [TAG(16 bytes)] + [CIPHERTEXT]
-// - We do NOT hardcode keys; rotation can be handled at deploy time.
+// - We do NOT hardcode keys; rotation = add a key, make it current, run the
+//   re-encryption job (src/jobs/reencryptMessages.js), then retire the old key.
+// - Destroying a group's wrapped data key makes its ciphertext unrecoverable
+//   (crypto-shredding), even from backups.
 //
 // Operational Notes
 // -----------------
-// - If `AES_128_KEY_BASE64` is missing or wrong length, we throw early to
-//   prevent booting into an insecure or half-working state.
+// - If the keyring is missing or malformed, we throw early to prevent booting
+//   into an insecure or half-working state.
 // - Keep message size limits enforced in controllers to avoid large ciphertext blobs.
 
 import crypto from 'crypto';
 
-// Resolve a 16-byte AES key from base64 env var. Fail fast if misconfigured.
-function getKey() {
-  const b64 = process.env.AES_128_KEY_BASE64;
-  if (!b64) throw new Error('AES_128_KEY_BASE64 env missing');
+const VERSION_1 = 0x01;
+const VERSION_2 = 0x02;
+const HEADER_LEN = 2;    // v1: version + key ID
+const V2_HEADER_LEN = 1; // v2: version only
+const IV_LEN = 12;
+const TAG_LEN = 16;
+const LEGACY_KEY_ID = 0;
+
+// Parse a 16-byte AES key from base64. Fail fast if misconfigured.
+function parseKey(b64, label) {
   const key = Buffer.from(b64, 'base64');
-  if (key.length !== 16) throw new Error('AES-128 key must be 16 bytes');
+  if (key.length !== 16) throw new Error(`AES-128 key ${label} must be 16 bytes`);
   return key;
 }
 
-// Encrypts a UTF-8 string, returns base64(IV || TAG || CIPHERTEXT)
-export function encryptMessage(plaintext) {
-  const key = getKey();
+// Keyring is rebuilt only when the relevant env vars change.
+let cached = { signature: null, ring: null };
+
+// Resolve { keys: Map<id, Buffer>, currentId, retired: Set<id> } from env.
+function getKeyring() {
+  const {
+    AES_KEYRING = '',
+    AES_CURRENT_KEY_ID = '',
+    AES_RETIRED_KEY_IDS = '',
+    AES_128_KEY_BASE64 = '',
+  } = process.env;
+
+  const signature = [AES_KEYRING, AES_CURRENT_KEY_ID, AES_RETIRED_KEY_IDS, AES_128_KEY_BASE64].join('|');
+  if (cached.signature === signature) return cached.ring;
+
+  const keys = new Map();
+  if (AES_128_KEY_BASE64) keys.set(LEGACY_KEY_ID, parseKey(AES_128_KEY_BASE64, 'AES_128_KEY_BASE64'));
+
+  for (const entry of AES_KEYRING.split(',').map(e => e.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(':');
+    const id = Number(entry.slice(0, sep));
+    if (sep === -1 || !Number.isInteger(id) || id < 1 || id > 255) {
+      throw new Error(`AES_KEYRING entry must be <id 1-255>:<base64 key>`);
+    }
+    if (keys.has(id)) throw new Error(`AES_KEYRING has duplicate key ID ${id}`);
+    keys.set(id, parseKey(entry.slice(sep + 1), `#${id}`));
+  }
+
+  if (keys.size === 0) throw new Error('AES_KEYRING / AES_128_KEY_BASE64 env missing');
+
+  const retired = new Set(
+    AES_RETIRED_KEY_IDS.split(',').map(e => e.trim()).filter(Boolean).map(Number)
+  );
+
+  const currentId = AES_CURRENT_KEY_ID ? Number(AES_CURRENT_KEY_ID) : Math.max(...keys.keys());
+  if (!keys.has(currentId)) throw new Error(`AES_CURRENT_KEY_ID ${currentId} is not in the keyring`);
+  if (retired.has(currentId)) throw new Error(`AES_CURRENT_KEY_ID ${currentId} is retired`);
+
+  cached = { signature, ring: { keys, currentId, retired } };
+  return cached.ring;
+}
+
+// ID of the key new payloads are encrypted with.
+export function currentKeyId() {
+  return getKeyring().currentId;
+}
+
+// Public view of the keyring (IDs only, never key material).
+export function keyringStatus() {
+  const { keys, currentId, retired } = getKeyring();
+  return {
+    currentKeyId: currentId,
+    keys: [...keys.keys()].sort((a, b) => a - b).map(id => ({
+      id,
+      state: id === currentId ? 'current' : retired.has(id) ? 'retired' : 'active',
+    })),
+  };
+}
 
+// AES-128-GCM seal: returns header || IV || TAG || CIPHERTEXT.
+// AAD = header (+ optional `context`, which is authenticated but not stored).
+function seal(key, header, data, context) {
   // 96-bit IV is standard for GCM
-  const iv = crypto.randomBytes(12);
+  const iv = crypto.randomBytes(IV_LEN);
 
   const cipher = crypto.createCipheriv('aes-128-gcm', key, iv);
-  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  cipher.setAAD(context ? Buffer.concat([header, context]) : header);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
   const tag = cipher.getAuthTag();
 
-  // Store IV + TAG + CIPHERTEXT in that order (base64-encoded)
-  const payload = Buffer.concat([iv, tag, ciphertext]).toString('base64');
-  return payload;
+  return Buffer.concat([header, iv, tag, ciphertext]);
 }
 
-// Accepts base64(IV || TAG || CIPHERTEXT) and returns the original UTF-8 string
-export function decryptMessage(payloadB64) {
-  const key = getKey();
-
-  const buf = Buffer.from(payloadB64, 'base64');
-  const iv = buf.subarray(0, 12);      // 12 bytes
-  const tag = buf.subarray(12, 28);    // next 16 bytes
-  const ciphertext = buf.subarray(28); // remaining
+// Inverse of seal(); `headerLen` = 0 for legacy payloads (no header, no AAD).
+function open(key, buf, headerLen, context) {
+  const header = buf.subarray(0, headerLen);
+  const iv = buf.subarray(headerLen, headerLen + IV_LEN);
+  const tag = buf.subarray(headerLen + IV_LEN, headerLen + IV_LEN + TAG_LEN);
+  const ciphertext = buf.subarray(headerLen + IV_LEN + TAG_LEN);
 
   const decipher = crypto.createDecipheriv('aes-128-gcm', key, iv);
+  if (headerLen) decipher.setAAD(context ? Buffer.concat([header, context]) : header);
   decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Keyring (v1) encryption of raw bytes with the current key.
+function sealWithKeyring(data) {
+  const { keys, currentId } = getKeyring();
+  return seal(keys.get(currentId), Buffer.from([VERSION_1, currentId]), data);
+}
+
+// Keyring (v1 or legacy) decryption: { data, keyId, legacy }.
+function openWithKeyring(buf) {
+  const { keys } = getKeyring();
+
+  // A legacy payload's random IV can start with 0x01 by chance; if the v1
+  // attempt fails authentication, fall back to the legacy layout.
+  if (buf[0] === VERSION_1 && keys.has(buf[1]) && buf.length >= HEADER_LEN + IV_LEN + TAG_LEN) {
+    try {
+      return { data: open(keys.get(buf[1]), buf, HEADER_LEN), keyId: buf[1], legacy: false };
+    } catch (err) {
+      if (!keys.has(LEGACY_KEY_ID)) throw err;
+    }
+  }
+
+  const legacyKey = keys.get(LEGACY_KEY_ID);
+  if (!legacyKey) throw new Error('No key available for legacy payload (AES_128_KEY_BASE64)');
+  return { data: open(legacyKey, buf, 0), keyId: LEGACY_KEY_ID, legacy: true };
+}
+
+// Fresh random 128-bit data key (per group).
+export function generateDataKey() {
+  return crypto.randomBytes(16);
+}
+
+// Wrap a data key with the current KEK; returns base64(v1 envelope).
+export function wrapDataKey(dataKey) {
+  return sealWithKeyring(dataKey).toString('base64');
+}
+
+// Unwrap a base64 wrapped data key: { key, keyId } (keyId = KEK that wrapped it).
+export function unwrapDataKey(wrappedB64) {
+  const { data, keyId } = openWithKeyring(Buffer.from(wrappedB64, 'base64'));
+  if (data.length !== 16) throw new Error('Wrapped data key must be 16 bytes');
+  return { key: data, keyId };
+}
+
+// Encrypts a UTF-8 string.
+// - With `dataKey` (group messages): base64(v2 envelope) under that key.
+// - Without: base64(v1 envelope) under the current keyring key.
+export function encryptMessage(plaintext, dataKey) {
+  const data = Buffer.from(plaintext, 'utf8');
+  if (!dataKey) return sealWithKeyring(data).toString('base64');
+  return seal(dataKey, Buffer.from([VERSION_2]), data).toString('base64');
+}
+
+// Decrypts any payload format and reports how it was protected:
+// { plaintext, scheme: 'data-key' | 'keyring', keyId, legacy }.
+// Used by the re-encryption job to decide what to migrate.
+export function decryptPayload(payloadB64, dataKey) {
+  const buf = Buffer.from(payloadB64, 'base64');
+
+  // Same chance-collision caveat as v1: fall back to the keyring on auth failure.
+  if (dataKey && buf[0] === VERSION_2 && buf.length >= V2_HEADER_LEN + IV_LEN + TAG_LEN) {
+    try {
+      const plaintext = open(dataKey, buf, V2_HEADER_LEN).toString('utf8');
+      return { plaintext, scheme: 'data-key', keyId: null, legacy: false };
+    } catch (err) {
+      if (!getKeyring().keys.has(LEGACY_KEY_ID)) throw err;
+    }
+  }
+
+  const { data, keyId, legacy } = openWithKeyring(buf);
+  return { plaintext: data.toString('utf8'), scheme: 'keyring', keyId, legacy };
+}
+
+// Accepts any base64 payload (v2 needs the group's `dataKey`) and returns the original UTF-8 string
+export function decryptMessage(payloadB64, dataKey) {
+  return decryptPayload(payloadB64, dataKey).plaintext;
+}
+
+// Size added to every encryptBytes() record (version + IV + tag).
+export const BYTES_OVERHEAD = V2_HEADER_LEN + IV_LEN + TAG_LEN;
+
+// Encrypts raw bytes under a group data key (v2 layout, returned as a Buffer).
+// `context` (string) is bound as AAD, e.g. "<attachmentId>:<chunkIndex>", so a
+// record cannot be swapped into another file or position without failing.
+export function encryptBytes(data, dataKey, context) {
+  return seal(dataKey, Buffer.from([VERSION_2]), data, Buffer.from(context, 'utf8'));
+}
 
-  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
-  return plaintext;
+// Inverse of encryptBytes(); throws if the record, key or context do not match.
+export function decryptBytes(buf, dataKey, context) {
+  if (buf[0] !== VERSION_2 || buf.length < BYTES_OVERHEAD) throw new Error('Invalid encrypted record');
+  return open(dataKey, buf, V2_HEADER_LEN, Buffer.from(context, 'utf8'));
 }
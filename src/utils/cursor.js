@@ -0,0 +1,52 @@
+// src/utils/cursor.js
+// Purpose
+// -------
+// Opaque position markers over documents ordered by (createdAt, _id).
+// Used as SSE event IDs (Last-Event-ID resume) and anywhere we need a stable
+// "strictly after this document" query.
+//
+// Design
+// ------
+// - Encoded as base64url("<createdAt ms>.<ObjectId hex>") so clients treat it
+//   as an opaque string and never build one by hand.
+// - `_id` breaks ties between documents sharing the same millisecond.
+// - Malformed cursors decode to null; callers decide whether that is a 400.
+
+import mongoose from 'mongoose';
+
+// Build a cursor from any doc/object exposing createdAt + _id (or id).
+export function encodeCursor(doc) {
+  const id = (doc._id ?? doc.id).toString();
+  const ms = new Date(doc.createdAt).getTime();
+  return Buffer.from(`${ms}.${id}`).toString('base64url');
+}
+
+// Parse a cursor back into { createdAt: Date, id: ObjectId }; null if malformed.
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  const [ms, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('.');
+  const createdAt = new Date(Number(ms));
+
+  if (!ms || Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Mongo filter: documents strictly after the decoded cursor in (createdAt, _id) order.
+export function afterCursorFilter({ createdAt, id }) {
+  return {
+    $or: [
+      { createdAt: { $gt: createdAt } },
+      { createdAt, _id: { $gt: id } },
+    ],
+  };
+}
+
+// Compare two positions in (createdAt, _id) order: <0, 0, >0.
+export function comparePositions(a, b) {
+  const dt = new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  if (dt !== 0) return dt;
+  const ai = (a._id ?? a.id).toString();
+  const bi = (b._id ?? b.id).toString();
+  return ai < bi ? -1 : ai > bi ? 1 : 0;
+}
@@ -0,0 +1,28 @@
+// src/utils/groupCleanup.js
+// Purpose
+// -------
+// Removes everything stored under a group once the group document itself is
+// gone: messages (and with them the only copy of the wrapped key's ciphertext),
+// reactions, read markers, attachment files and webhooks.
+// Shared by DELETE /groups/:groupId and account deletion (DELETE /me).
+//
+// Notes
+// -----
+// - The audit log is deliberately kept: it is the record of the deletion.
+
+import Message from '../models/Message.js';
+import Reaction from '../models/Reaction.js';
+import ReadMarker from '../models/ReadMarker.js';
+import Attachment from '../models/Attachment.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { deleteAttachments } from './attachmentStore.js';
+
+export async function deleteGroupData(groupId) {
+  await Message.deleteMany({ group: groupId });
+  await Reaction.deleteMany({ group: groupId });
+  await ReadMarker.deleteMany({ group: groupId });
+  await deleteAttachments(await Attachment.find({ group: groupId }).distinct('_id'));
+  await Webhook.deleteMany({ group: groupId });
+  await WebhookDelivery.deleteMany({ group: groupId });
+}
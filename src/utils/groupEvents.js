@@ -0,0 +1,66 @@
+// src/utils/groupEvents.js
+// Purpose
+// -------
+// In-process event bus for group activity (messages, membership changes).
+// Controllers publish after a successful DB write; realtime transports
+// (WebSocket gateway, etc.) subscribe and fan events out to connected clients.
+//
+// Notes
+// -----
+// - Events are fire-and-forget: publishing never blocks or fails the request.
+//   Listeners run synchronously, so each one is wrapped: a throwing listener is
+//   logged and does not stop the others (or fail a request whose write is done).
+// - Shape: { type, groupId, data, at } — `groupId` is always a string.
+// - Single-process only. For multiple instances, bridge this emitter to a
+//   shared pub/sub (e.g. Redis) without changing publishers or subscribers.
+
+import { EventEmitter } from 'events';
+import logger from '../config/logger.js';
+
+export const GROUP_EVENT = 'group-event';
+
+// Event types published by controllers
+export const EVENTS = {
+  MESSAGE_CREATED: 'message.created',
+  MESSAGE_EDITED: 'message.edited',
+  MESSAGE_DELETED: 'message.deleted',
+  REACTION_ADDED: 'reaction.added',
+  REACTION_REMOVED: 'reaction.removed',
+  MESSAGES_READ: 'messages.read',
+  MEMBER_TYPING: 'member.typing',
+  MEMBER_JOINED: 'member.joined',
+  MEMBER_LEFT: 'member.left',
+  MEMBER_BANISHED: 'member.banished',
+  MEMBER_ROLE_CHANGED: 'member.role_changed',
+  GROUP_UPDATED: 'group.updated',
+  REQUEST_PENDING: 'request.pending', // moderators' business: webhooks only, not pushed to members
+  GROUP_DELETED: 'group.deleted',
+};
+
+const bus = new EventEmitter();
+
+// Realtime connections each add a listener; lift the default cap of 10.
+bus.setMaxListeners(0);
+
+// Publish a group event to every subscriber
+export function publishGroupEvent(type, groupId, data = {}) {
+  bus.emit(GROUP_EVENT, {
+    type,
+    groupId: groupId.toString(),
+    data,
+    at: new Date().toISOString(),
+  });
+}
+
+// Subscribe to all group events; returns an unsubscribe function
+export function onGroupEvent(listener) {
+  const safe = event => {
+    try {
+      listener(event);
+    } catch (err) {
+      logger.error('Group event listener failed', { type: event.type, groupId: event.groupId, message: err.message });
+    }
+  };
+  bus.on(GROUP_EVENT, safe);
+  return () => bus.off(GROUP_EVENT, safe);
+}
@@ -0,0 +1,60 @@
+// src/utils/groupKeys.js
+// Purpose
+// -------
+// Per-group data keys (envelope encryption).
+// Each Group stores only `wrappedKey`: its random AES-128 data key encrypted by
+// the master keyring (utils/crypto.js). Messages are encrypted with the
+// unwrapped data key, so one leaked data key exposes one group, and deleting
+// the group's wrapped key crypto-shreds all of its ciphertext.
+//
+// Notes
+// -----
+// - `wrappedKey` is `select: false` on the model; always load it explicitly.
+// - Groups created before per-group keys get one lazily on first use
+//   (atomic: concurrent requests converge on the same key).
+// - Direct conversations (models/Conversation.js) use the same scheme; they
+//   always get their key at creation.
+
+import Group from '../models/Group.js';
+import Conversation from '../models/Conversation.js';
+import { generateDataKey, wrapDataKey, unwrapDataKey } from './crypto.js';
+
+// Wrapped key for a brand-new group (pass to Group.create).
+export function newWrappedGroupKey() {
+  return wrapDataKey(generateDataKey());
+}
+
+// Resolve the unwrapped data key (Buffer) for a group doc or id.
+export async function getGroupKey(groupOrId) {
+  const groupId = groupOrId._id ?? groupOrId;
+
+  let wrappedKey = groupOrId.wrappedKey;
+  if (!wrappedKey) {
+    const doc = await Group.findById(groupId).select('+wrappedKey').lean();
+    if (!doc) throw Object.assign(new Error('Group not found'), { status: 404 });
+    wrappedKey = doc.wrappedKey;
+  }
+
+  if (!wrappedKey) {
+    // Legacy group: set a key only if still missing, then re-read the winner.
+    await Group.updateOne(
+      { _id: groupId, wrappedKey: { $exists: false } },
+      { $set: { wrappedKey: newWrappedGroupKey() } }
+    );
+    const doc = await Group.findById(groupId).select('+wrappedKey').lean();
+    wrappedKey = doc.wrappedKey;
+  }
+
+  return unwrapDataKey(wrappedKey).key;
+}
+
+// Resolve the unwrapped data key (Buffer) for a conversation doc or id.
+export async function getConversationKey(conversationOrId) {
+  let wrappedKey = conversationOrId.wrappedKey;
+  if (!wrappedKey) {
+    const doc = await Conversation.findById(conversationOrId._id ?? conversationOrId).select('+wrappedKey').lean();
+    if (!doc) throw Object.assign(new Error('Conversation not found'), { status: 404 });
+    wrappedKey = doc.wrappedKey;
+  }
+  return unwrapDataKey(wrappedKey).key;
+}
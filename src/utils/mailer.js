@@ -0,0 +1,69 @@
+// src/utils/mailer.js
+// Purpose
+// -------
+// Minimal pluggable mailer. Controllers call `sendMail()`; the transport decides
+// where the message goes. Ships with offline transports so flows that depend
+// on e-mail (password reset, ...) work locally and in tests without SMTP.
+//
+// Transports (MAIL_TRANSPORT)
+// ---------------------------
+// - console (default): logs the message via the app logger.
+// - file: writes each message as JSON into MAIL_OUTBOX_DIR (default ./outbox),
+//         which tests can read back.
+// - custom: call `setMailTransport({ send: async (message) => {...} })`
+//           at boot to plug in SMTP / an e-mail API.
+//
+// Notes
+// -----
+// - Message shape: { from, to, subject, text, sentAt }.
+// - The console/file transports expose message bodies (including one-time
+//   tokens) — they are meant for local development and tests only.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+const transports = {
+  console: {
+    async send(message) {
+      logger.info('Mail (console transport)', message);
+    },
+  },
+
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_OUTBOX_DIR || 'outbox';
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${message.sentAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+    },
+  },
+};
+
+let override = null;
+
+// Replace the transport at runtime (custom provider, tests). Pass null to reset.
+export function setMailTransport(transport) {
+  override = transport;
+}
+
+function activeTransport() {
+  if (override) return override;
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  return transport;
+}
+
+// Send one plain-text e-mail.
+export async function sendMail({ to, subject, text }) {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  };
+  await activeTransport().send(message);
+}
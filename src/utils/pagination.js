@@ -0,0 +1,61 @@
+// src/utils/pagination.js
+// Purpose
+// -------
+// Keyset (cursor) pagination over documents ordered by (createdAt, _id).
+// Avoids skip/offset scans and keeps pages stable while new documents arrive.
+//
+// Usage
+// -----
+//   const page = buildPage(parsedQuery);            // { before?, after?, limit }
+//   const docs = await Model.find({ ...base, ...page.filter })
+//     .sort(page.sort).limit(page.limit);
+//   return res.json(page.finish(docs, 'asc'));      // { items, nextCursor }
+//
+// Semantics
+// ---------
+// - No cursor / `before`: walk from newest to oldest.
+// - `after`: walk from oldest to newest.
+// - `nextCursor` continues in the SAME direction (pass it back as the same
+//   param); it is null once there is nothing further.
+// - `display` only controls the order of `items` within a page.
+
+import { decodeCursor, encodeCursor } from './cursor.js';
+
+export function buildPage({ before, after, limit }) {
+  const raw = after || before;
+  const cursor = raw ? decodeCursor(raw) : null;
+  if (raw && !cursor) {
+    const err = new Error('Invalid cursor');
+    err.status = 400;
+    throw err;
+  }
+
+  const walk = after ? 'asc' : 'desc';
+  const dir = walk === 'asc' ? 1 : -1;
+  const op = walk === 'asc' ? '$gt' : '$lt';
+
+  const filter = cursor
+    ? {
+      $or: [
+        { createdAt: { [op]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [op]: cursor.id } },
+      ],
+    }
+    : {};
+
+  return {
+    filter,
+    sort: { createdAt: dir, _id: dir },
+    // Fetch one extra document to learn whether another page exists.
+    limit: limit + 1,
+
+    // Trim the look-ahead doc, compute nextCursor, order items for display.
+    finish(docs, display = walk) {
+      const hasMore = docs.length > limit;
+      const pageDocs = hasMore ? docs.slice(0, limit) : docs;
+      const nextCursor = hasMore ? encodeCursor(pageDocs[pageDocs.length - 1]) : null;
+      const items = display === walk ? pageDocs : [...pageDocs].reverse();
+      return { items, nextCursor };
+    },
+  };
+}
@@ -0,0 +1,98 @@
+// src/utils/permissions.js
+// Purpose
+// -------
+// Per-group roles and the permission matrix used by every privileged action.
+// Controllers call `assertCan(group, userId, action)` instead of comparing
+// against `group.owner` by hand.
+//
+// Roles (ascending)
+// -----------------
+//   member < moderator < admin < owner
+//   - owner:     `group.owner` (exactly one)
+//   - admin:     listed in `group.admins`
+//   - moderator: listed in `group.moderators`
+//   - member:    any other entry in `group.members`
+//
+// Notes
+// -----
+// - Each action maps to the MINIMUM role allowed to perform it.
+// - `assertCan` throws an Error with `status = 403` (same pattern as
+//   ensureNotBanned), so controllers just let it reach their catch block.
+// - Acting on another member (banish, role changes) additionally requires
+//   strictly outranking them — see `outranks`.
+
+const RANK = { none: 0, member: 1, moderator: 2, admin: 3, owner: 4 };
+
+export const ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+// action -> minimum role
+export const PERMISSIONS = {
+  'requests.view': 'moderator',
+  'requests.decide': 'moderator',
+  'members.banish': 'moderator',
+  'messages.delete': 'moderator', // delete other members' messages
+  'slowMode.exempt': 'moderator',
+  'invites.create': 'admin',
+  'invites.manage': 'admin',      // list / revoke invites
+  'roles.manage': 'admin',        // promote/demote moderators
+  'group.edit': 'admin',          // name, description, topic
+  'roles.manageAdmins': 'owner',  // promote/demote admins
+  'group.settings': 'owner',      // settings, type, capacity
+  'group.transfer': 'owner',
+  'group.delete': 'owner',
+  'audit.view': 'owner',
+  'webhooks.manage': 'owner',
+};
+
+const has = (list, userId) => (list || []).some(id => id.toString() === userId.toString());
+
+// Role of a user in a group ('none' if not a member).
+export function roleOf(group, userId) {
+  if (!userId) return 'none';
+  if (group.owner.toString() === userId.toString()) return 'owner';
+  if (!has(group.members, userId)) return 'none';
+  if (has(group.admins, userId)) return 'admin';
+  if (has(group.moderators, userId)) return 'moderator';
+  return 'member';
+}
+
+export function can(group, userId, action) {
+  const min = PERMISSIONS[action];
+  if (!min) throw new Error(`Unknown permission: ${action}`);
+  return RANK[roleOf(group, userId)] >= RANK[min];
+}
+
+// Throw 403 unless the user may perform `action` in `group`.
+export function assertCan(group, userId, action, message) {
+  if (can(group, userId, action)) return;
+  const min = PERMISSIONS[action];
+  const err = new Error(message || (min === 'owner' ? 'Only owner' : `Requires ${min} role or higher`));
+  err.status = 403;
+  throw err;
+}
+
+// True if actor's role is strictly higher than target's.
+export function outranks(group, actorId, targetId) {
+  return RANK[roleOf(group, actorId)] > RANK[roleOf(group, targetId)];
+}
+
+// Who inherits a group when its owner goes away without choosing: the
+// longest-standing admin, else moderator, else member. null = nobody left.
+export function pickSuccessor(group, ownerId) {
+  const others = group.members.filter(m => m.toString() !== ownerId.toString());
+  return (
+    others.find(m => has(group.admins, m)) ??
+    others.find(m => has(group.moderators, m)) ??
+    others[0] ??
+    null
+  );
+}
+
+// Assign a non-owner role to a current member (mutates the doc; caller saves).
+export function setRole(group, userId, role) {
+  const uid = userId.toString();
+  group.admins = (group.admins || []).filter(id => id.toString() !== uid);
+  group.moderators = (group.moderators || []).filter(id => id.toString() !== uid);
+  if (role === 'admin') group.admins.push(userId);
+  if (role === 'moderator') group.moderators.push(userId);
+}
@@ -0,0 +1,95 @@
+// src/utils/presence.js
+// Purpose
+// -------
+// Ephemeral presence (online / idle / offline + last seen) and per-group typing
+// indicators, shared by the REST endpoints and the WebSocket gateway.
+//
+// Notes
+// -----
+// - Both live in TTL collections, so nothing needs explicit cleanup. Mongo's
+//   TTL monitor only runs about once a minute, so every read also filters on
+//   `expiresAt` — a row past its expiry is treated as gone.
+// - Typing events are published only on state changes (started / stopped),
+//   not on every refresh, to keep fan-out quiet.
+// - Callers enforce group membership; these helpers do not.
+//
+// Env
+// ---
+// PRESENCE_TTL_SECONDS (default 60) — heartbeat must arrive within this window
+// TYPING_TTL_SECONDS   (default 8)  — typing flag lifetime without a refresh
+
+import User from '../models/User.js';
+import Presence from '../models/Presence.js';
+import Typing from '../models/Typing.js';
+import { publishGroupEvent, EVENTS } from './groupEvents.js';
+
+const presenceTtlMs = () => Number(process.env.PRESENCE_TTL_SECONDS || 60) * 1000;
+const typingTtlMs = () => Number(process.env.TYPING_TTL_SECONDS || 8) * 1000;
+
+// Record activity for one or more users ('online' | 'idle' | 'offline').
+export async function touchPresence(userIds, status = 'online') {
+  const ids = [].concat(userIds);
+  if (ids.length === 0) return;
+  const now = new Date();
+
+  await User.updateMany({ _id: { $in: ids } }, { $set: { lastSeenAt: now } });
+
+  if (status === 'offline') {
+    await Presence.deleteMany({ user: { $in: ids } });
+    return;
+  }
+
+  const expiresAt = new Date(now.getTime() + presenceTtlMs());
+  await Presence.bulkWrite(ids.map(user => ({
+    updateOne: { filter: { user }, update: { $set: { status, expiresAt } }, upsert: true },
+  })), { ordered: false });
+}
+
+// Start/refresh (typing = true) or clear the caller's typing flag in a group.
+// Returns true if the visible state changed (and an event was published).
+export async function setTyping(groupId, userId, typing) {
+  const now = new Date();
+
+  if (!typing) {
+    const { deletedCount } = await Typing.deleteOne({ group: groupId, user: userId, expiresAt: { $gt: now } });
+    if (deletedCount) publishGroupEvent(EVENTS.MEMBER_TYPING, groupId, { userId: userId.toString(), typing: false });
+    return deletedCount > 0;
+  }
+
+  let previous;
+  try {
+    previous = await Typing.findOneAndUpdate(
+      { group: groupId, user: userId },
+      { $set: { expiresAt: new Date(now.getTime() + typingTtlMs()) } },
+      { upsert: true, new: false }
+    ).lean();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return false; // concurrent upsert from another device already started it
+  }
+
+  const started = !previous || previous.expiresAt <= now;
+  if (started) publishGroupEvent(EVENTS.MEMBER_TYPING, groupId, { userId: userId.toString(), typing: true });
+  return started;
+}
+
+// Presence snapshot for a set of users (e.g. a group's members).
+// Returns { members: [{ user, status, lastSeenAt }], typing: [userId] }.
+export async function presenceSnapshot(groupId, memberIds) {
+  const now = new Date();
+  const [users, live, typing] = await Promise.all([
+    User.find({ _id: { $in: memberIds } }).select('email lastSeenAt').lean(),
+    Presence.find({ user: { $in: memberIds }, expiresAt: { $gt: now } }).lean(),
+    Typing.find({ group: groupId, user: { $in: memberIds }, expiresAt: { $gt: now } }).select('user').lean(),
+  ]);
+
+  const status = new Map(live.map(p => [p.user.toString(), p.status]));
+  return {
+    members: users.map(u => ({
+      user: { _id: u._id, email: u.email },
+      status: status.get(u._id.toString()) ?? 'offline',
+      lastSeenAt: u.lastSeenAt ?? null,
+    })),
+    typing: typing.map(t => t.user),
+  };
+}
@@ -0,0 +1,96 @@
+// src/utils/rateLimitStore.js
+// Purpose
+// -------
+// Hit-counter stores for express-rate-limit (middleware/rateLimit.js).
+//
+// Stores (RATE_LIMIT_STORE)
+// -------------------------
+// - memory (default): express-rate-limit's MemoryStore; limits are per instance.
+// - mongo: fixed windows counted in the RateLimitHit collection, so every
+//          instance shares the same budget. One atomic upsert per request.
+// - custom: call `setRateLimitStore(prefix => store)` at boot to plug in any
+//           express-rate-limit compatible store (e.g. Redis).
+//
+// Notes
+// -----
+// - Each limiter gets its own store instance (express-rate-limit requires it);
+//   `prefix` is the budget name and namespaces the keys.
+// - `countHit` / `uncountHit` are also used for per-group slow mode (utils/slowMode.js).
+
+import { MemoryStore } from 'express-rate-limit';
+import RateLimitHit from '../models/RateLimitHit.js';
+import { rateLimitConfig } from '../config/rateLimits.js';
+
+// Count one hit on `id` in its current fixed window, starting a new window of
+// `windowMs` if the previous one is over (single atomic upsert).
+// Returns { count, resetAt }.
+export async function countHit(id, windowMs) {
+  const now = new Date();
+  const expired = { $or: [{ $eq: [{ $type: '$resetAt' }, 'missing'] }, { $lte: ['$resetAt', now] }] };
+  return RateLimitHit.findOneAndUpdate(
+    { _id: id },
+    [{
+      $set: {
+        count: { $cond: [expired, 1, { $add: ['$count', 1] }] },
+        resetAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$resetAt'] },
+      },
+    }],
+    { upsert: true, new: true, lean: true }
+  );
+}
+
+// Take back one hit on `id` (never below zero).
+export async function uncountHit(id) {
+  await RateLimitHit.updateOne({ _id: id, count: { $gt: 0 } }, { $inc: { count: -1 } });
+}
+
+// MongoDB-backed store (fixed window per key).
+export function createMongoStore(prefix) {
+  let windowMs = 60_000;
+  const id = key => `${prefix}:${key}`;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const hit = await RateLimitHit.findById(id(key)).lean();
+      if (!hit || hit.resetAt <= new Date()) return undefined;
+      return { totalHits: hit.count, resetTime: hit.resetAt };
+    },
+
+    async increment(key) {
+      const hit = await countHit(id(key), windowMs);
+      return { totalHits: hit.count, resetTime: hit.resetAt };
+    },
+
+    async decrement(key) {
+      await uncountHit(id(key));
+    },
+
+    async resetKey(key) {
+      await RateLimitHit.deleteOne({ _id: id(key) });
+    },
+  };
+}
+
+let customFactory = null;
+
+// Plug in a custom store factory (prefix => store). Pass null to reset.
+export function setRateLimitStore(factory) {
+  customFactory = factory;
+}
+
+// Store for one limiter, per RATE_LIMIT_STORE.
+export function createRateLimitStore(prefix) {
+  if (customFactory) return customFactory(prefix);
+
+  const { store } = rateLimitConfig();
+  if (store === 'mongo') return createMongoStore(prefix);
+  if (store === 'memory') return new MemoryStore();
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${store}`);
+}
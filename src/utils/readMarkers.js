@@ -0,0 +1,71 @@
+// src/utils/readMarkers.js
+// Purpose
+// -------
+// Server-side read positions (one ReadMarker per user per group), so unread
+// counts agree across devices instead of depending on a client-side `since`.
+//
+// Notes
+// -----
+// - Markers only move forward in (createdAt, _id) order; a stale device
+//   marking an older message read is a no-op.
+// - Unread = messages after the marker that are not the user's own and not
+//   deleted. Counts are capped (badges show "999+"), keeping each count cheap.
+
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import ReadMarker from '../models/ReadMarker.js';
+import { afterCursorFilter } from './cursor.js';
+import { notExpired } from './retention.js';
+
+export const UNREAD_COUNT_CAP = 999;
+
+// Move the user's marker to `message` if it is ahead of the current one.
+// Returns the marker as stored afterwards.
+export async function advanceReadMarker(groupId, userId, message) {
+  const position = { lastReadMessage: message._id, lastReadAt: message.createdAt, readAt: new Date() };
+  const behind = {
+    $or: [
+      { lastReadAt: { $lt: message.createdAt } },
+      { lastReadAt: message.createdAt, lastReadMessage: { $lt: message._id } },
+    ],
+  };
+
+  const moved = await ReadMarker.findOneAndUpdate(
+    { group: groupId, user: userId, ...behind },
+    { $set: position },
+    { new: true }
+  );
+  if (moved) return moved;
+
+  try {
+    return await ReadMarker.create({ group: groupId, user: userId, ...position });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Marker exists and is already at/after this message
+    return ReadMarker.findOne({ group: groupId, user: userId });
+  }
+}
+
+// Unread count for one group given the user's marker (or null = nothing read).
+export function countUnread(groupId, userId, marker) {
+  const filter = {
+    group: groupId,
+    sender: { $ne: new mongoose.Types.ObjectId(userId) },
+    deletedAt: null,
+  };
+  if (marker) {
+    Object.assign(filter, afterCursorFilter({ createdAt: marker.lastReadAt, id: marker.lastReadMessage }));
+  }
+  return Message.countDocuments({ $and: [filter, notExpired()] }, { limit: UNREAD_COUNT_CAP });
+}
+
+// Map<groupId, unreadCount> for a page of groups.
+export async function unreadCounts(userId, groupIds) {
+  const markers = await ReadMarker.find({ user: userId, group: { $in: groupIds } }).lean();
+  const byGroup = new Map(markers.map(m => [m.group.toString(), m]));
+
+  const counts = await Promise.all(
+    groupIds.map(gid => countUnread(gid, userId, byGroup.get(gid.toString()) ?? null))
+  );
+  return new Map(groupIds.map((gid, i) => [gid.toString(), counts[i]]));
+}
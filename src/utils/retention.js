@@ -0,0 +1,43 @@
+// src/utils/retention.js
+// Purpose
+// -------
+// Per-group message retention (settings.retention):
+//   { mode: 'forever' }                 keep messages (default)
+//   { mode: 'days',  value: N }         delete N days after sending
+//   { mode: 'hours', value: N }         disappearing messages, N hours after sending
+//
+// Notes
+// -----
+// - sendMessage stamps `expiresAt` on each message; jobs/purgeExpiredMessages.js
+//   deletes expired messages (with their reactions and attachments) and
+//   re-stamps existing messages after a retention change.
+// - Expiry always counts from the message's createdAt, so shortening retention
+//   removes old messages at the next sweep and lengthening it spares them.
+// - Reads add `notExpired()`, so a message is gone for clients the moment it
+//   expires, not only once the sweep (or the TTL backstop) has deleted it.
+
+const HOUR_MS = 3600_000;
+const UNIT_MS = { days: 24 * HOUR_MS, hours: HOUR_MS };
+
+// Retention period in ms; null = keep forever.
+export function retentionMs(retention) {
+  if (!retention || !UNIT_MS[retention.mode] || !retention.value) return null;
+  return retention.value * UNIT_MS[retention.mode];
+}
+
+// expiresAt for a message of `group` created at `createdAt`; null = never.
+export function messageExpiry(group, createdAt = new Date()) {
+  const ms = retentionMs(group.settings?.retention);
+  return ms ? new Date(createdAt.getTime() + ms) : null;
+}
+
+// Same retention policy? (treats missing values as 'forever')
+export function sameRetention(a, b) {
+  return retentionMs(a) === retentionMs(b) && (a?.mode ?? 'forever') === (b?.mode ?? 'forever');
+}
+
+// Query condition for messages that have not expired at `now`. It is an `$or`,
+// so combine it with `$and` when the filter may carry its own (cursors).
+export function notExpired(now = new Date()) {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+}
@@ -0,0 +1,196 @@
+// src/utils/session.js
+// Purpose
+// -------
+// Session lifecycle: short-lived access JWTs paired with rotating refresh tokens.
+//
+// Design
+// ------
+// - Each login creates a Session; the access token carries its id (`sid`), and
+//   `authRequired` rejects access tokens whose session is revoked or expired.
+// - Refresh tokens are opaque random strings; only sha256 hashes are stored
+//   (same approach as invite tokens in utils/token.js).
+// - Every refresh rotates the token. Presenting an already-rotated token means
+//   it was copied: the whole session is revoked (refresh-token reuse detection).
+// - Accounts with 2FA get a short-lived challenge token after the password step
+//   instead of a session; it has no `sid`, so it never works as an access token.
+//   Its `jti` names a TwoFactorChallenge record: every code tried uses up one
+//   of TWO_FACTOR_MAX_ATTEMPTS, and a successful login deletes it (single use).
+//
+// Config (env)
+// ------------
+// - ACCESS_TOKEN_TTL        (default '15m', any jsonwebtoken `expiresIn` value)
+// - REFRESH_TOKEN_TTL_DAYS  (default 30, absolute session lifetime)
+
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import TwoFactorChallenge from '../models/TwoFactorChallenge.js';
+import logger from '../config/logger.js';
+import { generateRawToken, sha256 } from './token.js';
+
+// How many rotated-out refresh token hashes we keep for reuse detection
+const PREVIOUS_HASHES_KEPT = 20;
+
+const TWO_FACTOR_AUDIENCE = '2fa-challenge';
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60_000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+function accessTtl() {
+  return process.env.ACCESS_TOKEN_TTL || '15m';
+}
+
+function refreshTtlMs() {
+  return Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 36e5;
+}
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+// Sign an access token bound to a session.
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTtl() }
+  );
+}
+
+// Token pair returned to clients (`token` kept for backwards compatibility).
+function tokenResponse(user, session, refreshToken) {
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: accessTtl(),
+  };
+}
+
+// Challenge issued after a correct password when 2FA is enabled.
+export async function signTwoFactorChallenge(user) {
+  const challenge = await TwoFactorChallenge.create({
+    user: user._id,
+    expiresAt: new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS),
+  });
+  return jwt.sign(
+    { sub: user._id.toString() },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.floor(TWO_FACTOR_CHALLENGE_TTL_MS / 1000),
+      audience: TWO_FACTOR_AUDIENCE,
+      jwtid: challenge._id.toString(),
+    }
+  );
+}
+
+// Check a challenge token and use up one of its attempts (atomically, so
+// parallel guesses share the cap). Returns { userId, challengeId }; throws 401
+// if the token is invalid/expired, already used, or out of attempts.
+export async function verifyTwoFactorChallenge(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.JWT_SECRET, { audience: TWO_FACTOR_AUDIENCE });
+  } catch {
+    throw unauthorized('Invalid or expired challenge');
+  }
+
+  const challenge = claims.jti && mongoose.isValidObjectId(claims.jti)
+    ? await TwoFactorChallenge.findOneAndUpdate(
+      {
+        _id: claims.jti,
+        user: claims.sub,
+        attempts: { $lt: TWO_FACTOR_MAX_ATTEMPTS },
+        expiresAt: { $gt: new Date() },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    )
+    : null;
+  if (!challenge) throw unauthorized('Invalid or expired challenge');
+
+  return { userId: claims.sub, challengeId: challenge._id };
+}
+
+// Mark a challenge as used once its second factor succeeded.
+// False if a concurrent request already used it.
+export async function consumeTwoFactorChallenge(challengeId) {
+  const res = await TwoFactorChallenge.deleteOne({ _id: challengeId });
+  return res.deletedCount === 1;
+}
+
+// Start a new session for a freshly authenticated user.
+export async function createSession(user, req) {
+  const refreshToken = generateRawToken(32);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: sha256(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTtlMs()),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+  });
+  return tokenResponse(user, session, refreshToken);
+}
+
+// Exchange a refresh token for a new pair (rotation + reuse detection).
+// `loadUser(userId)` resolves the account so the new access token has fresh claims.
+export async function rotateSession(refreshToken, loadUser) {
+  const hash = sha256(refreshToken);
+  const nextToken = generateRawToken(32);
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: sha256(nextToken), lastUsedAt: now },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -PREVIOUS_HASHES_KEPT } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Rotated-out token presented again → assume theft, kill the whole family.
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: hash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    if (reused) {
+      logger.warn('Refresh token reuse detected; session revoked', {
+        sessionId: reused._id.toString(),
+        userId: reused.user.toString(),
+      });
+    }
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'user_missing');
+    throw unauthorized('Invalid refresh token');
+  }
+
+  return tokenResponse(user, session, nextToken);
+}
+
+// True if the session exists, is not revoked and has not expired.
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const exists = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return !!exists;
+}
+
+// Revoke a single session (logout).
+export async function revokeSession(sessionId, reason = 'logout') {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Revoke every session of a user, optionally keeping one (e.g. the caller's).
+export async function revokeAllSessions(userId, { reason = 'logout_all', except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const res = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return res.modifiedCount;
+}
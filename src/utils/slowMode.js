@@ -0,0 +1,38 @@
+// src/utils/slowMode.js
+// Purpose
+// -------
+// Per-group slow mode: members may post at most once every
+// `settings.slowModeSeconds` (moderators and above are exempt).
+//
+// Notes
+// -----
+// - Counted in the shared RateLimitHit collection, so it holds across
+//   instances regardless of RATE_LIMIT_STORE, and concurrent sends cannot
+//   both slip through (one atomic upsert per attempt).
+// - Only sends that pass validation are counted (call right before writing).
+//   The slot is taken before the write so parallel sends cannot share it; a
+//   send that then fails must give it back with `releaseSlowModeSlot`.
+
+import { countHit, uncountHit } from './rateLimitStore.js';
+import { can } from './permissions.js';
+
+const applies = (group, userId) =>
+  (group.settings?.slowModeSeconds || 0) > 0 && !can(group, userId, 'slowMode.exempt');
+
+const slotKey = (group, userId) => `slowMode:${group._id}:${userId}`;
+
+// Returns the seconds the user must still wait (0 = may post now).
+export async function slowModeWait(group, userId) {
+  if (!applies(group, userId)) return 0;
+
+  const hit = await countHit(slotKey(group, userId), group.settings.slowModeSeconds * 1000);
+  if (hit.count <= 1) return 0;
+  return Math.max(1, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+}
+
+// Undo the hit counted by a slowModeWait that returned 0, when the message
+// was not stored after all.
+export async function releaseSlowModeSlot(group, userId) {
+  if (!applies(group, userId)) return;
+  await uncountHit(slotKey(group, userId));
+}
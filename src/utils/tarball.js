@@ -0,0 +1,79 @@
+// src/utils/tarball.js
+// Purpose
+// -------
+// Minimal streaming .tar.gz writer for downloadable archives (data export).
+// Regular files only, POSIX ustar headers, gzip via zlib — no dependencies.
+//
+// Usage
+// -----
+//   const tar = createTarGz(res);             // any writable stream
+//   await tar.addFile('profile.json', json);  // string or Buffer
+//   await tar.finish();
+//
+// Notes
+// -----
+// - Each entry is buffered whole (its size goes in the header), so callers
+//   should split large data into several files.
+// - Writes respect backpressure. A destination that closes or fails early
+//   (client gone) tears gzip down, so a write waiting for 'drain' rejects
+//   instead of hanging.
+
+import zlib from 'zlib';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+
+const BLOCK = 512;
+
+// ustar header for a regular file (names up to 100 bytes).
+function header(name, size, mtime) {
+  const buf = Buffer.alloc(BLOCK);
+  const nameBytes = Buffer.from(name, 'utf8');
+  if (nameBytes.length > 100) throw new Error(`Archive entry name too long: ${name}`);
+
+  const octal = (value, width) => value.toString(8).padStart(width - 1, '0') + '\0';
+  nameBytes.copy(buf, 0);
+  buf.write(octal(0o644, 8), 100, 'ascii');                            // mode
+  buf.write(octal(0, 8), 108, 'ascii');                                // uid
+  buf.write(octal(0, 8), 116, 'ascii');                                // gid
+  buf.write(octal(size, 12), 124, 'ascii');                            // size
+  buf.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 'ascii');
+  buf.write('        ', 148, 'ascii');                                 // checksum placeholder
+  buf.write('0', 156, 'ascii');                                        // regular file
+  buf.write('ustar\0', 257, 'ascii');
+  buf.write('00', 263, 'ascii');
+
+  let sum = 0;
+  for (const byte of buf) sum += byte;
+  buf.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148, 'ascii');
+  return buf;
+}
+
+export function createTarGz(destination) {
+  const gzip = zlib.createGzip();
+
+  let failed = null;
+  const done = pipeline(gzip, destination).catch(err => { failed = failed || err; });
+
+  async function write(chunk) {
+    if (failed) throw failed;
+    if (!gzip.write(chunk)) await once(gzip, 'drain');
+  }
+
+  return {
+    async addFile(name, content, mtime = new Date()) {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      await write(header(name, data.length, mtime));
+      await write(data);
+      const pad = (BLOCK - (data.length % BLOCK)) % BLOCK;
+      if (pad) await write(Buffer.alloc(pad));
+    },
+
+    // End-of-archive marker (two zero blocks), then flush gzip.
+    async finish() {
+      await write(Buffer.alloc(BLOCK * 2));
+      gzip.end();
+      await done;
+      if (failed) throw failed;
+    },
+  };
+}
@@ -0,0 +1,118 @@
+// src/utils/totp.js
+// Purpose
+// -------
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 s step),
+// compatible with standard authenticator apps, plus one-time recovery codes.
+//
+// Notes
+// -----
+// - Secrets are 160-bit random values, exchanged with clients as base32
+//   (RFC 4648, no padding) and stored encrypted by the caller.
+// - `verifyTotp` accepts ±1 step of clock drift and returns the matched step,
+//   so callers can refuse a code that was already used (replay protection).
+// - Recovery codes are shown once; only their sha256 hashes are stored.
+
+import crypto from 'crypto';
+import { sha256 } from './token.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// New random TOTP secret (base32).
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP value for a given counter (RFC 4226 dynamic truncation).
+function hotp(secretBuf, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', secretBuf).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Current time step.
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Code for a given step (defaults to now).
+export function totpCode(secretB32, step = currentStep()) {
+  return hotp(base32Decode(secretB32), step);
+}
+
+// Returns the matched time step, or null if the code is invalid.
+export function verifyTotp(secretB32, code, { window = 1, now = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const secret = base32Decode(secretB32);
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = Buffer.from(hotp(secret, step + i));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) return step + i;
+  }
+  return null;
+}
+
+// otpauth:// URI for QR-code enrollment in authenticator apps.
+export function otpauthUrl(secretB32, accountName, issuer = 'SecureGroupMessaging') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret: secretB32, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Normalize user-typed recovery codes ("ABCD-EFGH" == "abcdefgh").
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Generate `count` recovery codes: { codes (show once), hashes (store) }.
+export function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)).toLowerCase(); // 8 chars
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+export function hashRecoveryCode(code) {
+  return sha256(normalizeRecoveryCode(code));
+}
@@ -0,0 +1,99 @@
+// src/utils/webhookTarget.js
+// Purpose
+// -------
+// Keeps webhooks from reaching into the server's own network (SSRF). A webhook
+// may only talk to public addresses, unless its host is listed in
+// WEBHOOK_ALLOWED_HOSTS (config/webhooks.js), e.g. a receiver on the LAN.
+//
+// Checks
+// ------
+// - Registration (validators/webhookSchemas.js): `localhost` names and literal
+//   non-public IPs are refused up front.
+// - Every delivery (jobs/deliverWebhooks.js): the host is resolved again and
+//   every address must be public. `webhookLookup` is the socket's own DNS
+//   lookup, so the address that was checked is the one connected to; a DNS
+//   answer that changes after registration (rebinding) cannot slip through.
+// - Redirects are never followed, so a public URL cannot bounce inwards.
+//
+// Notes
+// -----
+// - Non-public = loopback, unspecified, private (RFC 1918), carrier-grade NAT,
+//   link-local, unique-local (fc00::/7), multicast, reserved and documentation
+//   ranges; IPv4-mapped IPv6 addresses are judged by their IPv4 part.
+
+import dns from 'dns';
+import net from 'net';
+import { webhookConfig } from '../config/webhooks.js';
+
+const NON_PUBLIC = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) NON_PUBLIC.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], // unspecified + loopback
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) NON_PUBLIC.addSubnet(prefix, bits, 'ipv6');
+
+// Error raised for a destination the policy refuses.
+export const TARGET_BLOCKED = 'WEBHOOK_TARGET_BLOCKED';
+
+function blocked(hostname) {
+  const err = new Error(`Webhook destination not allowed: ${hostname}`);
+  err.code = TARGET_BLOCKED;
+  return err;
+}
+
+// URL hostname without IPv6 brackets, lower-cased.
+const bareHost = hostname => hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// True if `address` (an IP) is publicly routable.
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function hostAllowed(host, config = webhookConfig()) {
+  return config.allowedHosts.includes(host);
+}
+
+// Static check of a URL (no DNS): false for localhost names and literal
+// non-public IPs that are not explicitly allowed.
+export function webhookUrlAllowed(url) {
+  const host = bareHost(new URL(url).hostname);
+  if (hostAllowed(host)) return true;
+  if (net.isIP(host)) return isPublicAddress(host);
+  return host !== 'localhost' && !host.endsWith('.localhost');
+}
+
+// Drop-in for dns.lookup on http(s) requests: resolves, then refuses the
+// connection unless every address is public (or the host is allowed).
+export function webhookLookup(hostname, options, callback) {
+  const allowed = hostAllowed(bareHost(hostname));
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowed && (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address)))) {
+      return callback(blocked(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -0,0 +1,149 @@
+// src/utils/webhooks.js
+// Purpose
+// -------
+// Outbound webhooks: turns group events into persisted deliveries (the outbox,
+// models/WebhookDelivery.js) for every matching, enabled webhook of the group.
+// jobs/deliverWebhooks.js sends them and retries with exponential backoff.
+//
+// Request format
+// --------------
+// POST <url>  Content-Type: application/json
+// Body:    { id, type, groupId, data, at }   — `id` identifies the event (stable
+//                                             across retries and redeliveries)
+// Headers: X-Webhook-Id         webhook id
+//          X-Webhook-Delivery   delivery id (new for each redelivery)
+//          X-Webhook-Event      event type
+//          X-Webhook-Timestamp  unix seconds when the attempt was made
+//          X-Webhook-Signature  sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+// Receivers should recompute the signature over the raw body, compare in
+// constant time and reject stale timestamps (replay protection).
+//
+// Notes
+// -----
+// - Secrets and queued bodies are encrypted under the group data key; deleting
+//   the group crypto-shreds anything left in the outbox.
+// - Enqueueing listens on the in-process event bus, so an event is only queued
+//   by the instance that handled the request (see utils/groupEvents.js).
+// - Account deletion rewrites queued and logged bodies that mention the user
+//   (scrubUserFromDeliveries), the same way their messages are re-pointed.
+
+import crypto from 'crypto';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import logger from '../config/logger.js';
+import { EVENTS, onGroupEvent } from './groupEvents.js';
+import { encryptMessage, decryptMessage } from './crypto.js';
+import { getGroupKey } from './groupKeys.js';
+import { generateRawToken } from './token.js';
+
+// Events a webhook may subscribe to (typing is too chatty; group.deleted
+// removes the webhooks themselves).
+export const WEBHOOK_EVENTS = [
+  EVENTS.MESSAGE_CREATED,
+  EVENTS.MESSAGE_EDITED,
+  EVENTS.MESSAGE_DELETED,
+  EVENTS.REACTION_ADDED,
+  EVENTS.REACTION_REMOVED,
+  EVENTS.MESSAGES_READ,
+  EVENTS.MEMBER_JOINED,
+  EVENTS.MEMBER_LEFT,
+  EVENTS.MEMBER_BANISHED,
+  EVENTS.MEMBER_ROLE_CHANGED,
+  EVENTS.GROUP_UPDATED,
+  EVENTS.REQUEST_PENDING,
+];
+
+// Sent only by POST /groups/:groupId/webhooks/:webhookId/ping
+export const PING_EVENT = 'webhook.ping';
+
+// Fresh signing secret (shown to the owner once).
+export function generateWebhookSecret() {
+  return `whsec_${generateRawToken(32)}`;
+}
+
+// Value of the X-Webhook-Signature header.
+export function signWebhookPayload(secret, timestamp, body) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${mac}`;
+}
+
+// Queue one event for the given webhooks. Returns the created deliveries.
+export async function enqueueDeliveries(webhooks, { type, groupId, data, at }) {
+  if (webhooks.length === 0) return [];
+
+  const eventId = crypto.randomUUID();
+  const body = JSON.stringify({ id: eventId, type, groupId: groupId.toString(), data, at });
+  const payload = encryptMessage(body, await getGroupKey(groupId));
+
+  return WebhookDelivery.insertMany(webhooks.map(w => ({
+    webhook: w._id,
+    group: groupId,
+    eventId,
+    event: type,
+    payload,
+  })));
+}
+
+// Bus listener: queue deliveries for every enabled webhook subscribed to the event.
+async function handleGroupEvent(event) {
+  if (!WEBHOOK_EVENTS.includes(event.type)) return;
+
+  const webhooks = await Webhook.find({ group: event.groupId, events: event.type, disabled: false })
+    .select('_id')
+    .lean();
+  await enqueueDeliveries(webhooks, event);
+}
+
+// Start turning group events into webhook deliveries; returns an unsubscribe function.
+export function attachWebhookOutbox() {
+  return onGroupEvent(event => {
+    handleGroupEvent(event).catch(err => {
+      logger.error('Webhook enqueue failed', { type: event.type, groupId: event.groupId, message: err.message });
+    });
+  });
+}
+
+// Rewrite delivery bodies of `groupIds` created before `before` that mention a
+// deleted user: their id becomes `replacementId`, their e-mail null. Pending
+// deliveries still go out (re-signed from the new body on send).
+// Returns the number of deliveries rewritten.
+export async function scrubUserFromDeliveries(groupIds, { userId, email, replacementId, before }) {
+  const id = userId.toString();
+  const replacement = replacementId.toString();
+  const scrub = value => {
+    if (value === id) return replacement;
+    if (value === email) return null;
+    if (Array.isArray(value)) return value.map(scrub);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrub(v)]));
+    }
+    return value;
+  };
+
+  let rewritten = 0;
+  for (const groupId of groupIds) {
+    if (!(await WebhookDelivery.exists({ group: groupId }))) continue;
+
+    let groupKey;
+    try {
+      groupKey = await getGroupKey(groupId);
+    } catch (err) {
+      if (err.status === 404) continue; // group gone: its deliveries went with it
+      throw err;
+    }
+
+    const cursor = WebhookDelivery.find({ group: groupId, createdAt: { $lt: before } })
+      .select('+payload')
+      .lean()
+      .cursor();
+    for await (const delivery of cursor) {
+      const body = decryptMessage(delivery.payload, groupKey);
+      if (!body.includes(id) && !body.includes(email)) continue;
+
+      const payload = encryptMessage(JSON.stringify(scrub(JSON.parse(body))), groupKey);
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { payload } });
+      rewritten += 1;
+    }
+  }
+  return rewritten;
+}
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+import mongoose from 'mongoose';
+
+const userId = z.string().refine(mongoose.isValidObjectId, 'Invalid userId');
+
+// POST /dm  — open (or fetch) the conversation with another user
+export const openConversationSchema = z.object({
+  userId,
+});
+
+// GET /dm?before=&limit=  — inbox walks newest activity first only
+export const conversationListSchema = z.object({
+  before: z.string().min(1).optional(),
+  limit: z.coerce
+    .number({ invalid_type_error: 'limit must be a number' })
+    .int()
+    .min(1, { message: 'limit must be at least 1' })
+    .max(100, { message: 'limit must be at most 100' })
+    .optional()
+    .default(50),
+});
+
+// POST /dm/:conversationId/messages
+export const directMessageSchema = z.object({
+  text: z.string().min(1, 'Message cannot be empty').max(5000, 'Message too long'),
+});
+
+// POST /dm/blocks
+export const blockUserSchema = z.object({
+  userId,
+});
@@ -1,29 +1,114 @@
 // src/validators/groupSchemas.js
 import { z } from "zod";
+import { attachmentConfig } from "../config/attachments.js";
 
-// Validation schema for creating a group
-export const groupCreateSchema = z.object({
-  name: z
-    .string({ required_error: "Group name is required" })
-    .min(1, "Group name cannot be empty"),
+// Fields shared by create and update
+const nameField = z
+  .string({ required_error: "Group name is required" })
+  .trim()
+  .min(1, "Group name cannot be empty")
+  .max(100, "Group name is too long");
 
-  type: z.enum(["private", "open"], {
-    required_error: "Group type must be private or open",
-  }),
+const typeField = z.enum(["private", "open"], {
+  required_error: "Group type must be private or open",
+});
 
-  // 0 = unlimited, otherwise at least 2 members required
-  maxMembers: z
-    .number({
-      required_error: "maxMembers is required",
-      invalid_type_error: "maxMembers must be a number",
-    })
-    .int()
-    .nonnegative()
-    .refine(
-      (n) => n === 0 || n >= 2,
-      "maxMembers must be 0 (unlimited) or at least 2"
-    ),
+// 0 = unlimited, otherwise at least 2 members required
+const maxMembersField = z
+  .number({
+    required_error: "maxMembers is required",
+    invalid_type_error: "maxMembers must be a number",
+  })
+  .int()
+  .nonnegative()
+  .refine(
+    (n) => n === 0 || n >= 2,
+    "maxMembers must be 0 (unlimited) or at least 2"
+  );
+
+const descriptionField = z.string().trim().max(1000, "description is too long");
+const topicField = z.string().trim().max(200, "topic is too long");
+
+// Validation schema for creating a group
+export const groupCreateSchema = z.object({
+  name: nameField,
+  type: typeField,
+  maxMembers: maxMembersField,
 
   // ✅ NEW FIELD — optional list used to pre-add members at creation time
   initialMemberIds: z.array(z.string()).optional().default([]),
+
+  description: descriptionField.optional().default(""),
+  topic: topicField.optional().default(""),
+});
+
+// PATCH /groups/:groupId (partial update; at least one field).
+// `keepInvites` only matters when switching open -> private.
+export const groupUpdateSchema = z
+  .object({
+    name: nameField.optional(),
+    type: typeField.optional(),
+    maxMembers: maxMembersField.optional(),
+    description: descriptionField.optional(),
+    topic: topicField.optional(),
+    keepInvites: z.boolean().optional(),
+  })
+  .strict()
+  .refine(
+    ({ keepInvites, ...changes }) => Object.keys(changes).length > 0,
+    "Provide at least one field to update"
+  );
+
+// Promote a member to an elevated role
+export const promoteSchema = z.object({
+  userId: z.string({ required_error: "userId is required" }),
+  role: z.enum(["admin", "moderator"], {
+    required_error: "role must be admin or moderator",
+  }),
+});
+
+// Demote a member to a lower role (default: plain member)
+export const demoteSchema = z.object({
+  userId: z.string({ required_error: "userId is required" }),
+  role: z.enum(["moderator", "member"]).optional().default("member"),
 });
+
+// Owner-managed group settings (partial update; at least one field)
+export const groupSettingsSchema = z
+  .object({
+    revisionHistoryVisible: z.boolean().optional(),
+    readReceipts: z.boolean().optional(),
+    // null resets to the server cap; groups can only lower it
+    attachmentMaxBytes: z
+      .number()
+      .int()
+      .positive()
+      .refine(
+        (n) => n <= attachmentConfig().maxBytes,
+        "attachmentMaxBytes exceeds the server limit"
+      )
+      .nullable()
+      .optional(),
+    attachmentMimeTypes: z
+      .array(
+        z
+          .string()
+          .toLowerCase()
+          .regex(/^[a-z0-9!#$&^_.+-]+\/([a-z0-9!#$&^_.+-]+|\*)$/, "Invalid MIME type")
+      )
+      .max(50)
+      .optional(),
+    // 0 turns slow mode off; at most 6 hours
+    slowModeSeconds: z.number().int().min(0).max(21600).optional(),
+    // Keep forever, delete after N days, or disappear after N hours
+    retention: z
+      .discriminatedUnion("mode", [
+        z.object({ mode: z.literal("forever"), value: z.null().optional() }).strict(),
+        z.object({ mode: z.literal("days"), value: z.number().int().min(1).max(3650) }).strict(),
+        z.object({ mode: z.literal("hours"), value: z.number().int().min(1).max(720) }).strict(),
+      ])
+      .transform((r) => ({ mode: r.mode, value: r.value ?? null }))
+      .optional(),
+  })
+  .strict()
+  .refine((s) => Object.keys(s).length > 0, "No settings provided");
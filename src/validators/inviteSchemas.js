@@ -3,4 +3,11 @@ import { z } from 'zod';
 export const createInviteSchema = z.object({
   maxUses: z.number().int().nonnegative().optional().default(1),
   expiresInMinutes: z.number().int().positive().optional().default(60),
+  // Bind the invite to one e-mail address (single use; the invitee is mailed the token)
+  email: z.string().trim().toLowerCase().email('Invalid email').optional(),
+});
+
+// GET /invites/preview?token=
+export const invitePreviewSchema = z.object({
+  token: z.string().min(1, 'token is required'),
 });
@@ -0,0 +1,20 @@
+import { z } from 'zod';
+
+// Shared query params for cursor-paginated listings.
+// `before`/`after` are opaque cursors returned as `nextCursor` by a previous page.
+export const pageQuerySchema = z
+  .object({
+    before: z.string().min(1).optional(),
+    after: z.string().min(1).optional(),
+    limit: z.coerce
+      .number({ invalid_type_error: 'limit must be a number' })
+      .int()
+      .min(1, { message: 'limit must be at least 1' })
+      .max(100, { message: 'limit must be at most 100' })
+      .optional()
+      .default(50),
+  })
+  .refine(q => !(q.before && q.after), {
+    message: 'Use either before or after, not both',
+    path: ['before'],
+  });
@@ -0,0 +1,11 @@
+import { z } from 'zod';
+
+// POST /presence/heartbeat
+export const heartbeatSchema = z.object({
+  status: z.enum(['online', 'idle', 'offline']).optional().default('online'),
+});
+
+// POST /messages/:groupId/typing
+export const typingSchema = z.object({
+  typing: z.boolean().optional().default(true),
+});
@@ -1,14 +1,95 @@
 import { z } from 'zod';
 
+// Shared password policy (registration, reset, change)
+const password = z
+  .string()
+  .min(8, { message: 'Password must be at least 8 characters' })
+  .max(128, { message: 'Password is too long' });
+
 export const registerSchema = z.object({
   email: z.string().email({ message: 'Invalid email address' }),
-  password: z
-    .string()
-    .min(8, { message: 'Password must be at least 8 characters' })
-    .max(128, { message: 'Password is too long' }),
+  password,
 });
 
 export const loginSchema = z.object({
   email: z.string().email({ message: 'Invalid email address' }),
   password: z.string().min(1, { message: 'Password is required' }),
 });
+
+export const refreshSchema = z.object({
+  refreshToken: z.string().min(1, { message: 'Refresh token is required' }),
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1, { message: 'Verification token is required' }),
+});
+
+export const resendVerificationSchema = z.object({
+  email: z.string().email({ message: 'Invalid email address' }),
+});
+
+export const forgotPasswordSchema = z.object({
+  email: z.string().email({ message: 'Invalid email address' }),
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, { message: 'Reset token is required' }),
+  newPassword: password,
+});
+
+export const changePasswordSchema = z
+  .object({
+    currentPassword: z.string().min(1, { message: 'Current password is required' }),
+    newPassword: password,
+  })
+  .refine(d => d.currentPassword !== d.newPassword, {
+    message: 'New password must differ from the current password',
+    path: ['newPassword'],
+  });
+
+// TOTP code: 6 digits (spaces tolerated, e.g. "123 456")
+const totpCode = z
+  .string()
+  .transform(v => v.replace(/\s+/g, ''))
+  .pipe(z.string().regex(/^\d{6}$/, { message: 'Code must be 6 digits' }));
+
+export const twoFactorCodeSchema = z.object({
+  code: totpCode,
+});
+
+// Second login step: TOTP code OR one recovery code
+export const twoFactorLoginSchema = z
+  .object({
+    challengeToken: z.string().min(1, { message: 'Challenge token is required' }),
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).optional(),
+  })
+  .refine(d => !!d.code !== !!d.recoveryCode, {
+    message: 'Provide either code or recoveryCode',
+    path: ['code'],
+  });
+
+export const twoFactorDisableSchema = z
+  .object({
+    password: z.string().min(1, { message: 'Password is required' }),
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).optional(),
+  })
+  .refine(d => !!d.code !== !!d.recoveryCode, {
+    message: 'Provide either code or recoveryCode',
+    path: ['code'],
+  });
+
+// DELETE /me — password always; a second factor too when 2FA is enabled.
+// Owned groups go to the next admin/moderator/member, or are deleted.
+export const deleteAccountSchema = z
+  .object({
+    password: z.string().min(1, { message: 'Password is required' }),
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).optional(),
+    ownedGroups: z.enum(['transfer', 'delete']).optional().default('transfer'),
+  })
+  .refine(d => !(d.code && d.recoveryCode), {
+    message: 'Provide either code or recoveryCode',
+    path: ['code'],
+  });
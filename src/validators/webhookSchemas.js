@@ -0,0 +1,39 @@
+import { z } from 'zod';
+import { WEBHOOK_EVENTS } from '../utils/webhooks.js';
+import { webhookUrlAllowed } from '../utils/webhookTarget.js';
+
+const parseUrl = u => {
+  try {
+    return new URL(u);
+  } catch {
+    return null;
+  }
+};
+
+// http(s) only; credentials belong in the signature, not the URL. Obviously
+// internal hosts are refused here; resolved addresses are checked on delivery.
+const webhookUrl = z
+  .string()
+  .trim()
+  .max(2048, 'url too long')
+  .url('Invalid url')
+  .refine(u => ['http:', 'https:'].includes(parseUrl(u)?.protocol), 'url must be http or https')
+  .refine(u => !parseUrl(u)?.username && !parseUrl(u)?.password, 'url must not contain credentials')
+  .refine(u => parseUrl(u) && webhookUrlAllowed(u), 'url must point to a public host');
+
+const webhookEvents = z
+  .array(z.enum(WEBHOOK_EVENTS))
+  .min(1, 'Subscribe to at least one event')
+  .transform(events => [...new Set(events)]);
+
+export const createWebhookSchema = z.object({
+  url: webhookUrl,
+  events: webhookEvents,
+}).strict();
+
+export const updateWebhookSchema = z.object({
+  url: webhookUrl.optional(),
+  events: webhookEvents.optional(),
+  disabled: z.boolean().optional(),
+  rotateSecret: z.literal(true).optional(),
+}).strict().refine(v => Object.keys(v).length > 0, 'Nothing to update');
@@ -0,0 +1,201 @@
+// test/accountDeletion.test.js
+// Account deletion: a DELETE /me that dies part-way is finished by a retry or
+// by the resume job, the account cannot log in meanwhile, and direct
+// conversations are closed instead of keeping the user's id.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import LeaveHistory from '../src/models/LeaveHistory.js';
+import JoinRequest from '../src/models/JoinRequest.js';
+import Invite from '../src/models/Invite.js';
+import Session from '../src/models/Session.js';
+import ActionToken from '../src/models/ActionToken.js';
+import Reaction from '../src/models/Reaction.js';
+import ReadMarker from '../src/models/ReadMarker.js';
+import Presence from '../src/models/Presence.js';
+import Typing from '../src/models/Typing.js';
+import Attachment from '../src/models/Attachment.js';
+import Conversation from '../src/models/Conversation.js';
+import DirectMessage from '../src/models/DirectMessage.js';
+import Webhook from '../src/models/Webhook.js';
+import WebhookDelivery from '../src/models/WebhookDelivery.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { deleteMyAccount } from '../src/controllers/accountController.js';
+import { login } from '../src/controllers/authController.js';
+import { sendDirectMessage } from '../src/controllers/directMessageController.js';
+import { DELETED_USER_ID } from '../src/utils/accountDeletion.js';
+import { resumeAccountDeletions } from '../src/jobs/resumeAccountDeletions.js';
+import { setMailTransport } from '../src/utils/mailer.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+
+const EMAIL = 'leaving@example.com';
+const PASSWORD = 'correct horse';
+const uid = new mongoose.Types.ObjectId();
+const otherId = new mongoose.Types.ObjectId();
+let account; // the User document, null once deleted
+let groups;
+let conversations;
+let calls; // 'Model.op' -> filters, for every deleteMany / updateMany
+let failOnce; // 'Model.op' that throws the next time it runs
+let mails;
+
+const deleteMe = () => invoke(deleteMyAccount, { body: { password: PASSWORD }, user: { id: uid.toString() } });
+
+// Just enough of Mongo's aggregation expressions for the conversation update.
+function evaluate(expr, doc, self) {
+  if (typeof expr === 'string' && expr.startsWith('$$')) return { $$this: self, $$NOW: new Date() }[expr];
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (!expr || typeof expr !== 'object' || expr instanceof mongoose.Types.ObjectId) return expr;
+  const [[op, args]] = Object.entries(expr);
+  const arg = i => evaluate(args[i], doc, self);
+  switch (op) {
+    case '$map': return evaluate(args.input, doc).map(item => evaluate(args.in, doc, item));
+    case '$cond': return arg(0) ? arg(1) : arg(2);
+    case '$eq': return String(arg(0)) === String(arg(1));
+    case '$concat': return args.map((_, i) => arg(i)).join('');
+    case '$toString': return String(evaluate(args, doc, self));
+    case '$ifNull': return arg(0) ?? arg(1);
+    default: throw new Error(`unsupported ${op}`);
+  }
+}
+
+// Writes that only need to be seen, not stored.
+function record(Model, op) {
+  mock.method(Model, op, async filter => {
+    const name = `${Model.modelName}.${op}`;
+    if (failOnce === name) {
+      failOnce = null;
+      throw new Error('write failed');
+    }
+    calls[name] = [...(calls[name] ?? []), filter];
+    return { deletedCount: 0, modifiedCount: 0 };
+  });
+}
+
+before(() => {
+  setMailTransport({ send: async mail => { mails.push(mail); } });
+
+  for (const Model of [Message, JoinRequest, LeaveHistory, Invite, Session, ActionToken, Reaction, ReadMarker,
+    Presence, Typing, Webhook, WebhookDelivery]) record(Model, 'deleteMany');
+  for (const Model of [Group, Message, DirectMessage, Attachment, User]) record(Model, 'updateMany');
+
+  mock.method(User, 'findById', () => query(account));
+  mock.method(User, 'findOne', async () => account);
+  mock.method(User, 'find', filter => query(account && account.deletingAt <= filter.deletingAt.$lte ? [account] : []));
+  mock.method(User.prototype, 'validatePassword', async password => password === PASSWORD);
+  mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (!account || account.deletingAt) return null;
+    account.set(update.$set);
+    return account;
+  });
+  mock.method(User, 'updateOne', async (filter, update) => {
+    account.deletion.deletedGroups.addToSet(update.$addToSet['deletion.deletedGroups']);
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'deleteOne', async () => {
+    account = null;
+    return { deletedCount: 1 };
+  });
+
+  const matching = filter => groups.filter(g => (filter.owner ? g.owner.equals(filter.owner) : g.members.includes(filter.members)));
+  mock.method(Group, 'find', filter =>
+    Object.assign(query(matching(filter)), { distinct: async () => matching(filter).map(g => g._id) }));
+  mock.method(Group.prototype, 'save', async function save() { return this; });
+  mock.method(Group.prototype, 'deleteOne', async function deleteOne() {
+    groups = groups.filter(g => g !== this);
+    return { deletedCount: 1 };
+  });
+  mock.method(Group, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(AuditEvent, 'findOne', () => query(null));
+  mock.method(AuditEvent.prototype, 'save', async function save() { return this; });
+
+  mock.method(Conversation, 'updateMany', async (filter, [{ $set }]) => {
+    const hit = conversations.filter(c => c.participants.some(p => p.equals(filter.participants)));
+    for (const c of hit) {
+      Object.assign(c, Object.fromEntries(Object.entries($set).map(([field, expr]) => [field, evaluate(expr, c)])));
+    }
+    return { modifiedCount: hit.length };
+  });
+  mock.method(Conversation, 'findOne', async filter => conversations.find(c => c._id.equals(filter._id)) ?? null);
+
+  mock.method(Message, 'distinct', async () => []);
+  mock.method(LeaveHistory, 'distinct', async () => []);
+  mock.method(Attachment, 'find', () => ({ distinct: async () => [] }));
+  mock.method(WebhookDelivery, 'exists', async () => null);
+});
+
+beforeEach(() => {
+  account = User.hydrate({ _id: uid, email: EMAIL, passwordHash: 'x', deletingAt: null });
+  groups = [
+    new Group({ name: 'mine', owner: uid, members: [uid] }),
+    new Group({ name: 'theirs', owner: otherId, members: [otherId, uid] }),
+  ];
+  conversations = [{
+    _id: new mongoose.Types.ObjectId(),
+    pairKey: [uid, otherId].map(String).sort().join(':'),
+    participants: [uid, otherId],
+    closedAt: null,
+  }];
+  calls = {};
+  failOnce = null;
+  mails = [];
+});
+
+after(() => {
+  mock.restoreAll();
+  setMailTransport(null);
+});
+
+test('a deletion that dies part-way is finished by retrying DELETE /me', async () => {
+  const [mine, theirs] = groups;
+  failOnce = 'Message.updateMany';
+  await assert.rejects(deleteMe(), /write failed/);
+
+  // Half done: memberships are gone, the account is still there but locked.
+  assert.ok(account.deletingAt);
+  assert.deepEqual(groups, [theirs]);
+  assert.deepEqual(theirs.members, [otherId]);
+  assert.ok(calls['Message.deleteMany'].some(f => f.group.equals(mine._id)), 'deleted group data removed');
+  assert.equal((await invoke(login, { body: { email: EMAIL, password: PASSWORD } })).status, 401);
+
+  const res = await deleteMe();
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.groups, { transferred: 0, deleted: 0 });
+  assert.equal(account, null);
+  assert.deepEqual(calls['Message.updateMany'][0], { sender: uid });
+  assert.deepEqual(calls['Session.deleteMany'], [{ user: uid }]);
+  assert.deepEqual(mails.map(m => m.to), [EMAIL]);
+});
+
+test('the resume job finishes a deletion nobody retried', async () => {
+  failOnce = 'Session.deleteMany';
+  await assert.rejects(deleteMe(), /write failed/);
+  assert.equal(await resumeAccountDeletions(), 0, 'too recent: the request may still be running');
+
+  const completed = await resumeAccountDeletions({ now: new Date(Date.now() + 3600_000) });
+  assert.equal(completed, 1);
+  assert.equal(account, null);
+});
+
+test('conversations are re-pointed to the placeholder user and closed', async () => {
+  const [conversation] = conversations;
+  assert.equal((await deleteMe()).status, 200);
+
+  assert.deepEqual(conversation.participants, [DELETED_USER_ID, otherId]);
+  assert.equal(conversation.pairKey, `closed:${conversation._id}`);
+  assert.ok(conversation.closedAt instanceof Date);
+
+  const res = await invoke(sendDirectMessage, {
+    body: { text: 'still there?' },
+    params: { conversationId: conversation._id.toString() },
+    user: { id: otherId.toString() },
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, 'This conversation is closed');
+});
@@ -0,0 +1,87 @@
+// test/actionTokens.test.js
+// E-mailed action tokens (e-mail verification, password reset) redeem once,
+// stop working when they expire, and are replaced by a newer token.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import ActionToken from '../src/models/ActionToken.js';
+import { issueActionToken, consumeActionToken } from '../src/utils/actionTokens.js';
+import { verifyEmail, resetPassword, register } from '../src/controllers/authController.js';
+import { invoke } from './helpers/controller.js';
+
+const userId = new mongoose.Types.ObjectId();
+let tokens;
+let verifiedUpdates;
+
+before(() => {
+  mock.method(ActionToken, 'deleteMany', async filter => {
+    const before = tokens.length;
+    tokens = tokens.filter(t => !(t.user.equals(filter.user) && t.purpose === filter.purpose && t.usedAt === null));
+    return { deletedCount: before - tokens.length };
+  });
+  mock.method(ActionToken, 'create', async doc => {
+    tokens.push({ ...doc, usedAt: null });
+    return doc;
+  });
+  mock.method(ActionToken, 'findOneAndUpdate', async (filter, update) => {
+    const doc = tokens.find(t =>
+      t.tokenHash === filter.tokenHash &&
+      t.purpose === filter.purpose &&
+      t.usedAt === null &&
+      t.expiresAt > filter.expiresAt.$gt);
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    return doc;
+  });
+  mock.method(User, 'updateOne', async filter => {
+    verifiedUpdates.push(filter._id);
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'findById', async () => null);
+});
+
+beforeEach(() => {
+  tokens = [];
+  verifiedUpdates = [];
+});
+
+after(() => mock.restoreAll());
+
+test('a verification token verifies the account once', async () => {
+  const token = await issueActionToken(userId, 'email_verify', 60);
+
+  assert.equal((await invoke(verifyEmail, { body: { token } })).status, 200);
+  assert.deepEqual(verifiedUpdates, [userId]);
+
+  const again = await invoke(verifyEmail, { body: { token } });
+  assert.equal(again.status, 400);
+  assert.equal(verifiedUpdates.length, 1);
+});
+
+test('an expired token is refused', async () => {
+  const token = await issueActionToken(userId, 'password_reset', 30);
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+  const res = await invoke(resetPassword, { body: { token, newPassword: 'new-password-1' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Invalid or expired reset token');
+  assert.equal(tokens[0].usedAt, null);
+});
+
+test('a token only works for its own purpose, and a newer one replaces it', async () => {
+  const older = await issueActionToken(userId, 'email_verify', 60);
+  assert.equal(await consumeActionToken(older, 'password_reset'), null);
+
+  const newer = await issueActionToken(userId, 'email_verify', 60);
+  assert.equal(await consumeActionToken(older, 'email_verify'), null);
+  assert.ok(await consumeActionToken(newer, 'email_verify'));
+});
+
+test('registration uses the shared password policy', async () => {
+  const res = await invoke(register, { body: { email: 'new@example.com', password: 'x'.repeat(129) } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [{ field: 'password', message: 'Password is too long' }]);
+});
@@ -0,0 +1,84 @@
+// test/audit.test.js
+// Group audit hash chain: an untouched chain verifies, and editing, re-hashing
+// or cutting off entries is detected.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { AUDIT, recordAudit, verifyAuditChain, hashEvent } from '../src/utils/audit.js';
+import { query } from './helpers/query.js';
+
+const groupId = new mongoose.Types.ObjectId();
+const actor = new mongoose.Types.ObjectId();
+let events;
+let head;
+
+before(() => {
+  mock.method(AuditEvent, 'findOne', () => query(events.at(-1) ?? null));
+  mock.method(AuditEvent.prototype, 'save', async function save() {
+    events.push(this.toObject());
+    return this;
+  });
+  mock.method(AuditEvent, 'find', () => query(events));
+  mock.method(Group, 'updateOne', async (filter, update) => {
+    head = update.$set.auditHead;
+    return { modifiedCount: 1 };
+  });
+});
+
+beforeEach(async () => {
+  events = [];
+  head = null;
+  await recordAudit(groupId, AUDIT.GROUP_CREATED, { actor });
+  await recordAudit(groupId, AUDIT.MEMBER_ROLE_CHANGED, { actor, target: actor, data: { role: 'admin' } });
+  await recordAudit(groupId, AUDIT.GROUP_UPDATED, { actor, data: { changes: ['name'] } });
+});
+
+after(() => mock.restoreAll());
+
+test('an untouched chain verifies against the recorded head', async () => {
+  assert.deepEqual(events.map(e => e.seq), [1, 2, 3]);
+  assert.deepEqual(await verifyAuditChain(groupId, head), { valid: true, count: 3, headHash: head.hash });
+});
+
+test('editing an entry breaks its hash', async () => {
+  events[1].data = { role: 'owner' };
+
+  const result = await verifyAuditChain(groupId, head);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+  assert.equal(result.reason, 'entry contents do not match its hash');
+});
+
+test('re-hashing an edited entry breaks the link to the next one', async () => {
+  events[1].data = { role: 'owner' };
+  events[1].hash = hashEvent(events[1]);
+
+  const result = await verifyAuditChain(groupId, head);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 3);
+  assert.equal(result.reason, 'prevHash does not match the previous entry');
+});
+
+test('deleting entries is detected, in the middle and at the end', async () => {
+  const [first, , last] = events;
+  events = [first, last];
+  assert.equal((await verifyAuditChain(groupId, head)).reason, 'expected seq 2');
+
+  events = [first];
+  const truncated = await verifyAuditChain(groupId, head);
+  assert.equal(truncated.valid, false);
+  assert.equal(truncated.reason, 'chain is shorter than the recorded head');
+});
+
+test('re-hashing the last entry no longer matches the recorded head', async () => {
+  events[2].data = { changes: ['settings'] };
+  events[2].hash = hashEvent(events[2]);
+
+  const result = await verifyAuditChain(groupId, head);
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'last entry does not match the recorded head');
+});
@@ -0,0 +1,177 @@
+// test/directMessages.test.js
+// Direct messages: one conversation per user pair (even when both open it at
+// once), messages encrypted under the conversation's key and visible to the
+// two participants only, an inbox ordered by latest activity, and a block
+// list that stops new conversations and messages either way.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Conversation from '../src/models/Conversation.js';
+import DirectMessage from '../src/models/DirectMessage.js';
+import {
+  openConversation,
+  listConversations,
+  sendDirectMessage,
+  listDirectMessages,
+  listBlockedUsers,
+  blockUser,
+  unblockUser,
+} from '../src/controllers/directMessageController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn, matches, applyUpdate } from './helpers/store.js';
+
+const [alice, bob, carol, dave, outsider] = Array.from({ length: 5 }, () => new mongoose.Types.ObjectId());
+let users;
+let conversations;
+let directMessages;
+
+const as = userId => ({ id: userId.toString() });
+const open = (userId, other) => invoke(openConversation, { body: { userId: other.toString() }, user: as(userId) });
+const send = (userId, conversationId, text) => invoke(sendDirectMessage, {
+  params: { conversationId: conversationId.toString() },
+  body: { text },
+  user: as(userId),
+});
+const history = (userId, conversationId) => invoke(listDirectMessages, {
+  params: { conversationId: conversationId.toString() },
+  query: {},
+  user: as(userId),
+});
+const inbox = (userId, q = {}) => invoke(listConversations, { query: q, user: as(userId) });
+const block = (userId, other) => invoke(blockUser, { body: { userId: other.toString() }, user: as(userId) });
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  mock.method(User, 'exists', async filter => {
+    const hit = users.find(u => matches(u, filter));
+    return hit ? { _id: hit._id } : null;
+  });
+  mock.method(User, 'findById', id => query(users.find(u => u._id.equals(id)) ?? null));
+  mock.method(User, 'find', filter => query(users.filter(u => matches(u, filter))));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    const hit = users.find(u => matches(u, filter));
+    if (hit) applyUpdate(hit, update);
+    return { matchedCount: hit ? 1 : 0 };
+  });
+
+  mock.method(Conversation, 'findOne', filter => query(conversations.find(c => matches(c, filter)) ?? null));
+  mock.method(Conversation, 'create', async doc => {
+    if (conversations.some(c => c.pairKey === doc.pairKey)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const conversation = { ...new Conversation(doc).toObject(), createdAt: new Date() };
+    conversations.push(conversation);
+    return conversation;
+  });
+  mock.method(Conversation, 'find', filter => findIn(conversations, filter));
+  mock.method(Conversation, 'updateOne', async (filter, update) => {
+    const hit = conversations.find(c => matches(c, filter));
+    if (hit) applyUpdate(hit, update);
+    return { modifiedCount: hit ? 1 : 0 };
+  });
+
+  mock.method(DirectMessage, 'create', async doc => {
+    const msg = { ...new DirectMessage(doc).toObject() };
+    directMessages.push(msg);
+    return msg;
+  });
+  mock.method(DirectMessage, 'find', filter => findIn(directMessages, filter));
+});
+
+beforeEach(() => {
+  users = [alice, bob, carol, dave, outsider].map(_id => ({ _id, email: `${_id}@example.com`, blockedUsers: [] }));
+  conversations = [];
+  directMessages = [];
+});
+
+after(() => mock.restoreAll());
+
+test('each pair of users has one conversation, whoever opens it', async () => {
+  const first = await open(alice, bob);
+  assert.equal(first.status, 201);
+  assert.ok(first.body.with._id.equals(bob));
+
+  const back = await open(bob, alice);
+  assert.equal(back.status, 200);
+  assert.ok(back.body.id.equals(first.body.id));
+  assert.ok(back.body.with._id.equals(alice));
+
+  // Both open at the same moment: the unique pairKey keeps one.
+  const both = await Promise.all([open(carol, dave), open(dave, carol)]);
+  assert.deepEqual(both.map(r => r.status).sort(), [200, 201]);
+  assert.ok(both[0].body.id.equals(both[1].body.id));
+  assert.equal(conversations.length, 2);
+
+  assert.equal((await open(alice, alice)).status, 400);
+  assert.equal((await open(alice, new mongoose.Types.ObjectId())).status, 404);
+});
+
+test('messages are encrypted at rest and readable by the two participants only', async () => {
+  const { id } = (await open(alice, bob)).body;
+  assert.equal((await send(alice, id, 'psst, bob')).status, 201);
+  await send(bob, id, 'hi alice');
+
+  const [stored] = directMessages;
+  assert.ok(!Buffer.from(stored.payload, 'base64').includes('psst'));
+
+  const res = await history(bob, id);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.items.map(m => [String(m.sender._id), m.text]), [
+    [alice.toString(), 'psst, bob'],
+    [bob.toString(), 'hi alice'],
+  ]);
+
+  assert.equal((await history(outsider, id)).status, 404);
+  assert.equal((await send(outsider, id, 'me too')).status, 404);
+  assert.equal(directMessages.length, 2);
+});
+
+test('the inbox lists the latest activity first and pages without repeats', async () => {
+  const base = Date.now() - 60_000;
+  const ids = [];
+  for (const [i, other] of [bob, carol, dave].entries()) {
+    const { id } = (await open(alice, other)).body;
+    conversations.find(c => c._id.equals(id)).lastActivityAt = new Date(base + i * 1000);
+    ids.push(id);
+  }
+  await send(bob, ids[0], 'bump');
+
+  const first = await inbox(alice, { limit: '2' });
+  assert.deepEqual(first.body.items.map(c => String(c.with._id)), [bob.toString(), dave.toString()]);
+  assert.ok(first.body.items[0].lastMessageAt);
+  const second = await inbox(alice, { limit: '2', before: first.body.nextCursor });
+  assert.deepEqual(second.body.items.map(c => String(c.with._id)), [carol.toString()]);
+  assert.equal(second.body.nextCursor, null);
+
+  assert.deepEqual((await inbox(bob)).body.items.map(c => String(c.with._id)), [alice.toString()]);
+  assert.equal((await inbox(alice, { before: 'garbage' })).status, 400);
+});
+
+test('blocking either way stops conversations and messages but keeps history', async () => {
+  const { id } = (await open(alice, bob)).body;
+  await send(bob, id, 'before the block');
+
+  assert.deepEqual((await block(alice, bob)).body, { userId: bob.toString(), blocked: true });
+  assert.equal((await block(alice, bob)).status, 200, 'blocking twice is fine');
+  assert.equal(users[0].blockedUsers.length, 1);
+
+  assert.equal((await open(bob, alice)).status, 403);
+  assert.equal((await send(bob, id, 'hello?')).status, 403);
+  assert.equal((await send(alice, id, 'bye')).status, 403);
+  assert.deepEqual((await history(bob, id)).body.items.map(m => m.text), ['before the block']);
+
+  const [listed] = (await inbox(alice)).body.items;
+  assert.equal(listed.blocked, true);
+  const blocked = await invoke(listBlockedUsers, { user: as(alice) });
+  assert.deepEqual(blocked.body.items.map(u => String(u._id)), [bob.toString()]);
+
+  await invoke(unblockUser, { params: { userId: bob.toString() }, user: as(alice) });
+  assert.equal((await send(bob, id, 'hello again')).status, 201);
+  assert.equal((await block(alice, alice)).status, 400);
+});
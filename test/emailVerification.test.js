@@ -0,0 +1,125 @@
+// test/emailVerification.test.js
+// E-mail verification: registering mails a token that verifies the account,
+// operators gate each action separately, and resending only mails accounts
+// that still need it (with the same answer for everyone).
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../src/models/User.js';
+import ActionToken from '../src/models/ActionToken.js';
+import { register, verifyEmail, resendVerification } from '../src/controllers/authController.js';
+import { requireVerified } from '../src/middleware/verified.js';
+import { setMailTransport } from '../src/utils/mailer.js';
+import { invoke, waitFor } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { matches } from './helpers/store.js';
+
+const POLICY = ['UNVERIFIED_CAN_CREATE_GROUPS', 'UNVERIFIED_CAN_JOIN_GROUPS', 'UNVERIFIED_CAN_SEND_MESSAGES'];
+let users;
+let tokens;
+let mails;
+
+// Run the gate for `action`: 'next' if the request may proceed, else the status.
+async function gate(action, user) {
+  let status = 'next';
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+  await requireVerified(action)({ user: { id: user.id } }, res, err => { if (err) throw err; });
+  return status;
+}
+
+const tokenIn = mail => mail.text.split('\n').map(l => l.trim()).find(l => /^[A-Za-z0-9_-]{32,}$/.test(l));
+
+before(() => {
+  setMailTransport({ send: async mail => { mails.push(mail); } });
+
+  mock.method(User, 'findOne', async ({ email }) => users.find(u => u.email === email) ?? null);
+  mock.method(User, 'findById', id => query(users.find(u => u._id.equals(id)) ?? null));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    const user = users.find(u => matches(u, filter));
+    if (user) user.set(update.$set);
+    return { modifiedCount: user ? 1 : 0 };
+  });
+  mock.method(User.prototype, 'save', async function save() {
+    users.push(this);
+    return this;
+  });
+
+  mock.method(ActionToken, 'deleteMany', async filter => {
+    tokens = tokens.filter(t => !matches(t, filter));
+    return { deletedCount: 0 };
+  });
+  mock.method(ActionToken, 'create', async doc => {
+    tokens.push({ ...doc, usedAt: null });
+    return doc;
+  });
+  mock.method(ActionToken, 'findOneAndUpdate', async (filter, update) => {
+    const doc = tokens.find(t => matches(t, filter));
+    if (doc) Object.assign(doc, update.$set);
+    return doc ?? null;
+  });
+});
+
+beforeEach(() => {
+  users = [];
+  tokens = [];
+  mails = [];
+  for (const name of POLICY) delete process.env[name];
+});
+
+after(() => {
+  mock.restoreAll();
+  setMailTransport(null);
+  for (const name of POLICY) delete process.env[name];
+});
+
+test('registering mails a token that verifies the account and opens gated actions', async () => {
+  process.env.UNVERIFIED_CAN_SEND_MESSAGES = 'false';
+
+  const res = await invoke(register, { body: { email: 'new@example.com', password: 'long-enough-1' } });
+  assert.equal(res.status, 201);
+  const [user] = users;
+  assert.equal(user.verified, false);
+  assert.equal(await gate('sendMessage', user), 403);
+
+  const [mail] = await waitFor(() => (mails.length ? mails : null));
+  assert.equal(mail.to, 'new@example.com');
+  assert.equal((await invoke(verifyEmail, { body: { token: tokenIn(mail) } })).status, 200);
+
+  assert.equal(user.verified, true);
+  assert.ok(user.verifiedAt instanceof Date);
+  assert.equal(await gate('sendMessage', user), 'next');
+});
+
+test('each action is gated by its own setting; unset means allowed', async () => {
+  const user = new User({ email: 'u@example.com', passwordHash: 'x' });
+  users = [user];
+
+  assert.equal(await gate('createGroup', user), 'next');
+  assert.equal(await gate('joinGroup', user), 'next');
+  assert.equal(await gate('sendMessage', user), 'next');
+
+  process.env.UNVERIFIED_CAN_CREATE_GROUPS = 'false';
+  process.env.UNVERIFIED_CAN_JOIN_GROUPS = 'true';
+  assert.equal(await gate('createGroup', user), 403);
+  assert.equal(await gate('joinGroup', user), 'next');
+  assert.equal(await gate('sendMessage', user), 'next');
+
+  assert.throws(() => requireVerified('deleteGroup'), /Unknown verification-gated action/);
+});
+
+test('resend answers the same for everyone and mails only unverified accounts', async () => {
+  users = [
+    new User({ email: 'pending@example.com', passwordHash: 'x' }),
+    new User({ email: 'done@example.com', passwordHash: 'x', verified: true }),
+  ];
+
+  for (const email of ['pending@example.com', 'done@example.com', 'nobody@example.com']) {
+    const res = await invoke(resendVerification, { body: { email } });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.message, 'If the account needs verification, an e-mail has been sent');
+  }
+
+  await waitFor(() => mails.length);
+  assert.deepEqual(mails.map(m => m.to), ['pending@example.com']);
+});
@@ -0,0 +1,101 @@
+// test/groupKeys.test.js
+// Per-group data keys: each group encrypts under its own key wrapped by the
+// keyring, legacy groups converge on one lazily created key, and deleting a
+// group leaves its ciphertext unreadable.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Reaction from '../src/models/Reaction.js';
+import ReadMarker from '../src/models/ReadMarker.js';
+import Attachment from '../src/models/Attachment.js';
+import Webhook from '../src/models/Webhook.js';
+import WebhookDelivery from '../src/models/WebhookDelivery.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { encryptMessage, decryptMessage, unwrapDataKey } from '../src/utils/crypto.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import { deleteGroup } from '../src/controllers/groupController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn, matches } from './helpers/store.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+let groups = [];
+let messages = [];
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  mock.method(Group, 'findById', id => {
+    const group = groups.find(g => g._id.equals(id));
+    return query(group ? Group.hydrate(group) : null);
+  });
+  mock.method(Group, 'updateOne', async (filter, update) => {
+    const group = groups.find(g => matches(g, filter));
+    if (group) Object.assign(group, update.$set);
+    return { modifiedCount: group ? 1 : 0 };
+  });
+  mock.method(Group.prototype, 'deleteOne', async function deleteOne() {
+    groups = groups.filter(g => !g._id.equals(this._id));
+    return { deletedCount: 1 };
+  });
+  mock.method(Message, 'deleteMany', async filter => {
+    const before = messages.length;
+    messages = messages.filter(m => !matches(m, filter));
+    return { deletedCount: before - messages.length };
+  });
+  for (const Model of [Reaction, ReadMarker, Webhook, WebhookDelivery]) {
+    mock.method(Model, 'deleteMany', async () => ({ deletedCount: 0 }));
+  }
+  mock.method(Attachment, 'find', filter => findIn([], filter));
+  mock.method(AuditEvent, 'findOne', () => query(null));
+  mock.method(AuditEvent.prototype, 'save', async function save() { return this; });
+});
+
+after(() => {
+  mock.restoreAll();
+  delete process.env.AES_128_KEY_BASE64;
+});
+
+const newGroup = fields => ({ _id: new mongoose.Types.ObjectId(), name: 'g', owner: ownerId, members: [ownerId], ...fields });
+
+test('each group encrypts under its own data key, stored only wrapped', async () => {
+  const a = newGroup({ wrappedKey: newWrappedGroupKey() });
+  const b = newGroup({ wrappedKey: newWrappedGroupKey() });
+  const [keyA, keyB] = [await getGroupKey(a), await getGroupKey(b)];
+
+  assert.equal(keyA.length, 16);
+  assert.notDeepEqual(keyA, keyB);
+  assert.ok(!Buffer.from(a.wrappedKey, 'base64').includes(keyA), 'the data key is not stored in the clear');
+  assert.deepEqual(unwrapDataKey(a.wrappedKey).key, keyA);
+
+  const payload = encryptMessage('for group a', keyA);
+  assert.equal(decryptMessage(payload, keyA), 'for group a');
+  assert.throws(() => decryptMessage(payload, keyB));
+});
+
+test('a legacy group without a key gets exactly one, even under concurrent use', async () => {
+  const legacy = newGroup();
+  groups = [legacy];
+
+  const keys = await Promise.all([getGroupKey(legacy._id), getGroupKey(legacy._id), getGroupKey(legacy._id)]);
+  assert.ok(legacy.wrappedKey);
+  for (const key of keys) assert.deepEqual(key, keys[0]);
+  assert.deepEqual(await getGroupKey(legacy._id), keys[0]);
+});
+
+test('deleting a group destroys its wrapped key and its messages', async () => {
+  const group = newGroup({ wrappedKey: newWrappedGroupKey() });
+  groups = [group];
+  messages = [{ _id: new mongoose.Types.ObjectId(), group: group._id, payload: encryptMessage('bye', await getGroupKey(group)) }];
+
+  const res = await invoke(deleteGroup, { params: { groupId: group._id.toString() }, user: { id: ownerId.toString() } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(messages, []);
+  // Any copy of the ciphertext left elsewhere (backups) has no key to open it.
+  await assert.rejects(getGroupKey(group._id), { status: 404 });
+});
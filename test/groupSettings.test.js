@@ -0,0 +1,96 @@
+// test/groupSettings.test.js
+// PATCH /groups/:groupId/settings: owner-only partial updates, validation
+// errors in the shared { error, errors: [{ field, message }] } shape, and a
+// retention change flagged for the sweeper and announced to members.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { onGroupEvent, EVENTS } from '../src/utils/groupEvents.js';
+import { updateGroupSettings, createGroup } from '../src/controllers/groupController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+let group;
+let audits;
+
+const patch = (body, userId = ownerId) => invoke(updateGroupSettings, {
+  params: { groupId: group._id.toString() },
+  body,
+  user: { id: userId.toString() },
+});
+
+before(() => {
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Group.prototype, 'save', async function save() { return this; });
+  mock.method(Group, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(AuditEvent, 'findOne', () => query(null));
+  mock.method(AuditEvent.prototype, 'save', async function save() {
+    audits.push(this.toObject());
+    return this;
+  });
+});
+
+beforeEach(() => {
+  group = new Group({
+    name: 'team',
+    type: 'private',
+    maxMembers: 0,
+    owner: ownerId,
+    members: [ownerId, memberId],
+  });
+  audits = [];
+});
+
+after(() => mock.restoreAll());
+
+test('the owner changes only the settings sent, and the change is audited', async () => {
+  const res = await patch({ slowModeSeconds: 30, readReceipts: false });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.settings.slowModeSeconds, 30);
+  assert.equal(res.body.settings.readReceipts, false);
+  assert.equal(res.body.settings.revisionHistoryVisible, true);
+  assert.equal(group.retentionPending, false);
+
+  assert.equal(audits.length, 1);
+  assert.deepEqual(audits[0].data.changes, { slowModeSeconds: 30, readReceipts: false });
+});
+
+test('a retention change is flagged for the sweeper and announced', async () => {
+  const events = [];
+  const stop = onGroupEvent(e => events.push(e));
+  try {
+    const res = await patch({ retention: { mode: 'days', value: 7 } });
+    assert.equal(res.status, 200);
+  } finally {
+    stop();
+  }
+  assert.equal(group.retentionPending, true);
+  assert.equal(group.settings.retention.mode, 'days');
+  assert.equal(group.settings.retention.value, 7);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, EVENTS.GROUP_UPDATED);
+});
+
+test('plain members cannot change settings', async () => {
+  await assert.rejects(patch({ slowModeSeconds: 30 }, memberId), err => err.status === 403);
+  assert.equal(group.settings.slowModeSeconds, 0);
+});
+
+test('validation errors list each field with its message', async () => {
+  const res = await patch({ slowModeSeconds: -1, unknown: true });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Validation failed');
+  assert.ok(res.body.errors.some(e => e.field === 'slowModeSeconds' && e.message));
+  assert.ok(res.body.errors.every(e => Object.keys(e).sort().join() === 'field,message'));
+
+  const create = await invoke(createGroup, { body: { name: '' }, user: { id: ownerId.toString() } });
+  assert.equal(create.status, 400);
+  assert.deepEqual(Object.keys(create.body).sort(), ['error', 'errors']);
+  assert.ok(create.body.errors.some(e => e.field === 'name'));
+});
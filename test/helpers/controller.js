@@ -0,0 +1,30 @@
+// test/helpers/controller.js
+// Call an Express controller directly with a minimal req/res and collect the
+// response: { status, body, headers }. Errors passed to next() are rethrown.
+
+export async function invoke(handler, { body = {}, params = {}, query = {}, user, headers = {} } = {}) {
+  const out = { status: 200, body: undefined, headers: {} };
+  const res = {
+    status(code) { out.status = code; return this; },
+    json(payload) { out.body = payload; return this; },
+    set(name, value) { out.headers[name.toLowerCase()] = value; return this; },
+    end() { return this; },
+  };
+
+  let failure;
+  const req = { body, params, query, user, headers, get: name => headers[name.toLowerCase()] };
+  await handler(req, res, err => { failure = err; });
+  if (failure) throw failure;
+  return out;
+}
+
+// Poll `probe` until it returns a truthy value (or fail after `timeoutMs`).
+export async function waitFor(probe, { timeoutMs = 2000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await probe();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('waitFor: timed out');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
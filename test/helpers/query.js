@@ -0,0 +1,21 @@
+// test/helpers/query.js
+// Stand-in for a Mongoose query when model methods are mocked: the usual
+// chain methods return the query itself, and awaiting it (or iterating its
+// cursor) yields `value`.
+
+export function query(value) {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    sort: () => q,
+    limit: () => q,
+    populate: () => q,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* await value;
+      },
+    }),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+}
@@ -0,0 +1,108 @@
+// test/helpers/store.js
+// Serve mocked finds from an array: just enough of MongoDB's query language
+// for the filters the controllers build (equality incl. ObjectIds and array
+// fields, null, $and/$or, $gt/$gte/$lt/$lte, $in/$nin/$all, $ne, $exists,
+// dotted paths), plus sort and limit; applyUpdate covers the update operators
+// ($set, $unset, $inc, $max, $push with $each/$slice, $addToSet, $pull).
+
+const valueAt = (doc, path) => path.split('.').reduce((v, key) => v?.[key], doc);
+
+// Comparable form of a stored value: Dates as ms, ObjectIds as hex.
+function scalar(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  return value;
+}
+
+const same = (a, b) => (a == null && b == null) || (a != null && b != null && String(scalar(a)) === String(scalar(b)));
+const anyOf = (value, test) => (Array.isArray(value) ? value.some(test) : test(value));
+
+const OPERATORS = {
+  $gt: (v, c) => anyOf(v, x => x != null && scalar(x) > scalar(c)),
+  $gte: (v, c) => anyOf(v, x => x != null && scalar(x) >= scalar(c)),
+  $lt: (v, c) => anyOf(v, x => x != null && scalar(x) < scalar(c)),
+  $lte: (v, c) => anyOf(v, x => x != null && scalar(x) <= scalar(c)),
+  $in: (v, c) => c.some(item => anyOf(v, x => same(x, item))),
+  $nin: (v, c) => !c.some(item => anyOf(v, x => same(x, item))),
+  $all: (v, c) => c.every(item => anyOf(v, x => same(x, item))),
+  $ne: (v, c) => !anyOf(v, x => same(x, c)),
+  $exists: (v, c) => (v !== undefined) === c,
+};
+
+function condition(value, cond) {
+  const isOperators = cond && typeof cond === 'object' && !(cond instanceof Date) && cond._bsontype !== 'ObjectId'
+    && Object.keys(cond).every(key => key in OPERATORS);
+  if (isOperators) return Object.entries(cond).every(([op, arg]) => OPERATORS[op](value, arg));
+  if (cond === null) return value == null || (Array.isArray(value) && value.some(x => x == null));
+  return anyOf(value, x => same(x, cond));
+}
+
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$and') return cond.every(f => matches(doc, f));
+    if (key === '$or') return cond.some(f => matches(doc, f));
+    return condition(valueAt(doc, key), cond);
+  });
+}
+
+// Order docs by a { field: 1 | -1 } spec.
+export function sortBy(docs, spec) {
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [field, dir] of keys) {
+      const x = scalar(valueAt(a, field));
+      const y = scalar(valueAt(b, field));
+      if (x < y) return -dir;
+      if (x > y) return dir;
+    }
+    return 0;
+  });
+}
+
+// $pull: embedded documents match a filter, plain values a condition.
+const isEmbedded = x => x && typeof x === 'object' && !x._bsontype && !(x instanceof Date);
+const pulled = (x, arg) => (isEmbedded(x) ? matches(x, arg) : condition(x, arg));
+
+// Apply an update document to a plain object in place.
+export function applyUpdate(doc, update) {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [field, arg] of Object.entries(fields)) {
+      const current = doc[field];
+      if (op === '$set' || op === '$setOnInsert') doc[field] = arg;
+      else if (op === '$unset') delete doc[field];
+      else if (op === '$inc') doc[field] = (current ?? 0) + arg;
+      else if (op === '$max') doc[field] = current == null || scalar(arg) > scalar(current) ? arg : current;
+      else if (op === '$push') {
+        const items = arg?.$each ?? [arg];
+        const all = [...(current ?? []), ...items];
+        doc[field] = arg?.$slice === undefined ? all : all.slice(arg.$slice);
+      } else if (op === '$addToSet') {
+        doc[field] = [...(current ?? [])];
+        for (const item of arg?.$each ?? [arg]) if (!doc[field].some(x => same(x, item))) doc[field].push(item);
+      } else if (op === '$pull') doc[field] = (current ?? []).filter(x => !pulled(x, arg));
+      else throw new Error(`unsupported update operator ${op}`);
+    }
+  }
+  return doc;
+}
+
+// A query over `docs` honouring the filter, sort and limit; other chain
+// methods are no-ops. Awaiting it yields the matching docs.
+export function findIn(docs, filter) {
+  let spec = null;
+  let max = Infinity;
+  const run = () => {
+    const hit = docs.filter(d => matches(d, filter));
+    return (spec ? sortBy(hit, spec) : hit).slice(0, max);
+  };
+  const q = {
+    select: () => q,
+    lean: () => q,
+    populate: () => q,
+    sort: s => { spec = s; return q; },
+    limit: n => { max = n; return q; },
+    distinct: async field => [...new Map(run().map(d => [String(valueAt(d, field)), valueAt(d, field)])).values()],
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+  };
+  return q;
+}
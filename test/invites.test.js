@@ -0,0 +1,95 @@
+// test/invites.test.js
+// Redeeming invites: a use is claimed atomically so concurrent redemptions
+// never exceed maxUses, and members re-redeeming do not use one up.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Invite from '../src/models/Invite.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { sha256 } from '../src/utils/token.js';
+import { joinWithInvite } from '../src/controllers/groupController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+
+const TOKEN = 'invite-token';
+const ownerId = new mongoose.Types.ObjectId();
+let group;
+let invite;
+
+const redeem = userId => invoke(joinWithInvite, { body: { token: TOKEN }, user: { id: userId.toString() } });
+
+before(() => {
+  // Each redemption sees its own copy of the group, as separate requests would.
+  mock.method(Group, 'findById', () => query(Group.hydrate(group.toObject())));
+  mock.method(Group.prototype, 'save', async function save() {
+    group.members = this.members;
+    return this;
+  });
+  mock.method(Group, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(AuditEvent, 'findOne', () => query(null));
+  mock.method(AuditEvent.prototype, 'save', async function save() { return this; });
+
+  mock.method(Invite, 'findOne', async ({ tokenHash }) => (tokenHash === invite.tokenHash ? Invite.hydrate({ ...invite }) : null));
+  // The claim: { disabled, revokedAt, expiresAt, $expr: uses < maxUses } -> $inc uses
+  mock.method(Invite, 'findOneAndUpdate', async (filter, update) => {
+    const usable = String(filter._id) === String(invite._id) && !invite.disabled && !invite.revokedAt &&
+      invite.expiresAt > filter.expiresAt.$gt && invite.uses < invite.maxUses;
+    if (!usable) return null;
+    invite.uses += update.$inc.uses;
+    return { ...invite };
+  });
+});
+
+beforeEach(() => {
+  group = new Group({ name: 'team', type: 'private', maxMembers: 0, owner: ownerId, members: [ownerId] });
+  invite = {
+    _id: new mongoose.Types.ObjectId(),
+    group: group._id,
+    owner: ownerId,
+    tokenHash: sha256(TOKEN),
+    maxUses: 2,
+    uses: 0,
+    expiresAt: new Date(Date.now() + 60_000),
+    disabled: false,
+    email: null,
+    revokedAt: null,
+  };
+});
+
+after(() => mock.restoreAll());
+
+test('concurrent redemptions never exceed maxUses', async () => {
+  const users = Array.from({ length: 5 }, () => new mongoose.Types.ObjectId());
+  const results = await Promise.all(users.map(redeem));
+
+  assert.equal(results.filter(r => r.status === 200).length, 2);
+  assert.ok(results.filter(r => r.status !== 200).every(r => r.body.error === 'Invite exhausted'));
+  assert.equal(invite.uses, 2);
+});
+
+test('a member redeeming again does not use the invite up', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  assert.equal((await redeem(userId)).status, 200);
+  assert.equal((await redeem(userId)).status, 200);
+  assert.equal((await redeem(ownerId)).status, 200);
+  assert.equal(invite.uses, 1);
+
+  assert.equal((await redeem(new mongoose.Types.ObjectId())).status, 200);
+  const late = await redeem(new mongoose.Types.ObjectId());
+  assert.equal(late.status, 400);
+  assert.equal(late.body.error, 'Invite exhausted');
+});
+
+test('revoked and expired invites are refused without claiming a use', async () => {
+  invite.expiresAt = new Date(Date.now() - 1000);
+  assert.equal((await redeem(new mongoose.Types.ObjectId())).body.error, 'Invite expired');
+
+  invite.expiresAt = new Date(Date.now() + 60_000);
+  invite.revokedAt = new Date();
+  invite.disabled = true;
+  assert.equal((await redeem(new mongoose.Types.ObjectId())).body.error, 'Invalid invite');
+  assert.equal(invite.uses, 0);
+});
@@ -0,0 +1,141 @@
+// test/messageEdits.test.js
+// Editing and deleting messages: earlier texts stay as encrypted revisions,
+// only the sender edits, the sender or a moderator deletes (leaving a
+// tombstone), and owners can hide revision history.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Reaction from '../src/models/Reaction.js';
+import { encryptMessage, decryptMessage } from '../src/utils/crypto.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import {
+  listMessages,
+  editMessage,
+  deleteMessage,
+  listRevisions,
+} from '../src/controllers/messageController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn, matches, applyUpdate } from './helpers/store.js';
+
+const [owner, moderator, sender, member] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+let group;
+let groupKey;
+let messages;
+let message;
+
+// Call a per-message route as `userId`.
+const as = (userId, handler, body) => invoke(handler, {
+  params: { groupId: group._id.toString(), messageId: message._id.toString() },
+  body,
+  user: { id: userId.toString(), email: 'someone@example.com' },
+});
+
+async function listed() {
+  const res = await invoke(listMessages, { params: { groupId: group._id.toString() }, user: { id: member.toString() } });
+  return res.body.items.find(m => m.id.equals(message._id));
+}
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Message, 'findOne', filter => {
+    const hit = messages.find(m => matches(m, filter));
+    return query(hit ? Message.hydrate({ ...hit }) : null);
+  });
+  mock.method(Message, 'find', filter => findIn(messages, filter));
+  mock.method(Message, 'updateOne', async (filter, update) => {
+    const hit = messages.find(m => matches(m, filter));
+    if (hit) applyUpdate(hit, update);
+    return { modifiedCount: hit ? 1 : 0 };
+  });
+  mock.method(Message, 'aggregate', async () => []);
+  mock.method(Reaction, 'aggregate', async () => []);
+  mock.method(Reaction, 'deleteMany', async () => ({ deletedCount: 0 }));
+});
+
+beforeEach(async () => {
+  group = new Group({
+    name: 'team',
+    type: 'private',
+    owner,
+    members: [owner, moderator, sender, member],
+    moderators: [moderator],
+    wrappedKey: newWrappedGroupKey(),
+  });
+  groupKey = await getGroupKey(group);
+  message = {
+    _id: new mongoose.Types.ObjectId(),
+    group: group._id,
+    sender,
+    payload: encryptMessage('first draft', groupKey),
+    createdAt: new Date(Date.now() - 60_000),
+    editedAt: null,
+    deletedAt: null,
+    expiresAt: null,
+  };
+  messages = [message];
+});
+
+after(() => mock.restoreAll());
+
+test('edits keep earlier texts as encrypted revisions', async () => {
+  assert.equal((await as(sender, editMessage, { text: 'second draft' })).status, 200);
+  assert.equal((await as(sender, editMessage, { text: 'final' })).status, 200);
+
+  const res = await as(member, listRevisions);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.revisions.map(r => r.text), ['first draft', 'second draft', 'final']);
+  assert.equal(res.body.revisions.at(-1).current, true);
+
+  for (const revision of message.revisions) {
+    assert.ok(!Buffer.from(revision.payload, 'base64').includes('draft'), 'stored encrypted');
+    assert.match(decryptMessage(revision.payload, groupKey), /draft/);
+  }
+  const shown = await listed();
+  assert.equal(shown.text, 'final');
+  assert.ok(shown.editedAt);
+});
+
+test('only the sender edits; the sender or a moderator deletes, leaving a tombstone', async () => {
+  assert.equal((await as(member, editMessage, { text: 'hijacked' })).status, 403);
+  assert.equal((await as(member, deleteMessage)).status, 403);
+  await as(sender, editMessage, { text: 'second draft' });
+
+  assert.equal((await as(moderator, deleteMessage)).status, 200);
+  assert.equal(message.payload, undefined);
+  assert.equal(message.revisions, undefined);
+  assert.equal(String(message.deletedBy), moderator.toString());
+
+  const shown = await listed();
+  assert.deepEqual({ deleted: shown.deleted, text: shown.text }, { deleted: true, text: null });
+  assert.equal((await as(sender, editMessage, { text: 'again' })).status, 410);
+  assert.equal((await as(sender, listRevisions)).status, 410);
+  assert.equal((await as(sender, deleteMessage)).body.message, 'Message already deleted');
+});
+
+test('owners can hide revision history from everyone but the sender', async () => {
+  await as(sender, editMessage, { text: 'second draft' });
+  group.settings.revisionHistoryVisible = false;
+
+  assert.equal((await as(member, listRevisions)).status, 403);
+  assert.equal((await as(owner, listRevisions)).status, 403);
+  assert.equal((await as(sender, listRevisions)).status, 200);
+});
+
+test('of two concurrent edits one wins and the other is told to retry', async () => {
+  const results = await Promise.all([
+    as(sender, editMessage, { text: 'mine' }),
+    as(sender, editMessage, { text: 'also mine' }),
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(message.revisions.length, 1);
+  assert.equal(decryptMessage(message.revisions[0].payload, groupKey), 'first draft');
+});
@@ -0,0 +1,116 @@
+// test/pagination.test.js
+// Cursor pagination: walking GET /messages/:groupId with `before` or `after`
+// returns every message exactly once (ties on createdAt included), pages of
+// open groups run newest first, and bad cursors are rejected.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Reaction from '../src/models/Reaction.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import { encryptMessage } from '../src/utils/crypto.js';
+import { encodeCursor } from '../src/utils/cursor.js';
+import { listMessages } from '../src/controllers/messageController.js';
+import { listPublicGroups } from '../src/controllers/groupController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn } from './helpers/store.js';
+
+const memberId = new mongoose.Types.ObjectId();
+let group;
+let messages;
+let groups;
+
+const list = q => invoke(listMessages, {
+  params: { groupId: group._id.toString() },
+  query: q,
+  user: { id: memberId.toString() },
+});
+
+// Follow nextCursor until the end; returns the pages' texts.
+async function walk(direction, limit, cursor) {
+  const pages = [];
+  do {
+    const res = await list({ limit: String(limit), ...(cursor && { [direction]: cursor }) });
+    assert.equal(res.status, 200);
+    pages.push(res.body.items.map(m => m.text));
+    cursor = res.body.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+before(async () => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+  group = { _id: new mongoose.Types.ObjectId(), owner: memberId, members: [memberId], wrappedKey: newWrappedGroupKey() };
+  const key = await getGroupKey(group);
+
+  // m0..m6; m2/m3/m4 share a millisecond so only _id orders them.
+  const base = Date.now() - 60_000;
+  const times = [0, 1000, 2000, 2000, 2000, 3000, 4000];
+  messages = times.map((offset, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    group: group._id,
+    sender: memberId,
+    payload: encryptMessage(`m${i}`, key),
+    createdAt: new Date(base + offset),
+    expiresAt: null,
+  }));
+
+  groups = Array.from({ length: 5 }, (_, i) => new Group({
+    name: `open-${i}`,
+    type: 'open',
+    owner: memberId,
+    members: [memberId],
+    createdAt: new Date(base + i * 1000),
+  }));
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Group, 'find', filter => findIn(groups, filter));
+  mock.method(Message, 'find', filter => findIn(messages, filter));
+  mock.method(Message, 'aggregate', async () => []);
+  mock.method(Reaction, 'aggregate', async () => []);
+});
+
+after(() => mock.restoreAll());
+
+test('walking back with `before` returns each message once, oldest first within a page', async () => {
+  const pages = await walk('before', 3);
+  assert.deepEqual(pages, [['m4', 'm5', 'm6'], ['m1', 'm2', 'm3'], ['m0']]);
+});
+
+test('walking forward with `after` returns each message once, oldest first', async () => {
+  const start = encodeCursor({ _id: new mongoose.Types.ObjectId('000000000000000000000000'), createdAt: new Date(0) });
+  const pages = await walk('after', 3, start);
+  assert.deepEqual(pages, [['m0', 'm1', 'm2'], ['m3', 'm4', 'm5'], ['m6']]);
+});
+
+test('open groups are paged newest first', async () => {
+  const first = await invoke(listPublicGroups, { query: { limit: '2' } });
+  assert.deepEqual(first.body.items.map(g => g.name), ['open-4', 'open-3']);
+
+  const second = await invoke(listPublicGroups, { query: { limit: '2', before: first.body.nextCursor } });
+  assert.deepEqual(second.body.items.map(g => g.name), ['open-2', 'open-1']);
+
+  const last = await invoke(listPublicGroups, { query: { limit: '2', before: second.body.nextCursor } });
+  assert.deepEqual(last.body.items.map(g => g.name), ['open-0']);
+  assert.equal(last.body.nextCursor, null);
+});
+
+test('malformed cursors and before+after together are rejected', async () => {
+  await assert.rejects(list({ before: 'not-a-cursor' }), { status: 400, message: 'Invalid cursor' });
+
+  const res = await list({ before: 'a', after: 'b' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors.map(e => e.field), ['before']);
+});
+
+test('the listing queries are backed by compound indexes', () => {
+  const indexes = schema => schema.indexes().map(([fields]) => JSON.stringify(fields));
+  assert.ok(indexes(Message.schema).includes(JSON.stringify({ group: 1, createdAt: 1, _id: 1 })));
+  assert.ok(indexes(Group.schema).includes(JSON.stringify({ type: 1, createdAt: -1, _id: -1 })));
+  assert.ok(indexes(Group.schema).includes(JSON.stringify({ members: 1, createdAt: -1, _id: -1 })));
+});
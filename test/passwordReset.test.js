@@ -0,0 +1,85 @@
+// test/passwordReset.test.js
+// Forgot/reset password end to end through the file mail transport: the token
+// is read back from the e-mail written to MAIL_OUTBOX_DIR and redeemed.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import ActionToken from '../src/models/ActionToken.js';
+import { forgotPassword, resetPassword } from '../src/controllers/authController.js';
+import { invoke, waitFor } from './helpers/controller.js';
+
+let outbox;
+let user;
+const tokens = [];
+
+before(async () => {
+  outbox = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_OUTBOX_DIR = outbox;
+
+  user = new User({ email: 'alice@example.com', passwordHash: 'x' });
+  await user.setPassword('old-password-1');
+
+  mock.method(User, 'findOne', async ({ email }) => (email === user.email ? user : null));
+  mock.method(User, 'findById', async id => (String(id) === user.id ? user : null));
+  mock.method(User.prototype, 'save', async function () { return this; });
+  mock.method(Session, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+  mock.method(ActionToken, 'deleteMany', async () => ({ deletedCount: 0 }));
+  mock.method(ActionToken, 'create', async doc => {
+    tokens.push({ ...doc, usedAt: null });
+    return doc;
+  });
+  mock.method(ActionToken, 'findOneAndUpdate', async (filter, update) => {
+    const doc = tokens.find(t =>
+      t.tokenHash === filter.tokenHash &&
+      t.purpose === filter.purpose &&
+      t.usedAt === null &&
+      t.expiresAt > filter.expiresAt.$gt);
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    return doc;
+  });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.rm(outbox, { recursive: true, force: true });
+});
+
+test('the reset token e-mailed by forgot-password resets the password once', async () => {
+  const forgot = await invoke(forgotPassword, { body: { email: 'alice@example.com' } });
+  assert.equal(forgot.status, 202);
+
+  const [file] = await waitFor(async () => {
+    const files = await fs.readdir(outbox);
+    return files.length ? files : null;
+  });
+  const mail = JSON.parse(await fs.readFile(path.join(outbox, file), 'utf8'));
+  assert.equal(mail.to, 'alice@example.com');
+  assert.equal(mail.subject, 'Reset your password');
+
+  const token = mail.text.split('\n').map(l => l.trim()).find(l => /^[A-Za-z0-9_-]{32,}$/.test(l));
+  assert.ok(token, 'mail contains a token');
+
+  const reset = await invoke(resetPassword, { body: { token, newPassword: 'new-password-2' } });
+  assert.equal(reset.status, 200);
+  assert.equal(await user.validatePassword('new-password-2'), true);
+
+  const again = await invoke(resetPassword, { body: { token, newPassword: 'new-password-3' } });
+  assert.equal(again.status, 400);
+  assert.equal(await user.validatePassword('new-password-2'), true);
+});
+
+test('forgot-password answers the same for unknown e-mails and sends nothing', async () => {
+  const before = (await fs.readdir(outbox)).length;
+  const res = await invoke(forgotPassword, { body: { email: 'nobody@example.com' } });
+  assert.equal(res.status, 202);
+  assert.equal((await fs.readdir(outbox)).length, before);
+});
@@ -0,0 +1,147 @@
+// test/presence.test.js
+// Presence and typing: heartbeats set online / idle / offline with a last-seen
+// time, rows past their expiry read as gone even before the TTL monitor runs,
+// typing events fire only when the state changes, and non-members see nothing.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import User from '../src/models/User.js';
+import Presence from '../src/models/Presence.js';
+import Typing from '../src/models/Typing.js';
+import { heartbeat, setTypingStatus, groupPresence } from '../src/controllers/presenceController.js';
+import { onGroupEvent, EVENTS } from '../src/utils/groupEvents.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { matches, applyUpdate } from './helpers/store.js';
+
+const [alice, bob, outsider] = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+let group;
+let users;
+let presence;
+let typing;
+let typingEvents;
+let unsubscribe;
+
+const as = userId => ({ id: userId.toString() });
+const beat = (userId, status) => invoke(heartbeat, { body: status ? { status } : {}, user: as(userId) });
+const type = (userId, body = {}) => invoke(setTypingStatus, { params: { groupId: group._id.toString() }, body, user: as(userId) });
+const snapshot = userId => invoke(groupPresence, { params: { groupId: group._id.toString() }, user: as(userId) });
+const statusOf = (res, userId) => res.body.members.find(m => m.user._id.equals(userId));
+
+// Push every stored row past its expiry, as if the TTL monitor had not run yet.
+const expire = rows => rows.forEach(r => { r.expiresAt = new Date(Date.now() - 1000); });
+
+before(() => {
+  mock.method(Group, 'findById', () => query(group));
+
+  mock.method(User, 'updateMany', async (filter, update) => {
+    users.filter(u => matches(u, filter)).forEach(u => applyUpdate(u, update));
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'find', filter => query(users.filter(u => matches(u, filter))));
+
+  mock.method(Presence, 'deleteMany', async filter => {
+    presence = presence.filter(p => !matches(p, filter));
+    return { deletedCount: 1 };
+  });
+  mock.method(Presence, 'bulkWrite', async ops => {
+    for (const { updateOne: { filter, update } } of ops) {
+      const row = presence.find(p => matches(p, filter)) ?? presence[presence.push({ ...filter }) - 1];
+      applyUpdate(row, update);
+    }
+    return {};
+  });
+  mock.method(Presence, 'find', filter => query(presence.filter(p => matches(p, filter))));
+
+  mock.method(Typing, 'deleteOne', async filter => {
+    const before = typing.length;
+    typing = typing.filter(t => !matches(t, filter));
+    return { deletedCount: before - typing.length };
+  });
+  // upsert, returning the row as it was before the update (new: false)
+  mock.method(Typing, 'findOneAndUpdate', (filter, update) => {
+    const row = typing.find(t => matches(t, filter));
+    const previous = row && { ...row };
+    applyUpdate(row ?? typing[typing.push({ ...filter }) - 1], update);
+    return query(previous ?? null);
+  });
+  mock.method(Typing, 'find', filter => query(typing.filter(t => matches(t, filter))));
+
+  unsubscribe = onGroupEvent(event => {
+    if (event.type === EVENTS.MEMBER_TYPING) typingEvents.push(event.data);
+  });
+});
+
+beforeEach(() => {
+  group = new Group({ name: 'team', type: 'private', owner: alice, members: [alice, bob] });
+  users = [alice, bob, outsider].map(_id => ({ _id, email: `${_id}@example.com`, lastSeenAt: null }));
+  presence = [];
+  typing = [];
+  typingEvents = [];
+});
+
+after(() => {
+  unsubscribe();
+  mock.restoreAll();
+});
+
+test('heartbeats set online or idle, and going offline keeps the last-seen time', async () => {
+  assert.deepEqual((await beat(alice)).body, { status: 'online' });
+  await beat(bob, 'idle');
+
+  let res = await snapshot(alice);
+  assert.equal(res.status, 200);
+  assert.equal(statusOf(res, alice).status, 'online');
+  assert.equal(statusOf(res, bob).status, 'idle');
+  assert.equal(res.body.members.length, 2, 'only members are listed');
+
+  await beat(bob, 'offline');
+  res = await snapshot(alice);
+  assert.equal(statusOf(res, bob).status, 'offline');
+  assert.ok(statusOf(res, bob).lastSeenAt instanceof Date);
+
+  assert.equal((await beat(alice, 'away')).status, 400);
+});
+
+test('expired rows read as offline and not typing before the TTL monitor removes them', async () => {
+  await beat(alice);
+  await type(bob);
+  assert.deepEqual((await snapshot(alice)).body.typing.map(String), [bob.toString()]);
+
+  expire(presence);
+  expire(typing);
+  const res = await snapshot(alice);
+  assert.equal(statusOf(res, alice).status, 'offline');
+  assert.ok(statusOf(res, alice).lastSeenAt instanceof Date);
+  assert.deepEqual(res.body.typing, []);
+});
+
+test('typing events fire only when the state changes', async () => {
+  await type(bob);
+  await type(bob);
+  await type(bob, { typing: false });
+  await type(bob, { typing: false });
+  assert.deepEqual(typingEvents.map(e => e.typing), [true, false]);
+
+  // A refresh after the flag expired starts typing again.
+  await type(bob);
+  expire(typing);
+  await type(bob);
+  assert.deepEqual(typingEvents.map(e => e.typing), [true, false, true, true]);
+  assert.ok(typingEvents.every(e => e.userId === bob.toString()));
+});
+
+test('non-members can neither see a group\'s presence nor type in it', async () => {
+  await beat(alice);
+
+  assert.equal((await snapshot(outsider)).status, 403);
+  assert.equal((await type(outsider)).status, 403);
+  assert.deepEqual(typing, []);
+  assert.deepEqual(typingEvents, []);
+
+  const invalid = await invoke(groupPresence, { params: { groupId: 'nope' }, user: as(alice) });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,86 @@
+// test/rateLimit.test.js
+// Routes that name the same budget draw from one counter (memory store),
+// attachment chunk uploads have a budget of their own, and budgets are read
+// from env when first used rather than when routes are declared.
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import { rateLimitFor } from '../src/middleware/rateLimit.js';
+import messageRoutes from '../src/routes/messages.js';
+
+let server;
+let base;
+
+before(async () => {
+  process.env.RATE_LIMIT_ACCOUNT_EMAIL = '2/60';
+  process.env.RATE_LIMIT_UPLOAD_CHUNK = '1/60';
+  process.env.JWT_SECRET = 'test-secret';
+  mock.method(Session, 'exists', async () => ({ _id: 'sid' }));
+
+  const app = express();
+  app.post('/verify', rateLimitFor('accountEmail'), (req, res) => res.json({ ok: true }));
+  app.post('/forgot', rateLimitFor('accountEmail'), (req, res) => res.json({ ok: true }));
+  app.post('/login', rateLimitFor('login'), (req, res) => res.json({ ok: true }));
+  app.use('/messages', messageRoutes);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('a budget is shared by every route that uses it', async () => {
+  assert.equal((await fetch(`${base}/verify`, { method: 'POST' })).status, 200);
+  assert.equal((await fetch(`${base}/forgot`, { method: 'POST' })).status, 200);
+
+  const limited = await fetch(`${base}/verify`, { method: 'POST' });
+  assert.equal(limited.status, 429);
+  assert.ok(limited.headers.get('retry-after'));
+  assert.equal((await fetch(`${base}/forgot`, { method: 'POST' })).status, 429);
+
+  // Other budgets are unaffected.
+  assert.equal((await fetch(`${base}/login`, { method: 'POST' })).status, 200);
+});
+
+test('attachment chunk uploads are limited per user', async () => {
+  const token = jwt.sign(
+    { sub: new mongoose.Types.ObjectId().toString(), sid: new mongoose.Types.ObjectId().toString() },
+    'test-secret'
+  );
+  // An invalid group id is answered by the controller without touching the database.
+  const put = () => fetch(`${base}/messages/not-an-id/attachments/not-an-id/chunks/0`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/octet-stream' },
+    body: Buffer.alloc(16),
+  });
+
+  assert.equal((await put()).status, 400);
+  assert.equal((await put()).status, 429);
+});
+
+test('budget env is read on first use, not when the route is declared', async () => {
+  process.env.RATE_LIMIT_TYPING = 'not-loaded-yet';
+  const app = express();
+  app.post('/typing', rateLimitFor('typing'), (req, res) => res.json({ ok: true }));
+  assert.throws(() => rateLimitFor('noSuchBudget'), /Unknown rate limit budget/);
+
+  // e.g. dotenv runs after the routes were imported
+  process.env.RATE_LIMIT_TYPING = '1/60';
+  const local = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => local.once('listening', resolve));
+  try {
+    const url = `http://127.0.0.1:${local.address().port}/typing`;
+    assert.equal((await fetch(url, { method: 'POST' })).status, 200);
+    assert.equal((await fetch(url, { method: 'POST' })).status, 429);
+  } finally {
+    await new Promise(resolve => local.close(resolve));
+  }
+});
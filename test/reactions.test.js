@@ -0,0 +1,143 @@
+// test/reactions.test.js
+// Emoji reactions: one per user per emoji per message, listings aggregate
+// counts and flag the caller's own, only members react, and banishing a
+// member removes their reactions.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Reaction from '../src/models/Reaction.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { encryptMessage } from '../src/utils/crypto.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import { addReaction, removeReaction, listMessages } from '../src/controllers/messageController.js';
+import { banishMember } from '../src/controllers/groupController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn, matches } from './helpers/store.js';
+
+const [owner, alice, bob, outsider] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+let group;
+let message;
+let reactions;
+
+const params = extra => ({ groupId: group._id.toString(), messageId: message._id.toString(), ...extra });
+const react = (userId, emoji) => invoke(addReaction, { params: params(), body: { emoji }, user: { id: userId.toString() } });
+const unreact = (userId, emoji) => invoke(removeReaction, { params: params({ emoji }), user: { id: userId.toString() } });
+
+async function summaryFor(userId) {
+  const res = await invoke(listMessages, { params: { groupId: group._id.toString() }, user: { id: userId.toString() } });
+  return res.body.items[0].reactions;
+}
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Group.prototype, 'save', async function save() { return this; });
+  mock.method(Group, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(AuditEvent, 'findOne', () => query(null));
+  mock.method(AuditEvent.prototype, 'save', async function save() { return this; });
+
+  mock.method(Message, 'findOne', filter => query(matches(message, filter) ? Message.hydrate({ ...message }) : null));
+  mock.method(Message, 'find', filter => findIn([message], filter));
+  mock.method(Message, 'aggregate', async () => []);
+
+  mock.method(Reaction, 'updateOne', async (filter, update) => {
+    if (reactions.some(r => matches(r, filter))) return { upsertedCount: 0 };
+    reactions.push({ ...filter, ...update.$setOnInsert, createdAt: new Date() });
+    return { upsertedCount: 1 };
+  });
+  mock.method(Reaction, 'deleteOne', async filter => {
+    const before = reactions.length;
+    reactions = reactions.filter(r => !matches(r, filter));
+    return { deletedCount: before - reactions.length };
+  });
+  mock.method(Reaction, 'deleteMany', async filter => {
+    const before = reactions.length;
+    reactions = reactions.filter(r => !matches(r, filter));
+    return { deletedCount: before - reactions.length };
+  });
+  // [{ $match }, { $group: by (message, emoji), count, me, first }, { $sort: { first: 1 } }]
+  mock.method(Reaction, 'aggregate', async ([{ $match }, { $group }]) => {
+    const viewer = $group.me.$max.$eq[1];
+    const rows = new Map();
+    for (const r of reactions.filter(x => matches(x, $match))) {
+      const key = `${r.message}:${r.emoji}`;
+      const row = rows.get(key) ?? { _id: { message: r.message, emoji: r.emoji }, count: 0, me: false, first: r.createdAt };
+      row.count += 1;
+      row.me ||= String(r.user) === String(viewer);
+      rows.set(key, row);
+    }
+    return [...rows.values()].sort((a, b) => a.first - b.first);
+  });
+});
+
+beforeEach(async () => {
+  group = new Group({ name: 'team', type: 'private', owner, members: [owner, alice, bob], wrappedKey: newWrappedGroupKey() });
+  message = {
+    _id: new mongoose.Types.ObjectId(),
+    group: group._id,
+    sender: owner,
+    payload: encryptMessage('ship it?', await getGroupKey(group)),
+    createdAt: new Date(),
+    deletedAt: null,
+    expiresAt: null,
+  };
+  reactions = [];
+});
+
+after(() => mock.restoreAll());
+
+test('an emoji counts once per user; listings aggregate and flag the caller', async () => {
+  assert.equal((await react(alice, '👍')).status, 201);
+  const again = await react(alice, '👍');
+  assert.deepEqual({ status: again.status, added: again.body.added }, { status: 200, added: false });
+  await react(bob, '👍');
+  await react(bob, '🎉');
+
+  assert.deepEqual(await summaryFor(alice), [
+    { emoji: '👍', count: 2, me: true },
+    { emoji: '🎉', count: 1, me: false },
+  ]);
+  assert.deepEqual((await summaryFor(owner)).map(r => r.me), [false, false]);
+});
+
+test('removing a reaction takes back only the caller\'s own', async () => {
+  await react(alice, '👍');
+  await react(bob, '👍');
+
+  assert.equal((await unreact(alice, '👍')).body.removed, true);
+  assert.equal((await unreact(alice, '👍')).body.removed, false);
+  assert.deepEqual(await summaryFor(bob), [{ emoji: '👍', count: 1, me: true }]);
+});
+
+test('only members react, with a single emoji, on live messages', async () => {
+  assert.equal((await react(outsider, '👍')).status, 403);
+
+  const text = await react(alice, 'lol');
+  assert.equal(text.status, 400);
+  assert.ok(text.body.errors.every(e => e.field === 'emoji'));
+
+  message.deletedAt = new Date();
+  assert.equal((await react(alice, '👍')).status, 410);
+  assert.deepEqual(reactions, []);
+});
+
+test('banishing a member removes their reactions', async () => {
+  await react(alice, '👍');
+  await react(bob, '👍');
+  await react(bob, '🎉');
+
+  const res = await invoke(banishMember, {
+    params: { groupId: group._id.toString() },
+    body: { userId: bob.toString() },
+    user: { id: owner.toString() },
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(reactions.map(r => [String(r.user), r.emoji]), [[alice.toString(), '👍']]);
+});
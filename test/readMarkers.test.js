@@ -0,0 +1,150 @@
+// test/readMarkers.test.js
+// Read receipts: the server-side read marker only moves forward and drives
+// unread counts (own messages never count), members can see who read a
+// message, and groups can turn receipts off without losing unread counts.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import ReadMarker from '../src/models/ReadMarker.js';
+import { markRead, listReaders, pollEvents } from '../src/controllers/messageController.js';
+import { myGroups } from '../src/controllers/groupController.js';
+import { onGroupEvent, EVENTS } from '../src/utils/groupEvents.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn, matches, applyUpdate, sortBy } from './helpers/store.js';
+
+const [owner, alice, bob, outsider] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+const emails = new Map([[owner, 'owner'], [alice, 'alice'], [bob, 'bob']].map(([id, name]) => [id.toString(), `${name}@example.com`]));
+let group;
+let messages;
+let markers;
+let reads;
+let unsubscribe;
+
+const as = userId => ({ id: userId.toString() });
+const read = (userId, message) => invoke(markRead, {
+  params: { groupId: group._id.toString() },
+  body: message ? { messageId: message._id.toString() } : {},
+  user: as(userId),
+});
+const readers = async message => {
+  const res = await invoke(listReaders, {
+    params: { groupId: group._id.toString(), messageId: message._id.toString() },
+    user: as(owner),
+  });
+  return res.status === 200 ? res.body.readers.map(r => r.user.email) : res.status;
+};
+const unreadFor = async userId => (await invoke(myGroups, { query: {}, user: as(userId) })).body.items[0].unreadCount;
+
+before(() => {
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Group, 'find', filter => findIn([group], filter));
+
+  // Messages are stored oldest first, so the last hit is the newest one.
+  mock.method(Message, 'findOne', filter => query(messages.filter(m => matches(m, filter)).at(-1) ?? null));
+  mock.method(Message, 'countDocuments', async (filter, { limit } = {}) => (
+    Math.min(messages.filter(m => matches(m, filter)).length, limit ?? Infinity)
+  ));
+
+  mock.method(ReadMarker, 'findOneAndUpdate', async (filter, update) => {
+    const hit = markers.find(m => matches(m, filter));
+    return hit ? applyUpdate(hit, update) : null;
+  });
+  mock.method(ReadMarker, 'create', async doc => {
+    if (markers.some(m => m.group.equals(doc.group) && String(m.user) === String(doc.user))) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const marker = { ...doc, user: new mongoose.Types.ObjectId(doc.user) };
+    markers.push(marker);
+    return marker;
+  });
+  mock.method(ReadMarker, 'findOne', filter => query(markers.find(m => matches(m, filter)) ?? null));
+  // populate('user', 'email') is resolved here.
+  mock.method(ReadMarker, 'find', filter => query(
+    sortBy(markers.filter(m => matches(m, filter)), { readAt: 1 })
+      .map(m => ({ ...m, user: { _id: m.user, email: emails.get(m.user.toString()) } }))
+  ));
+
+  unsubscribe = onGroupEvent(event => {
+    if (event.type === EVENTS.MESSAGES_READ) reads.push(event.data.userId);
+  });
+});
+
+beforeEach(() => {
+  group = new Group({ name: 'team', type: 'private', owner, members: [owner, alice, bob], createdAt: new Date() });
+  const base = Date.now() - 60_000;
+  messages = [owner, bob, alice, owner].map((sender, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    group: group._id,
+    sender,
+    createdAt: new Date(base + i * 1000),
+    deletedAt: null,
+    expiresAt: null,
+  }));
+  markers = [];
+  reads = [];
+});
+
+after(() => {
+  unsubscribe();
+  mock.restoreAll();
+});
+
+test('the read marker only moves forward and drives unread counts', async () => {
+  const [m0, m1, , m3] = messages;
+  assert.equal(await unreadFor(alice), 3, 'her own message never counts');
+
+  const first = await read(alice, m1);
+  assert.equal(first.status, 200);
+  assert.ok(first.body.lastReadMessage.equals(m1._id));
+  assert.equal(first.body.unreadCount, 1);
+
+  // A stale device marking an older message leaves the marker where it is.
+  const stale = await read(alice, m0);
+  assert.ok(stale.body.lastReadMessage.equals(m1._id));
+  assert.equal(markers.length, 1);
+
+  const all = await read(alice);
+  assert.ok(all.body.lastReadMessage.equals(m3._id));
+  assert.equal(all.body.unreadCount, 0);
+  assert.equal(await unreadFor(alice), 0);
+  assert.equal(await unreadFor(bob), 3);
+
+  const polled = await invoke(pollEvents, { params: { groupId: group._id.toString() }, query: {}, user: as(alice) });
+  assert.deepEqual({ unread: polled.body.unreadCount, last: String(polled.body.lastReadMessage) }, { unread: 0, last: m3._id.toString() });
+  assert.deepEqual(reads, [alice.toString(), alice.toString()], 'no event when the marker stays put');
+});
+
+test('readers are the members at or past a message, never its sender', async () => {
+  const [m0, m1, m2] = messages;
+  await read(alice, m1);
+  await read(bob);
+
+  assert.deepEqual(await readers(m0), ['alice@example.com', 'bob@example.com']);
+  assert.deepEqual(await readers(m1), ['alice@example.com']);
+  assert.deepEqual(await readers(m2), ['bob@example.com']);
+});
+
+test('with receipts off unread counts still work but nobody sees who read', async () => {
+  group.settings.readReceipts = false;
+
+  const res = await read(alice);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.unreadCount, 0);
+  assert.deepEqual(reads, []);
+  assert.equal(await readers(messages[0]), 403);
+});
+
+test('only members mark messages read, and only messages of the group', async () => {
+  assert.equal((await read(outsider)).status, 403);
+  assert.equal((await read(alice, { _id: new mongoose.Types.ObjectId() })).status, 404);
+
+  const invalid = await invoke(markRead, { params: { groupId: group._id.toString() }, body: { messageId: 'nope' }, user: as(alice) });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.errors.map(e => e.field), ['messageId']);
+  assert.deepEqual(markers, []);
+});
@@ -0,0 +1,141 @@
+// test/reencrypt.test.js
+// Key-rotation job: an undecryptable data key is recorded and skipped instead
+// of aborting the run, the lease keeps being extended while data keys are
+// re-wrapped, and a crashed run resumes from its cursor.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Conversation from '../src/models/Conversation.js';
+import Message from '../src/models/Message.js';
+import User from '../src/models/User.js';
+import JobState from '../src/models/JobState.js';
+import { encryptMessage, unwrapDataKey } from '../src/utils/crypto.js';
+import { newWrappedGroupKey } from '../src/utils/groupKeys.js';
+import { runReencryption } from '../src/jobs/reencryptMessages.js';
+import { LEASE_MS } from '../src/jobs/jobLease.js';
+import { query } from './helpers/query.js';
+
+const BATCH = 2;
+let groups;
+let messages;
+let state;
+let leaseDuringRewrap;
+let failBulkWrite;
+let finds;
+
+const key = () => crypto.randomBytes(16).toString('base64');
+
+before(() => {
+  process.env.AES_KEYRING = `1:${key()},2:${key()}`;
+
+  mock.method(JobState, 'updateOne', async () => ({}));
+  mock.method(JobState, 'findOneAndUpdate', async (filter, update) => {
+    const held = state.status === 'running' && state.leaseUntil > filter.$or[1].leaseUntil.$lt;
+    if (held) return null;
+    state.set(update.$set);
+    return state;
+  });
+  mock.method(JobState.prototype, 'save', async function save() { return this; });
+
+  // Re-wrap phase: time passes between groups, so the lease runs low.
+  mock.method(Group, 'find', () => ({
+    select: () => ({
+      lean: () => ({
+        cursor: async function* groupCursor() {
+          for (const g of groups) {
+            state.leaseUntil = new Date(Date.now() + 1000);
+            yield { ...g };
+          }
+        },
+      }),
+    }),
+  }));
+  mock.method(Group, 'findById', id => query(groups.find(g => g._id.equals(id)) ?? null));
+  mock.method(Group, 'updateOne', async (filter, update) => {
+    leaseDuringRewrap.push(state.leaseUntil.getTime() - Date.now());
+    const g = groups.find(x => x._id.equals(filter._id) && x.wrappedKey === filter.wrappedKey);
+    if (g) Object.assign(g, update.$set);
+    return { modifiedCount: g ? 1 : 0 };
+  });
+  mock.method(Conversation, 'find', () => query([]));
+  mock.method(User, 'find', () => query([]));
+
+  mock.method(Message, 'estimatedDocumentCount', async () => messages.length);
+  mock.method(Message, 'find', filter => {
+    finds.push(filter);
+    const after = filter._id?.$gt;
+    return query(messages.filter(m => !after || m._id > after).slice(0, BATCH).map(m => ({ ...m })));
+  });
+  mock.method(Message, 'bulkWrite', async ops => {
+    if (failBulkWrite?.()) throw new Error('write failed');
+    for (const { updateOne: { filter, update } } of ops) {
+      const m = messages.find(x => x._id.equals(filter._id) && x.payload === filter.payload);
+      if (m) Object.assign(m, update.$set);
+    }
+    return { modifiedCount: ops.length };
+  });
+});
+
+beforeEach(() => {
+  process.env.AES_CURRENT_KEY_ID = '1';
+  const good = { _id: new mongoose.Types.ObjectId(), wrappedKey: newWrappedGroupKey() };
+  const broken = { _id: new mongoose.Types.ObjectId(), wrappedKey: crypto.randomBytes(48).toString('base64') };
+  groups = [broken, good];
+  // v1 payloads (under keyring key 1) written before per-group keys.
+  messages = Array.from({ length: 5 }, () => ({
+    _id: new mongoose.Types.ObjectId(),
+    group: good._id,
+    payload: encryptMessage('hello'),
+  }));
+  process.env.AES_CURRENT_KEY_ID = '2';
+
+  state = new JobState({ name: 'reencrypt-messages' });
+  leaseDuringRewrap = [];
+  failBulkWrite = null;
+  finds = [];
+});
+
+after(() => {
+  mock.restoreAll();
+  delete process.env.AES_KEYRING;
+  delete process.env.AES_CURRENT_KEY_ID;
+});
+
+test('an undecryptable data key is recorded and skipped; the rest is migrated', async () => {
+  const [broken, good] = groups;
+  const result = await runReencryption({ batchSize: BATCH });
+
+  assert.equal(result.status, 'completed');
+  assert.equal(result.failed, 1);
+  assert.deepEqual(result.failures.map(f => [f.kind, f.id.toString()]), [['Group', broken._id.toString()]]);
+  assert.equal(unwrapDataKey(good.wrappedKey).keyId, 2);
+  assert.equal(result.migrated, messages.length);
+});
+
+test('the lease is extended while data keys are re-wrapped', async () => {
+  await runReencryption({ batchSize: BATCH });
+
+  assert.equal(leaseDuringRewrap.length, 1);
+  assert.ok(leaseDuringRewrap[0] > LEASE_MS / 2, `lease had ${leaseDuringRewrap[0]}ms left`);
+});
+
+test('a crashed run resumes after its last saved batch without recounting failures', async () => {
+  let writes = 0;
+  failBulkWrite = () => ++writes === 2;
+  await assert.rejects(runReencryption({ batchSize: BATCH }), /write failed/);
+  assert.equal(state.status, 'failed');
+  const savedCursor = state.cursor;
+  assert.ok(savedCursor.equals(messages[BATCH - 1]._id));
+
+  finds = [];
+  const result = await runReencryption({ batchSize: BATCH });
+  assert.equal(result.status, 'completed');
+  assert.ok(finds[0]._id.$gt.equals(savedCursor), 'resumed from the saved cursor');
+  assert.equal(result.processed, messages.length);
+  assert.equal(result.migrated, messages.length);
+  assert.equal(result.failed, 1);
+});
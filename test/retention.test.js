@@ -0,0 +1,70 @@
+// test/retention.test.js
+// Expired messages are hidden from reads before the sweeper deletes them,
+// without losing the cursor conditions of the page being read.
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import { newWrappedGroupKey } from '../src/utils/groupKeys.js';
+import { encodeCursor } from '../src/utils/cursor.js';
+import { messageExpiry, notExpired } from '../src/utils/retention.js';
+import { listMessages } from '../src/controllers/messageController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+
+const memberId = new mongoose.Types.ObjectId();
+let group;
+let filters;
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+  group = {
+    _id: new mongoose.Types.ObjectId(),
+    owner: memberId,
+    members: [memberId],
+    settings: { retention: { mode: 'hours', value: 2 } },
+    wrappedKey: newWrappedGroupKey(),
+  };
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Message, 'find', filter => {
+    filters.push(filter);
+    return query([]);
+  });
+});
+
+after(() => mock.restoreAll());
+
+test('messageExpiry counts from createdAt', () => {
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+  assert.deepEqual(messageExpiry(group, createdAt), new Date('2026-01-01T02:00:00Z'));
+  assert.equal(messageExpiry({ settings: {} }, createdAt), null);
+});
+
+test('listing a page keeps the cursor filter and adds the expiry filter', async () => {
+  filters = [];
+  const before = encodeCursor({ _id: new mongoose.Types.ObjectId(), createdAt: new Date() });
+  const res = await invoke(listMessages, {
+    params: { groupId: group._id.toString() },
+    query: { before },
+    user: { id: memberId.toString() },
+  });
+  assert.equal(res.status, 200);
+
+  const [{ $and: [page, expiry] }] = filters;
+  assert.equal(page.group, group._id);
+  assert.equal(page.$or.length, 2, 'cursor condition kept');
+  assert.deepEqual(Object.keys(expiry), ['$or']);
+  assert.deepEqual(expiry.$or[0], { expiresAt: null });
+  assert.ok(expiry.$or[1].expiresAt.$gt instanceof Date);
+});
+
+test('notExpired matches unstamped and future messages only', () => {
+  const now = new Date();
+  const { $or: [never, later] } = notExpired(now);
+  assert.deepEqual(never, { expiresAt: null });
+  assert.equal(later.expiresAt.$gt, now);
+});
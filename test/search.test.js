@@ -0,0 +1,156 @@
+// test/search.test.js
+// Blind-index search: sent and edited messages are found by whole words
+// (case and accents aside) through HMAC tokens rather than plaintext, tokens
+// differ per group, only members search, and the backfill job indexes older
+// messages once.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Reaction from '../src/models/Reaction.js';
+import JobState from '../src/models/JobState.js';
+import { encryptMessage } from '../src/utils/crypto.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import { blindTokens } from '../src/utils/blindIndex.js';
+import { sendMessage, editMessage, searchMessages } from '../src/controllers/messageController.js';
+import { runSearchBackfill } from '../src/jobs/backfillSearchIndex.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn, matches, applyUpdate } from './helpers/store.js';
+
+const [memberId, outsider] = Array.from({ length: 2 }, () => new mongoose.Types.ObjectId());
+let groups;
+let group;
+let messages;
+let state;
+
+const as = userId => ({ id: userId.toString(), email: 'member@example.com' });
+const send = async text => {
+  const res = await invoke(sendMessage, { params: { groupId: group._id.toString() }, body: { text }, user: as(memberId) });
+  return messages.find(m => m._id.equals(res.body.id));
+};
+const search = (q, userId = memberId) => invoke(searchMessages, {
+  params: { groupId: group._id.toString() },
+  query: { q },
+  user: as(userId),
+});
+const found = async q => (await search(q)).body.items.map(m => m.text);
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  mock.method(Group, 'findById', id => query(groups.find(g => g._id.equals(id)) ?? null));
+  mock.method(Message, 'create', async doc => {
+    const created = { deletedAt: null, editedAt: null, ...doc };
+    messages.push(created);
+    return created;
+  });
+  mock.method(Message, 'findOne', filter => {
+    const hit = messages.find(m => matches(m, filter));
+    return query(hit ? Message.hydrate({ ...hit }) : null);
+  });
+  mock.method(Message, 'find', filter => findIn(messages, filter));
+  mock.method(Message, 'updateOne', async (filter, update) => {
+    const hit = messages.find(m => matches(m, filter));
+    if (hit) applyUpdate(hit, update);
+    return { modifiedCount: hit ? 1 : 0 };
+  });
+  mock.method(Message, 'aggregate', async () => []);
+  mock.method(Reaction, 'aggregate', async () => []);
+
+  mock.method(Message, 'estimatedDocumentCount', async () => messages.length);
+  mock.method(Message, 'bulkWrite', async ops => {
+    let modifiedCount = 0;
+    for (const { updateOne: { filter, update } } of ops) {
+      const hit = messages.find(m => matches(m, filter));
+      if (hit) applyUpdate(hit, update);
+      modifiedCount += hit ? 1 : 0;
+    }
+    return { modifiedCount };
+  });
+  mock.method(JobState, 'updateOne', async () => ({}));
+  mock.method(JobState, 'findOneAndUpdate', async (filter, update) => state.set(update.$set));
+  mock.method(JobState.prototype, 'save', async function save() { return this; });
+});
+
+beforeEach(() => {
+  process.env.BLIND_INDEX_KEY_BASE64 = crypto.randomBytes(32).toString('base64');
+  group = new Group({ name: 'team', type: 'private', owner: memberId, members: [memberId], wrappedKey: newWrappedGroupKey() });
+  groups = [group];
+  messages = [];
+  state = new JobState({ name: 'backfill-search-index' });
+});
+
+after(() => {
+  mock.restoreAll();
+  delete process.env.BLIND_INDEX_KEY_BASE64;
+});
+
+test('messages are found by whole words, newest first, without plaintext tokens', async () => {
+  const first = await send('Café meeting at NOON');
+  await send('lunch at noon?');
+
+  assert.deepEqual(await found('noon'), ['lunch at noon?', 'Café meeting at NOON']);
+  assert.deepEqual(await found('cafe MEETING'), ['Café meeting at NOON'], 'every term must match');
+  assert.deepEqual(await found('meet'), [], 'whole words only');
+
+  assert.ok(first.searchKey);
+  assert.ok(!first.searchTokens.some(t => /cafe|meeting|noon/i.test(t)));
+});
+
+test('an edit re-indexes the message under its new text', async () => {
+  const msg = await send('draft agenda');
+  const edited = await invoke(editMessage, {
+    params: { groupId: group._id.toString(), messageId: msg._id.toString() },
+    body: { text: 'final agenda' },
+    user: as(memberId),
+  });
+  assert.equal(edited.status, 200);
+
+  assert.deepEqual(await found('draft'), []);
+  assert.deepEqual(await found('final'), ['final agenda']);
+});
+
+test('tokens are group-scoped and change with the index key', () => {
+  const other = new mongoose.Types.ObjectId();
+  const [here] = blindTokens(group._id, 'secret');
+  assert.notEqual(blindTokens(other, 'secret')[0], here);
+
+  process.env.BLIND_INDEX_KEY_BASE64 = crypto.randomBytes(32).toString('base64');
+  assert.notEqual(blindTokens(group._id, 'secret')[0], here);
+});
+
+test('only members search, terms need two characters, and search needs its key', async () => {
+  await send('hello there');
+
+  assert.equal((await search('hello', outsider)).status, 403);
+  assert.equal((await search('a')).status, 400);
+  assert.equal((await search('')).status, 400);
+
+  delete process.env.BLIND_INDEX_KEY_BASE64;
+  assert.equal((await search('hello')).status, 503);
+  const unindexed = await send('no index');
+  assert.equal(unindexed.searchTokens, undefined);
+});
+
+test('the backfill indexes older messages once, skipping tombstones and deleted groups', async () => {
+  const key = await getGroupKey(group);
+  const old = text => ({ _id: new mongoose.Types.ObjectId(), group: group._id, payload: encryptMessage(text, key), createdAt: new Date(), deletedAt: null, expiresAt: null });
+  const gone = { ...old('orphaned notes'), group: new mongoose.Types.ObjectId() };
+  const tombstone = { ...old('x'), payload: undefined, deletedAt: new Date() };
+  messages.push(old('quarterly report'), tombstone, gone, old('report draft'));
+
+  assert.deepEqual(await found('report'), []);
+  const result = await runSearchBackfill({ batchSize: 2 });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual({ processed: result.processed, indexed: result.migrated }, { processed: 4, indexed: 2 });
+  assert.deepEqual(await found('report'), ['report draft', 'quarterly report']);
+  assert.equal(gone.searchTokens, undefined);
+  assert.equal(tombstone.searchTokens, undefined);
+
+  assert.equal((await runSearchBackfill({ batchSize: 2 })).migrated, 0, 'already indexed under this key');
+});
@@ -0,0 +1,133 @@
+// test/sessions.test.js
+// Sessions: access tokens die with their session (logout-all, refresh-token
+// reuse), and authRequired only answers 401 for authentication failures.
+// Model calls are served from an in-memory Session collection (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import { authRequired } from '../src/middleware/auth.js';
+import { createSession } from '../src/utils/session.js';
+import { refresh, logoutAll } from '../src/controllers/authController.js';
+import { invoke } from './helpers/controller.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com' };
+let sessions;
+let sessionStoreDown;
+
+// Just enough of Mongo's matching for the filters utils/session.js uses.
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, cond]) => {
+    const value = doc[field];
+    if (cond === null) return value == null;
+    if (cond.$gt !== undefined) return value > cond.$gt;
+    if (cond.$ne !== undefined) return !value.equals(cond.$ne);
+    if (Array.isArray(value)) return value.includes(cond);
+    return String(value) === String(cond);
+  });
+}
+
+function applyUpdate(doc, { $set = {}, $push = {} }) {
+  Object.assign(doc, $set);
+  for (const [field, { $each, $slice }] of Object.entries($push)) doc[field] = [...doc[field], ...$each].slice($slice);
+}
+
+// Run authRequired for a bearer token: { status } on rejection, { user } on success.
+async function authenticate(token) {
+  const out = {};
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    status(code) { out.status = code; return this; },
+    json(payload) { out.body = payload; return this; },
+  };
+  await authRequired(req, res, err => {
+    if (err) out.error = err;
+    else out.user = req.user;
+  });
+  return out;
+}
+
+const login = () => createSession(user, { get: () => 'test-agent', ip: '127.0.0.1' });
+
+before(() => {
+  process.env.JWT_SECRET = 'test-secret';
+
+  mock.method(Session, 'create', async doc => {
+    const session = { _id: new mongoose.Types.ObjectId(), previousTokenHashes: [], revokedAt: null, ...doc };
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find(s => matches(s, filter));
+    if (session) applyUpdate(session, update);
+    return session ?? null;
+  });
+  mock.method(Session, 'exists', async filter => {
+    if (sessionStoreDown) throw new Error('connection refused');
+    return sessions.some(s => matches(s, filter)) ? { _id: filter._id } : null;
+  });
+  mock.method(Session, 'updateMany', async (filter, update) => {
+    const hit = sessions.filter(s => matches(s, filter));
+    hit.forEach(s => applyUpdate(s, update));
+    return { modifiedCount: hit.length };
+  });
+  mock.method(User, 'findById', async () => user);
+});
+
+beforeEach(() => {
+  sessions = [];
+  sessionStoreDown = false;
+});
+
+after(() => mock.restoreAll());
+
+test('authRequired accepts a live session and rejects bad tokens with 401', async () => {
+  const { token } = await login();
+  assert.equal((await authenticate(token)).user.id, user._id.toString());
+
+  assert.equal((await authenticate('not-a-jwt')).status, 401);
+  const expired = jwt.sign({ sub: 'x', sid: sessions[0]._id.toString() }, 'test-secret', { expiresIn: -10 });
+  assert.equal((await authenticate(expired)).status, 401);
+});
+
+test('authRequired passes session-store failures on instead of answering 401', async () => {
+  const { token } = await login();
+  sessionStoreDown = true;
+
+  const out = await authenticate(token);
+  assert.equal(out.status, undefined);
+  assert.match(out.error.message, /connection refused/);
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  const first = await login();
+  const rotated = await invoke(refresh, { body: { refreshToken: first.refreshToken } });
+  assert.equal(rotated.status, 200);
+  assert.equal((await authenticate(rotated.body.token)).user.id, user._id.toString());
+
+  // The old token shows up again: someone copied it.
+  const reuse = await invoke(refresh, { body: { refreshToken: first.refreshToken } });
+  assert.equal(reuse.status, 401);
+  assert.equal(sessions[0].revokedReason, 'refresh_token_reuse');
+
+  // Every token of the family is dead, including the legitimate latest pair.
+  assert.equal((await invoke(refresh, { body: { refreshToken: rotated.body.refreshToken } })).status, 401);
+  assert.equal((await authenticate(rotated.body.token)).status, 401);
+  assert.equal((await authenticate(first.token)).status, 401);
+});
+
+test('logout-all kills every outstanding access token', async () => {
+  const phone = await login();
+  const laptop = await login();
+  const caller = (await authenticate(laptop.token)).user;
+
+  const res = await invoke(logoutAll, { user: caller });
+  assert.equal(res.body.revoked, 2);
+
+  assert.equal((await authenticate(phone.token)).status, 401);
+  assert.equal((await authenticate(laptop.token)).status, 401);
+  assert.equal((await invoke(refresh, { body: { refreshToken: phone.refreshToken } })).status, 401);
+});
@@ -0,0 +1,93 @@
+// test/slowMode.test.js
+// Slow mode only uses up a member's slot when the message is actually stored.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Attachment from '../src/models/Attachment.js';
+import RateLimitHit from '../src/models/RateLimitHit.js';
+import { newWrappedGroupKey } from '../src/utils/groupKeys.js';
+import { sendMessage } from '../src/controllers/messageController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+
+const memberId = new mongoose.Types.ObjectId();
+let group;
+let hits;
+let failCreate;
+
+const send = body => invoke(sendMessage, {
+  params: { groupId: group._id.toString() },
+  body,
+  user: { id: memberId.toString(), email: 'member@example.com' },
+});
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  group = {
+    _id: new mongoose.Types.ObjectId(),
+    owner: new mongoose.Types.ObjectId(),
+    members: [memberId],
+    admins: [],
+    moderators: [],
+    settings: { slowModeSeconds: 60 },
+    wrappedKey: newWrappedGroupKey(),
+  };
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Attachment, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Message, 'create', async doc => {
+    if (failCreate) throw new Error('write failed');
+    return { ...doc };
+  });
+
+  // countHit / uncountHit against an in-memory RateLimitHit collection
+  mock.method(RateLimitHit, 'findOneAndUpdate', async ({ _id }) => {
+    const now = new Date();
+    const hit = hits.get(_id);
+    if (!hit || hit.resetAt <= now) hits.set(_id, { count: 1, resetAt: new Date(now.getTime() + 60_000) });
+    else hit.count += 1;
+    return { ...hits.get(_id) };
+  });
+  mock.method(RateLimitHit, 'updateOne', async ({ _id }, update) => {
+    const hit = hits.get(_id);
+    if (hit && hit.count > 0) hit.count += update.$inc.count;
+    return { modifiedCount: hit ? 1 : 0 };
+  });
+});
+
+beforeEach(() => {
+  hits = new Map();
+  failCreate = false;
+});
+
+after(() => mock.restoreAll());
+
+test('a stored message takes the slot; the next one waits', async () => {
+  assert.equal((await send({ text: 'first' })).status, 201);
+
+  const second = await send({ text: 'second' });
+  assert.equal(second.status, 429);
+  assert.ok(second.body.retryAfter > 0);
+  assert.equal(second.headers['retry-after'], String(second.body.retryAfter));
+});
+
+test('a send rejected for its attachments does not use up the slot', async () => {
+  const rejected = await send({ attachmentIds: [new mongoose.Types.ObjectId().toString()] });
+  assert.equal(rejected.status, 400);
+
+  assert.equal((await send({ text: 'after a bad attachment' })).status, 201);
+});
+
+test('a failed write does not use up the slot', async () => {
+  failCreate = true;
+  await assert.rejects(send({ text: 'lost' }), /write failed/);
+
+  failCreate = false;
+  assert.equal((await send({ text: 'retried' })).status, 201);
+});
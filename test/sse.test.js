@@ -0,0 +1,110 @@
+// test/sse.test.js
+// SSE stream: live messages that publish out of order are all delivered once,
+// Last-Event-ID never moves backwards, and resuming replays deleted messages
+// as `message.deleted`.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Reaction from '../src/models/Reaction.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import { encryptMessage } from '../src/utils/crypto.js';
+import { encodeCursor } from '../src/utils/cursor.js';
+import { publishGroupEvent, EVENTS } from '../src/utils/groupEvents.js';
+import { streamEvents } from '../src/controllers/messageController.js';
+import { query } from './helpers/query.js';
+
+const memberId = new mongoose.Types.ObjectId();
+let group;
+let stored = [];
+
+// Open a stream; `frames` holds the parsed SSE frames written so far.
+async function open(lastEventId) {
+  const req = Object.assign(new EventEmitter(), {
+    params: { groupId: group._id.toString() },
+    query: {},
+    user: { id: memberId.toString(), sid: 'sid' },
+    get: name => (name === 'Last-Event-ID' ? lastEventId : undefined),
+  });
+  const frames = [];
+  let frame = {};
+  const res = {
+    headersSent: false,
+    status() { return this; },
+    json(payload) { throw new Error(`unexpected response ${JSON.stringify(payload)}`); },
+    set() { return this; },
+    flushHeaders() { this.headersSent = true; },
+    write(chunk) {
+      const [, field, value] = chunk.match(/^(\w+): (.*)\n/) ?? [];
+      if (field === 'data') {
+        frames.push({ ...frame, data: JSON.parse(value) });
+        frame = {};
+      } else if (field) frame[field] = value;
+    },
+    end() {},
+  };
+  await streamEvents(req, res, err => { throw err; });
+  return { frames, close: () => req.emit('close') };
+}
+
+function message(createdAt, extra = {}) {
+  return { _id: new mongoose.Types.ObjectId(), group: group._id, sender: memberId, createdAt, ...extra };
+}
+
+before(async () => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+  group = {
+    _id: new mongoose.Types.ObjectId(),
+    owner: memberId,
+    members: [memberId],
+    wrappedKey: newWrappedGroupKey(),
+  };
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Message, 'find', () => query(stored));
+  mock.method(Message, 'aggregate', async () => []);
+  mock.method(Reaction, 'aggregate', async () => []);
+});
+
+after(() => mock.restoreAll());
+
+test('live messages published out of order are each delivered once', async () => {
+  const { frames, close } = await open();
+  const earlier = { id: new mongoose.Types.ObjectId(), createdAt: new Date(Date.now() - 1000) };
+  const later = { id: new mongoose.Types.ObjectId(), createdAt: new Date() };
+
+  publishGroupEvent(EVENTS.MESSAGE_CREATED, group._id, { message: later });
+  publishGroupEvent(EVENTS.MESSAGE_CREATED, group._id, { message: earlier });
+  publishGroupEvent(EVENTS.MESSAGE_CREATED, group._id, { message: later });
+  close();
+
+  const created = frames.filter(f => f.event === EVENTS.MESSAGE_CREATED);
+  assert.deepEqual(created.map(f => f.data.id), [later.id.toString(), earlier.id.toString()]);
+  assert.equal(created[0].id, encodeCursor(later));
+  assert.equal(created[1].id, undefined, 'Last-Event-ID stays at the furthest position');
+});
+
+test('resuming replays deleted messages as message.deleted', async () => {
+  const from = new Date(Date.now() - 60_000);
+  const deletedBy = new mongoose.Types.ObjectId();
+  const kept = message(new Date(from.getTime() + 1000), { payload: encryptMessage('hi', await getGroupKey(group)) });
+  const removed = message(new Date(from.getTime() + 2000), { deletedAt: new Date(), deletedBy });
+  stored = [kept, removed];
+
+  const { frames, close } = await open(encodeCursor({ _id: new mongoose.Types.ObjectId(), createdAt: from }));
+  // Already replayed: the live copy is not sent again.
+  publishGroupEvent(EVENTS.MESSAGE_CREATED, group._id, { message: { id: kept._id, createdAt: kept.createdAt } });
+  close();
+
+  const events = frames.filter(f => f.event?.startsWith('message.'));
+  assert.deepEqual(events.map(f => f.event), [EVENTS.MESSAGE_CREATED, EVENTS.MESSAGE_DELETED]);
+  assert.equal(events[0].data.text, 'hi');
+  assert.equal(events[1].id, encodeCursor(removed));
+  assert.equal(events[1].data.data.messageId.toString(), removed._id.toString());
+  assert.equal(events[1].data.data.by.toString(), deletedBy.toString());
+});
@@ -0,0 +1,40 @@
+// test/tarball.test.js
+// Streaming .tar.gz writer (data export): entries come out as ustar blocks, and
+// a client that goes away mid-download fails the export instead of leaving it
+// waiting for 'drain' forever.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { Writable } from 'stream';
+import { createTarGz } from '../src/utils/tarball.js';
+
+test('entries are written as ustar blocks followed by the end-of-archive marker', async () => {
+  const chunks = [];
+  const destination = new Writable({ write(chunk, encoding, callback) { chunks.push(chunk); callback(); } });
+  const tar = createTarGz(destination);
+
+  await tar.addFile('profile.json', '{"id":1}\n');
+  await tar.finish();
+
+  const archive = zlib.gunzipSync(Buffer.concat(chunks));
+  assert.equal(archive.length, 512 * 4);
+  assert.equal(archive.subarray(0, 12).toString(), 'profile.json');
+  assert.equal(archive.subarray(124, 135).toString(), '00000000011'); // size, octal
+  assert.equal(archive.subarray(257, 262).toString(), 'ustar');
+  assert.equal(archive.subarray(512, 521).toString(), '{"id":1}\n');
+  assert.ok(archive.subarray(1024).every(byte => byte === 0));
+});
+
+test('a destination that closes while a write waits for drain rejects', { timeout: 5000 }, async () => {
+  // A stalled client: nothing written is ever acknowledged.
+  const destination = new Writable({ highWaterMark: 1, write() {} });
+  const tar = createTarGz(destination);
+
+  const pending = tar.addFile('messages/big.json', crypto.randomBytes(4 << 20));
+  setTimeout(() => destination.destroy(), 50);
+
+  await assert.rejects(pending, { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+  await assert.rejects(tar.addFile('manifest.json', '{}'));
+});
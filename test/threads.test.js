@@ -0,0 +1,121 @@
+// test/threads.test.js
+// Threaded replies: replies hang off the thread's root whatever they answer,
+// listings carry reply counts and a short quoted preview, and replies to
+// deleted or other groups' messages are refused.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Message from '../src/models/Message.js';
+import Reaction from '../src/models/Reaction.js';
+import { encryptMessage } from '../src/utils/crypto.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import { sendMessage, listMessages, listThread } from '../src/controllers/messageController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+import { findIn, matches } from './helpers/store.js';
+
+const memberId = new mongoose.Types.ObjectId();
+let group;
+let messages;
+let root;
+
+const send = (text, replyTo) => invoke(sendMessage, {
+  params: { groupId: group._id.toString() },
+  body: { text, ...(replyTo && { replyTo: replyTo.toString() }) },
+  user: { id: memberId.toString(), email: 'member@example.com' },
+});
+
+const stored = id => messages.find(m => m._id.equals(id));
+
+before(() => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Message, 'create', async doc => {
+    const created = { deletedAt: null, editedAt: null, ...doc };
+    messages.push(created);
+    return created;
+  });
+  mock.method(Message, 'findOne', filter => {
+    const hit = messages.find(m => matches(m, filter));
+    return query(hit ? Message.hydrate({ ...hit }) : null);
+  });
+  mock.method(Message, 'find', filter => findIn(messages, filter));
+  mock.method(Message.prototype, 'populate', async function populate() { return this; });
+  // Reply counts: [{ $match }, { $group: { _id: '$threadRoot', count } }]
+  mock.method(Message, 'aggregate', async ([{ $match }]) => {
+    const counts = new Map();
+    for (const m of messages.filter(x => matches(x, $match))) {
+      counts.set(m.threadRoot.toString(), (counts.get(m.threadRoot.toString()) ?? 0) + 1);
+    }
+    return [...counts].map(([id, count]) => ({ _id: new mongoose.Types.ObjectId(id), count }));
+  });
+  mock.method(Reaction, 'aggregate', async () => []);
+});
+
+beforeEach(async () => {
+  group = new Group({ name: 'team', type: 'private', owner: memberId, members: [memberId], wrappedKey: newWrappedGroupKey() });
+  messages = [];
+  root = stored((await send('x'.repeat(200))).body.id);
+});
+
+after(() => mock.restoreAll());
+
+test('replies join the root thread, even when they answer another reply', async () => {
+  const first = (await send('first reply', root._id)).body;
+  const second = (await send('reply to the reply', first.id)).body;
+
+  assert.ok(first.threadRoot.equals(root._id));
+  assert.ok(second.threadRoot.equals(root._id));
+  assert.ok(stored(second.id).replyTo.equals(first.id));
+
+  // Any message of the thread resolves to its root.
+  const res = await invoke(listThread, {
+    params: { groupId: group._id.toString(), rootId: second.id.toString() },
+    user: { id: memberId.toString() },
+  });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.root.id.equals(root._id));
+  assert.deepEqual(res.body.items.map(m => m.text), ['first reply', 'reply to the reply']);
+});
+
+test('listings carry reply counts and a short quoted preview', async () => {
+  await send('one', root._id);
+  await send('two', root._id);
+
+  const res = await invoke(listMessages, { params: { groupId: group._id.toString() }, user: { id: memberId.toString() } });
+  const [top, reply] = res.body.items;
+  assert.equal(top.replyCount, 2);
+  assert.equal(top.replyTo, null);
+  assert.ok(reply.replyTo.id.equals(root._id));
+  assert.equal(reply.replyTo.preview, `${'x'.repeat(120)}…`);
+});
+
+test('replies to deleted or other groups\' messages are refused', async () => {
+  const elsewhere = {
+    _id: new mongoose.Types.ObjectId(),
+    group: new mongoose.Types.ObjectId(),
+    sender: memberId,
+    payload: encryptMessage('other group', await getGroupKey(group)),
+    createdAt: new Date(),
+    expiresAt: null,
+  };
+  messages.push(elsewhere);
+  const crossGroup = await send('hi', elsewhere._id);
+  assert.equal(crossGroup.status, 400);
+  assert.equal(crossGroup.body.error, 'Reply target not found in this group');
+
+  Object.assign(root, { deletedAt: new Date(), payload: undefined });
+  const toDeleted = await send('hi', root._id);
+  assert.equal(toDeleted.status, 400);
+  assert.equal(toDeleted.body.error, 'Cannot reply to a deleted message');
+
+  const invalid = await send('hi', 'not-an-id');
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.errors.map(e => e.field), ['replyTo']);
+  assert.equal(messages.length, 2, 'nothing was stored');
+});
@@ -0,0 +1,131 @@
+// test/twoFactor.test.js
+// 2FA login: a challenge logs in once, runs out after a few wrong codes, and
+// a TOTP code (time step) is never accepted twice.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import TwoFactorChallenge from '../src/models/TwoFactorChallenge.js';
+import { encryptMessage } from '../src/utils/crypto.js';
+import { generateTotpSecret, totpCode, currentStep, generateRecoveryCodes } from '../src/utils/totp.js';
+import { login } from '../src/controllers/authController.js';
+import { verifyTwoFactorLogin } from '../src/controllers/twoFactorController.js';
+import { invoke } from './helpers/controller.js';
+
+const MAX_ATTEMPTS = 5;
+let secret;
+let user;
+let recoveryCodes;
+let challenges;
+
+const startLogin = async () =>
+  (await invoke(login, { body: { email: user.email, password: 'correct horse' } })).body.challengeToken;
+const verify = body => invoke(verifyTwoFactorLogin, { body });
+
+// A well-formed code that matches none of the steps verifyTotp accepts now.
+function wrongCode() {
+  const valid = [-1, 0, 1].map(i => totpCode(secret, currentStep() + i));
+  return ['000000', '111111', '222222', '333333'].find(c => !valid.includes(c));
+}
+
+before(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+
+  mock.method(User, 'findOne', async () => user);
+  mock.method(User, 'findById', async () => user);
+  // lastUsedStep guard / recovery code $pull, as in acceptTotp / acceptRecoveryCode
+  mock.method(User, 'updateOne', async (filter, update) => {
+    const tf = user.twoFactor;
+    if (update.$pull) {
+      const hash = update.$pull['twoFactor.recoveryCodeHashes'];
+      if (!tf.recoveryCodeHashes.includes(hash)) return { modifiedCount: 0 };
+      tf.recoveryCodeHashes = tf.recoveryCodeHashes.filter(h => h !== hash);
+      return { modifiedCount: 1 };
+    }
+    const step = update.$set['twoFactor.lastUsedStep'];
+    if (tf.lastUsedStep != null && tf.lastUsedStep >= step) return { modifiedCount: 0 };
+    tf.lastUsedStep = step;
+    return { modifiedCount: 1 };
+  });
+  mock.method(Session, 'create', async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+  mock.method(TwoFactorChallenge, 'create', async doc => {
+    const challenge = { _id: new mongoose.Types.ObjectId(), attempts: 0, ...doc };
+    challenges.set(challenge._id.toString(), challenge);
+    return challenge;
+  });
+  mock.method(TwoFactorChallenge, 'findOneAndUpdate', async filter => {
+    const challenge = challenges.get(String(filter._id));
+    const usable = challenge && String(challenge.user) === filter.user &&
+      challenge.attempts < filter.attempts.$lt && challenge.expiresAt > filter.expiresAt.$gt;
+    if (!usable) return null;
+    challenge.attempts += 1;
+    return challenge;
+  });
+  mock.method(TwoFactorChallenge, 'deleteOne', async filter => ({
+    deletedCount: challenges.delete(String(filter._id)) ? 1 : 0,
+  }));
+});
+
+beforeEach(() => {
+  secret = generateTotpSecret();
+  const recovery = generateRecoveryCodes(2);
+  recoveryCodes = recovery.codes;
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'user@example.com',
+    validatePassword: async password => password === 'correct horse',
+    twoFactor: {
+      enabled: true,
+      secret: encryptMessage(secret),
+      lastUsedStep: null,
+      recoveryCodeHashes: recovery.hashes,
+    },
+  };
+  challenges = new Map();
+});
+
+after(() => mock.restoreAll());
+
+test('a challenge logs in once; replaying it fails even with another valid factor', async () => {
+  const challengeToken = await startLogin();
+
+  const first = await verify({ challengeToken, code: totpCode(secret) });
+  assert.equal(first.status, 200);
+  assert.ok(first.body.refreshToken);
+
+  const replay = await verify({ challengeToken, recoveryCode: recoveryCodes[0] });
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error, 'Invalid or expired challenge');
+});
+
+test('a challenge is locked after too many wrong codes', async () => {
+  const challengeToken = await startLogin();
+
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    const res = await verify({ challengeToken, code: wrongCode() });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Invalid code');
+  }
+
+  const locked = await verify({ challengeToken, code: totpCode(secret) });
+  assert.equal(locked.status, 401);
+  assert.equal(locked.body.error, 'Invalid or expired challenge');
+
+  // A fresh password step gets a fresh challenge.
+  assert.equal((await verify({ challengeToken: await startLogin(), code: totpCode(secret) })).status, 200);
+});
+
+test('a TOTP code cannot be used twice, even with a new challenge', async () => {
+  const code = totpCode(secret);
+  assert.equal((await verify({ challengeToken: await startLogin(), code })).status, 200);
+
+  const again = await verify({ challengeToken: await startLogin(), code });
+  assert.equal(again.status, 401);
+  assert.equal(again.body.error, 'Invalid code');
+});
@@ -0,0 +1,239 @@
+// test/webhooks.test.js
+// Webhook outbox delivery against a real local HTTP receiver: signatures,
+// retry/backoff, permanent failure, redelivery, the SSRF guard and scrubbing
+// a deleted account out of stored bodies.
+// Model calls are served from an in-memory outbox (no MongoDB needed).
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import mongoose from 'mongoose';
+import Group from '../src/models/Group.js';
+import Webhook from '../src/models/Webhook.js';
+import WebhookDelivery from '../src/models/WebhookDelivery.js';
+import { encryptMessage, decryptMessage } from '../src/utils/crypto.js';
+import { newWrappedGroupKey, getGroupKey } from '../src/utils/groupKeys.js';
+import { enqueueDeliveries, scrubUserFromDeliveries } from '../src/utils/webhooks.js';
+import { deliverDueWebhooks } from '../src/jobs/deliverWebhooks.js';
+import { redeliver } from '../src/controllers/webhookController.js';
+import { invoke } from './helpers/controller.js';
+import { query } from './helpers/query.js';
+
+const SECRET = 'whsec_test';
+const BASE_SECONDS = 30;
+const MAX_ATTEMPTS = 3;
+
+const ownerId = new mongoose.Types.ObjectId();
+let group;
+let webhook;
+let receiver;
+let outbox = [];
+let received = [];
+let responses = [];
+
+function sign(timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function applyUpdate(doc, update) {
+  if (update.$set) doc.set(update.$set);
+  if (update.$push?.attempts) {
+    doc.attempts.push(...update.$push.attempts.$each);
+    doc.attempts = doc.attempts.slice(update.$push.attempts.$slice);
+  }
+}
+
+function enqueue(data = { message: { id: 'm1' } }) {
+  return enqueueDeliveries([webhook], {
+    type: 'message.created',
+    groupId: group._id,
+    data,
+    at: new Date().toISOString(),
+  });
+}
+
+before(async () => {
+  process.env.AES_128_KEY_BASE64 = crypto.randomBytes(16).toString('base64');
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  process.env.WEBHOOK_MAX_ATTEMPTS = String(MAX_ATTEMPTS);
+  process.env.WEBHOOK_RETRY_BASE_SECONDS = String(BASE_SECONDS);
+  process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(responses.shift() ?? 204).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  group = {
+    _id: new mongoose.Types.ObjectId(),
+    owner: ownerId,
+    members: [ownerId],
+    admins: [],
+    moderators: [],
+    wrappedKey: newWrappedGroupKey(),
+  };
+  webhook = {
+    _id: new mongoose.Types.ObjectId(),
+    group: group._id,
+    url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+    events: ['message.created'],
+    disabled: false,
+    secret: encryptMessage(SECRET, await getGroupKey(group)),
+  };
+
+  mock.method(Group, 'findById', () => query(group));
+  mock.method(Webhook, 'findById', () => query(webhook));
+  mock.method(Webhook, 'findOne', () => query(webhook));
+
+  mock.method(WebhookDelivery, 'insertMany', async docs => {
+    const created = docs.map(d => new WebhookDelivery(d));
+    outbox.push(...created);
+    return created;
+  });
+  mock.method(WebhookDelivery, 'create', async doc => {
+    const created = new WebhookDelivery(doc);
+    outbox.push(created);
+    return created;
+  });
+  mock.method(WebhookDelivery, 'exists', async filter => outbox.some(d => d.group.equals(filter.group)));
+  mock.method(WebhookDelivery, 'find', filter =>
+    query(outbox.filter(d => d.group.equals(filter.group) && d.createdAt < filter.createdAt.$lt)));
+  mock.method(WebhookDelivery, 'findOne', filter =>
+    query(outbox.find(d => d._id.equals(filter._id) && d.webhook.equals(filter.webhook)) ?? null));
+  mock.method(WebhookDelivery, 'findOneAndUpdate', (filter, update) => {
+    const due = outbox
+      .filter(d => d.status === filter.status && d.nextAttemptAt <= filter.nextAttemptAt.$lte)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+    if (due) applyUpdate(due, update);
+    return query(due ?? null);
+  });
+  mock.method(WebhookDelivery, 'updateOne', async (filter, update) => {
+    applyUpdate(outbox.find(d => d._id.equals(filter._id)), update);
+    return { modifiedCount: 1 };
+  });
+});
+
+beforeEach(() => {
+  outbox = [];
+  received = [];
+  responses = [];
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+test('signs the body as HMAC-SHA256 over "<timestamp>.<body>"', async () => {
+  const [delivery] = await enqueue();
+
+  const stats = await deliverDueWebhooks();
+  assert.deepEqual(stats, { attempted: 1, succeeded: 1, failed: 0 });
+  assert.equal(delivery.status, 'succeeded');
+
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-signature'], sign(headers['x-webhook-timestamp'], body));
+  assert.equal(headers['x-webhook-event'], 'message.created');
+  assert.equal(headers['x-webhook-delivery'], delivery.id);
+  assert.equal(JSON.parse(body).id, delivery.eventId);
+});
+
+test('retries non-2xx responses with exponential backoff, then marks the delivery failed', async () => {
+  responses = [500, 503, 500];
+  const [delivery] = await enqueue();
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    const started = Date.now();
+    await deliverDueWebhooks({ now: delivery.nextAttemptAt });
+    assert.equal(delivery.attemptCount, attempt);
+    assert.equal(delivery.attempts[attempt - 1].statusCode, [500, 503, 500][attempt - 1]);
+
+    if (attempt < MAX_ATTEMPTS) {
+      assert.equal(delivery.status, 'pending');
+      const delay = delivery.nextAttemptAt - started;
+      const expected = BASE_SECONDS * 1000 * 2 ** (attempt - 1);
+      assert.ok(delay >= expected * 0.8 && delay <= expected * 1.2 + 1000, `attempt ${attempt}: ${delay}ms`);
+
+      // Not due yet: nothing is sent before the backoff elapses.
+      assert.equal((await deliverDueWebhooks()).attempted, 0);
+    }
+  }
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(received.length, MAX_ATTEMPTS);
+  assert.equal((await deliverDueWebhooks({ now: new Date(Date.now() + 864e5) })).attempted, 0);
+});
+
+test('redelivery sends the same event id under a new delivery id', async () => {
+  const [original] = await enqueue();
+  await deliverDueWebhooks();
+
+  const res = await invoke(redeliver, {
+    params: { groupId: group._id.toString(), webhookId: webhook._id.toString(), deliveryId: original.id },
+    user: { id: ownerId.toString() },
+  });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.eventId, original.eventId);
+
+  await deliverDueWebhooks();
+  assert.equal(received.length, 2);
+  const [first, second] = received;
+  assert.equal(JSON.parse(second.body).id, original.eventId);
+  assert.equal(second.body, first.body);
+  assert.notEqual(second.headers['x-webhook-delivery'], first.headers['x-webhook-delivery']);
+  assert.equal(second.headers['x-webhook-signature'], sign(second.headers['x-webhook-timestamp'], second.body));
+});
+
+test('internal hosts are refused unless listed in WEBHOOK_ALLOWED_HOSTS', async () => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = '';
+  try {
+    const [delivery] = await enqueue();
+    await deliverDueWebhooks();
+
+    assert.equal(received.length, 0);
+    assert.equal(delivery.status, 'pending');
+    assert.deepEqual(
+      { statusCode: delivery.attempts[0].statusCode, error: delivery.attempts[0].error },
+      { statusCode: null, error: 'Destination not allowed' }
+    );
+  } finally {
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  }
+});
+
+test('account deletion scrubs the user from earlier deliveries only', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const replacementId = new mongoose.Types.ObjectId('000000000000000000000000');
+  const email = 'gone@example.com';
+  const sender = { _id: userId.toString(), email };
+
+  const [mentioning] = await enqueue({ message: { id: 'm1', sender } });
+  const [unrelated] = await enqueue({ message: { id: 'm2', sender: { _id: 'someone-else', email: 'x@example.com' } } });
+  for (const d of outbox) d.createdAt = new Date(Date.now() - 1000);
+  const [later] = await enqueue({ userId: userId.toString(), reason: 'account_deleted' });
+  later.createdAt = new Date(Date.now() + 1000);
+
+  const groupKey = await getGroupKey(group);
+  const bodyOf = d => JSON.parse(decryptMessage(d.payload, groupKey));
+  const unrelatedBefore = unrelated.payload;
+
+  const rewritten = await scrubUserFromDeliveries([group._id], { userId, email, replacementId, before: new Date() });
+  assert.equal(rewritten, 1);
+  assert.deepEqual(bodyOf(mentioning).data.message.sender, { _id: replacementId.toString(), email: null });
+  assert.equal(bodyOf(mentioning).id, mentioning.eventId);
+  assert.equal(unrelated.payload, unrelatedBefore);
+  assert.equal(bodyOf(later).data.userId, userId.toString());
+
+  // The scrubbed body is what gets sent (and signed).
+  await deliverDueWebhooks();
+  const sent = received.find(r => JSON.parse(r.body).id === mentioning.eventId);
+  assert.ok(!sent.body.includes(email) && !sent.body.includes(userId.toString()));
+  assert.equal(sent.headers['x-webhook-signature'], sign(sent.headers['x-webhook-timestamp'], sent.body));
+});
@@ -0,0 +1,97 @@
+// test/wsGateway.test.js
+// WebSocket subscriptions: members get group events; a leave that lands while
+// the subscribe-time membership check is running still cuts the socket off.
+// Model calls are served from memory (no MongoDB needed).
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import WebSocket from 'ws';
+import Group from '../src/models/Group.js';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import Presence from '../src/models/Presence.js';
+import { attachWebSocketGateway } from '../src/realtime/wsGateway.js';
+import { publishGroupEvent, EVENTS } from '../src/utils/groupEvents.js';
+import { query } from './helpers/query.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const groupId = new mongoose.Types.ObjectId();
+let server;
+let wss;
+let url;
+let membershipRead; // (resolve) => void, replaced per test
+
+before(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+
+  mock.method(Session, 'exists', async () => ({ _id: 'sid' }));
+  mock.method(User, 'updateMany', async () => ({}));
+  mock.method(Presence, 'bulkWrite', async () => ({}));
+  mock.method(Group, 'findById', () => query(new Promise(resolve => membershipRead(resolve))));
+
+  server = http.createServer();
+  wss = attachWebSocketGateway(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const token = jwt.sign({ sub: userId, email: 'u@example.com', sid: new mongoose.Types.ObjectId().toString() }, 'test-secret');
+  url = `ws://127.0.0.1:${server.address().port}/ws?token=${token}`;
+});
+
+after(async () => {
+  await new Promise(resolve => wss.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+  mock.restoreAll();
+});
+
+// Open a socket and collect its frames; `next(type)` waits for the next frame of that type.
+async function connect() {
+  const ws = new WebSocket(url);
+  const frames = [];
+  const waiters = [];
+  ws.on('message', raw => {
+    const frame = JSON.parse(raw.toString());
+    const i = waiters.findIndex(w => w.type === frame.type);
+    if (i >= 0) waiters.splice(i, 1)[0].resolve(frame);
+    else frames.push(frame);
+  });
+  const next = type => {
+    const i = frames.findIndex(f => f.type === type);
+    if (i >= 0) return Promise.resolve(frames.splice(i, 1)[0]);
+    return new Promise(resolve => waiters.push({ type, resolve }));
+  };
+  await next('ready');
+  return { ws, frames, next };
+}
+
+test('a member is subscribed and receives group events', { timeout: 5000 }, async () => {
+  membershipRead = resolve => resolve({ _id: groupId, members: [userId] });
+  const { ws, next } = await connect();
+
+  ws.send(JSON.stringify({ action: 'subscribe', groupId: groupId.toString() }));
+  assert.equal((await next('subscribed')).groupId, groupId.toString());
+
+  publishGroupEvent(EVENTS.MESSAGE_DELETED, groupId, { messageId: 'm1' });
+  const { event } = await next('event');
+  assert.equal(event.type, EVENTS.MESSAGE_DELETED);
+  ws.close();
+});
+
+test('leaving while the membership check runs leaves the socket unsubscribed', { timeout: 5000 }, async () => {
+  // The read returns the membership as it was before the leave was written.
+  membershipRead = resolve => {
+    publishGroupEvent(EVENTS.MEMBER_LEFT, groupId, { userId });
+    publishGroupEvent(EVENTS.MESSAGE_DELETED, groupId, { messageId: 'during-check' });
+    resolve({ _id: groupId, members: [userId] });
+  };
+  const { ws, frames, next } = await connect();
+
+  ws.send(JSON.stringify({ action: 'subscribe', groupId: groupId.toString() }));
+  assert.equal((await next('error')).error, 'Join group first');
+
+  publishGroupEvent(EVENTS.MESSAGE_DELETED, groupId, { messageId: 'after' });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(frames.filter(f => f.type === 'event' || f.type === 'subscribed'), []);
+  ws.close();
+});